@@ -1,78 +1,515 @@
+#!/usr/bin/env node
+/**
+ * cache_index.json 校验工具
+ *
+ * 检查项：
+ *   - key 唯一（直接扫描原始 JSON，JSON.parse 会吞掉重复 key）
+ *   - key 为 32 位 MD5，且等于 normalized_text 的 MD5
+ *   - 每条记录的字段类型符合约定
+ *   - audio_file 等于 key + ".mp3"，且文件存在于 audio_files 目录
+ *   - 本地解析 MP3 帧头，核对 file_size 和 duration
+ *   - audio_files 目录中没有被任何记录引用的 mp3（孤儿文件）
+ *   - language / scenarios 分区标签：场景已知，且场景语言与记录语言一致（未标注 language 时按文本推断）
+ *
+ * 用法：
+ *   node check_duplicates.js [--index <cache_index.json>] [--audio-dir <目录>] [--fix] [--json] [--strict]
+ *
+ *   --fix     回填 file_size / duration / created_at，修正 audio_file，并写回索引文件
+ *   --json    输出机器可读的 JSON 报告
+ *   --strict  存在警告时也以非零状态退出
+ *
+ * 退出码：0 通过；1 存在错误（--strict 时包括警告）；2 参数或文件读取错误
+ */
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const TextNormalizer = require('./web_text_normalizer.js');
+const PromptIndex = require('./web_prompt_index.js');
 
-// 读取 cache_index.json 文件
-const cacheIndexPath = path.join(__dirname, 'prerecorded_audio', 'cache_index.json');
-const cacheData = JSON.parse(fs.readFileSync(cacheIndexPath, 'utf8'));
+const DEFAULT_INDEX_PATH = path.join(__dirname, 'prerecorded_audio', 'cache_index.json');
+const DEFAULT_AUDIO_DIR = path.join(__dirname, 'prerecorded_audio', 'audio_files');
 
-// 获取所有 keys
-const keys = Object.keys(cacheData);
+const MD5_PATTERN = /^[a-f0-9]{32}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
 
-console.log('=== 重复校验结果 ===');
-console.log('总 key 数:', keys.length);
-console.log('唯一 key 数:', new Set(keys).size);
+// duration 允许的误差（秒）
+const DURATION_TOLERANCE = 0.05;
 
-// 检查是否有重复
-if (keys.length === new Set(keys).size) {
-    console.log('✅ 没有重复的 key');
-} else {
-    console.log('❌ 发现重复的 key');
-    
-    // 找出重复的 key
+/**
+ * 记录字段约定：字段名 -> [是否必填, 校验函数, 说明]
+ */
+const ENTRY_SCHEMA = {
+    text: [true, (v) => typeof v === 'string' && v.trim().length > 0, '非空字符串'],
+    normalized_text: [true, (v) => typeof v === 'string' && v.trim().length > 0, '非空字符串'],
+    audio_file: [true, (v) => typeof v === 'string' && v.length > 0, '非空字符串'],
+    created_at: [true, (v) => v === null || typeof v === 'number' || typeof v === 'string', 'null、时间戳或时间字符串'],
+    file_size: [true, (v) => Number.isInteger(v) && v >= 0, '非负整数'],
+    duration: [true, (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0, '非负数'],
+    is_predefined: [true, (v) => typeof v === 'boolean', '布尔值'],
+    metadata: [false, (v) => v !== null && typeof v === 'object' && !Array.isArray(v), '对象'],
+    language: [false, (v) => typeof v === 'string' && LANGUAGE_PATTERN.test(v), '语言代码（如 zh、en）'],
+    scenarios: [false, (v) => Array.isArray(v) && v.every((s) => typeof s === 'string' && s.length > 0), '非空字符串数组'],
+};
+
+function md5(text) {
+    return crypto.createHash('md5').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * 收集 JSON 顶层对象的全部 key（包括重复的）
+ */
+function scanTopLevelKeys(raw) {
+    const keys = [];
+    let depth = 0;
+    let i = 0;
+
+    while (i < raw.length) {
+        const ch = raw[i];
+        if (ch === '"') {
+            let end = i + 1;
+            while (end < raw.length && raw[end] !== '"') {
+                end += raw[end] === '\\' ? 2 : 1;
+            }
+            if (depth === 1) {
+                let next = end + 1;
+                while (/\s/.test(raw[next] || '')) next++;
+                if (raw[next] === ':') {
+                    keys.push(JSON.parse(raw.slice(i, end + 1)));
+                }
+            }
+            i = end + 1;
+            continue;
+        }
+        if (ch === '{' || ch === '[') depth++;
+        if (ch === '}' || ch === ']') depth--;
+        i++;
+    }
+    return keys;
+}
+
+// ---------------------------------------------------------------------------
+// MP3 解析
+// ---------------------------------------------------------------------------
+
+const BITRATES = {
+    // [版本组][层] -> kbps 表
+    V1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    },
+    V2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    },
+};
+
+const SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG-1
+    2: [22050, 24000, 16000], // MPEG-2
+    0: [11025, 12000, 8000], // MPEG-2.5
+};
+
+/**
+ * 解析 4 字节 MPEG 音频帧头，无效时返回 null
+ */
+function parseFrameHeader(buf, offset) {
+    if (offset + 4 > buf.length) return null;
+    const b1 = buf[offset + 1];
+    const b2 = buf[offset + 2];
+    const b3 = buf[offset + 3];
+    if (buf[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (b1 >> 3) & 0x03;
+    const layerBits = (b1 >> 1) & 0x03;
+    const bitrateIndex = (b2 >> 4) & 0x0f;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const layer = 4 - layerBits;
+    const isV1 = versionBits === 3;
+    const bitrate = BITRATES[isV1 ? 'V1' : 'V2'][layer][bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+    const padding = (b2 >> 1) & 0x01;
+    const mono = ((b3 >> 6) & 0x03) === 3;
+
+    let samples;
+    let frameLength;
+    if (layer === 1) {
+        samples = 384;
+        frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    } else if (layer === 2 || isV1) {
+        samples = 1152;
+        frameLength = Math.floor((144 * bitrate) / sampleRate) + padding;
+    } else {
+        samples = 576;
+        frameLength = Math.floor((72 * bitrate) / sampleRate) + padding;
+    }
+
+    return { isV1, layer, bitrate, sampleRate, mono, samples, frameLength };
+}
+
+/**
+ * 读取 Xing/Info 或 VBRI 头中的总帧数
+ */
+function readVbrFrameCount(buf, offset, header) {
+    const sideInfo = header.isV1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    const tag = buf.toString('latin1', xing, xing + 4);
+    if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= buf.length) {
+        const flags = buf.readUInt32BE(xing + 4);
+        if (flags & 0x01) return buf.readUInt32BE(xing + 8);
+    }
+
+    const vbri = offset + 4 + 32;
+    if (buf.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= buf.length) {
+        return buf.readUInt32BE(vbri + 14);
+    }
+    return null;
+}
+
+/**
+ * 解析 MP3 时长
+ * 跳过 ID3v2 标签；有 Xing/Info/VBRI 头时按总帧数计算，否则逐帧累加
+ *
+ * @returns {{duration: number, sampleRate: number, bitrate: number, frames: number}}
+ */
+function parseMp3(buf) {
+    let offset = 0;
+    if (buf.toString('latin1', 0, 3) === 'ID3' && buf.length >= 10) {
+        const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+        const footer = buf[5] & 0x10 ? 10 : 0;
+        offset = 10 + size + footer;
+    }
+
+    // 找到第一个有效帧（要求下一帧也能对上，避免误判）
+    let first = null;
+    for (; offset < buf.length - 4; offset++) {
+        const header = parseFrameHeader(buf, offset);
+        if (!header) continue;
+        const next = offset + header.frameLength;
+        if (next >= buf.length || parseFrameHeader(buf, next)) {
+            first = header;
+            break;
+        }
+    }
+    if (!first) {
+        throw new Error('未找到有效的 MPEG 音频帧');
+    }
+
+    const vbrFrames = readVbrFrameCount(buf, offset, first);
+    if (vbrFrames) {
+        return {
+            duration: (vbrFrames * first.samples) / first.sampleRate,
+            sampleRate: first.sampleRate,
+            bitrate: first.bitrate,
+            frames: vbrFrames,
+        };
+    }
+
+    let frames = 0;
+    let seconds = 0;
+    while (offset < buf.length) {
+        const header = parseFrameHeader(buf, offset);
+        if (!header || header.frameLength <= 0) break;
+        frames++;
+        seconds += header.samples / header.sampleRate;
+        offset += header.frameLength;
+    }
+
+    return { duration: seconds, sampleRate: first.sampleRate, bitrate: first.bitrate, frames };
+}
+
+// ---------------------------------------------------------------------------
+// 校验
+// ---------------------------------------------------------------------------
+
+/**
+ * 校验索引
+ *
+ * @param {Object} options
+ * @param {string} options.indexPath - cache_index.json 路径
+ * @param {string} options.audioDir - mp3 目录
+ * @param {boolean} [options.fix] - 是否修复并写回
+ * @returns {Object} 报告 { indexPath, audioDir, entries, issues, orphans, fixed, written, summary }
+ */
+function validateCacheIndex({ indexPath, audioDir, fix = false }) {
+    const raw = fs.readFileSync(indexPath, 'utf8');
+    const data = JSON.parse(raw);
+    const issues = [];
+    const fixed = [];
+
+    const addIssue = (level, code, key, message) => issues.push({ level, code, key, message });
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        addIssue('error', 'invalid-root', null, '索引顶层必须是对象');
+        return buildReport({ indexPath, audioDir, entries: 0, issues, orphans: [], fixed, written: false });
+    }
+
+    // key 唯一
     const keyCount = {};
-    const duplicates = [];
-    
-    keys.forEach(key => {
+    scanTopLevelKeys(raw).forEach((key) => {
         keyCount[key] = (keyCount[key] || 0) + 1;
-        if (keyCount[key] === 2) {
-            duplicates.push(key);
-        }
-    });
-    
-    console.log('重复的 key 列表:');
-    duplicates.forEach(key => {
-        console.log(`  - ${key} (出现 ${keyCount[key]} 次)`);
     });
+    Object.entries(keyCount)
+        .filter(([, count]) => count > 1)
+        .forEach(([key, count]) => addIssue('error', 'duplicate-key', key, `key 重复出现 ${count} 次`));
+
+    const audioDirExists = fs.existsSync(audioDir) && fs.statSync(audioDir).isDirectory();
+    if (!audioDirExists) {
+        addIssue('error', 'missing-audio-dir', null, `音频目录不存在: ${audioDir}`);
+    }
+
+    const referenced = new Set();
+
+    for (const [key, entry] of Object.entries(data)) {
+        if (!MD5_PATTERN.test(key)) {
+            addIssue('error', 'invalid-key', key, 'key 不是 32 位小写 MD5');
+        }
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            addIssue('error', 'invalid-entry', key, '记录必须是对象');
+            continue;
+        }
+
+        // 字段约定
+        for (const [field, [required, check, expected]] of Object.entries(ENTRY_SCHEMA)) {
+            if (!(field in entry)) {
+                if (required) addIssue('error', 'missing-field', key, `缺少字段 ${field}`);
+            } else if (!check(entry[field])) {
+                addIssue('error', 'invalid-field', key, `字段 ${field} 应为${expected}，实际: ${JSON.stringify(entry[field])}`);
+            }
+        }
+        Object.keys(entry)
+            .filter((field) => !(field in ENTRY_SCHEMA))
+            .forEach((field) => addIssue('warning', 'unknown-field', key, `未知字段 ${field}`));
+
+        // key 与文本
+        if (typeof entry.normalized_text === 'string') {
+            if (md5(entry.normalized_text) !== key) {
+                addIssue('error', 'key-mismatch', key, `key 不等于 normalized_text 的 MD5 (${md5(entry.normalized_text)})`);
+            }
+            if (typeof entry.text === 'string' && TextNormalizer.toBackendForm(entry.text) !== entry.normalized_text) {
+                addIssue('warning', 'normalization-mismatch', key, 'normalized_text 与 text 按规则规范化的结果不一致');
+            }
+        }
+
+        // 分区标签
+        checkPartition(entry, key);
+
+        // audio_file
+        const expectedFile = `${key}.mp3`;
+        if (entry.audio_file !== expectedFile) {
+            if (fix) {
+                fixed.push({ key, field: 'audio_file', from: entry.audio_file, to: expectedFile });
+                entry.audio_file = expectedFile;
+            } else {
+                addIssue('error', 'audio-file-mismatch', key, `audio_file 应为 ${expectedFile}，实际: ${entry.audio_file}`);
+            }
+        }
+        referenced.add(expectedFile);
+
+        if (!audioDirExists) continue;
+        const audioPath = path.join(audioDir, expectedFile);
+        if (!fs.existsSync(audioPath)) {
+            addIssue('error', 'missing-audio', key, `音频文件不存在: ${expectedFile}`);
+            continue;
+        }
+
+        // MP3 元数据
+        const buf = fs.readFileSync(audioPath);
+        let info;
+        try {
+            info = parseMp3(buf);
+        } catch (error) {
+            addIssue('error', 'invalid-mp3', key, `${expectedFile} 解析失败: ${error.message}`);
+            continue;
+        }
+
+        const duration = Math.round(info.duration * 1000) / 1000;
+        checkField(entry, key, 'file_size', buf.length, entry.file_size !== buf.length);
+        checkField(entry, key, 'duration', duration, !(Math.abs(entry.duration - duration) <= DURATION_TOLERANCE));
+
+        if (entry.created_at === null && fix) {
+            const createdAt = entry.metadata?.generated_at ?? fs.statSync(audioPath).mtimeMs / 1000;
+            fixed.push({ key, field: 'created_at', from: null, to: createdAt });
+            entry.created_at = createdAt;
+        } else if (entry.created_at === null) {
+            addIssue('warning', 'missing-created-at', key, 'created_at 为空');
+        }
+    }
+
+    function checkPartition(entry, key) {
+        const text = typeof entry.text === 'string' ? entry.text : '';
+        const language = PromptIndex.entryLanguage(entry);
+        if (typeof entry.language === 'string' && text && TextNormalizer.detectLanguage(text) !== language) {
+            addIssue('warning', 'language-mismatch', key, `language 为 ${language}，但文本看起来是 ${TextNormalizer.detectLanguage(text)}`);
+        }
+        if (!Array.isArray(entry.scenarios)) return;
+        for (const scenario of entry.scenarios) {
+            if (!(scenario in PromptIndex.Scenarios)) {
+                addIssue('warning', 'unknown-scenario', key, `未知场景 ${scenario}`);
+            } else if (PromptIndex.Scenarios[scenario] !== language) {
+                addIssue('error', 'scenario-language-mismatch', key, `场景 ${scenario} 的语言为 ${PromptIndex.Scenarios[scenario]}，记录语言为 ${language}`);
+            }
+        }
+    }
+
+    function checkField(entry, key, field, actual, mismatched) {
+        if (!mismatched) return;
+        if (fix) {
+            fixed.push({ key, field, from: entry[field], to: actual });
+            entry[field] = actual;
+        } else {
+            addIssue('error', `${field.replace('_', '-')}-mismatch`, key, `${field} 应为 ${actual}，实际: ${entry[field]}`);
+        }
+    }
+
+    // 孤儿文件
+    const orphans = audioDirExists
+        ? fs.readdirSync(audioDir).filter((name) => name.toLowerCase().endsWith('.mp3') && !referenced.has(name)).sort()
+        : [];
+    orphans.forEach((name) => addIssue('warning', 'orphan-audio', null, `没有记录引用的音频文件: ${name}`));
+
+    let written = false;
+    if (fix && fixed.length > 0) {
+        writeIndex(indexPath, raw, data);
+        written = true;
+    }
+
+    return buildReport({ indexPath, audioDir, entries: Object.keys(data).length, issues, orphans, fixed, written });
 }
 
-// 额外检查：验证 key 格式是否正确（应该是 32 位 MD5 哈希）
-console.log('\n=== Key 格式验证 ===');
-const md5Pattern = /^[a-f0-9]{32}$/;
-const invalidKeys = keys.filter(key => !md5Pattern.test(key));
-
-if (invalidKeys.length === 0) {
-    console.log('✅ 所有 key 都是有效的 MD5 格式');
-} else {
-    console.log('❌ 发现格式不正确的 key:');
-    invalidKeys.forEach(key => {
-        console.log(`  - ${key}`);
-    });
+/**
+ * 写回索引，保留原文件的换行风格和末尾换行
+ */
+function writeIndex(indexPath, raw, data) {
+    const eol = raw.includes('\r\n') ? '\r\n' : '\n';
+    let output = JSON.stringify(data, null, 2).replace(/\n/g, eol);
+    if (/\r?\n$/.test(raw)) output += eol;
+    fs.writeFileSync(indexPath, output, 'utf8');
 }
 
-// 检查 audio_file 字段是否与 key 匹配
-console.log('\n=== Audio File 一致性检查 ===');
-const inconsistentFiles = [];
-
-Object.entries(cacheData).forEach(([key, data]) => {
-    const expectedFileName = `${key}.mp3`;
-    if (data.audio_file !== expectedFileName) {
-        inconsistentFiles.push({
-            key,
-            expected: expectedFileName,
-            actual: data.audio_file
-        });
+function buildReport({ indexPath, audioDir, entries, issues, orphans, fixed, written }) {
+    return {
+        indexPath,
+        audioDir,
+        entries,
+        issues,
+        orphans,
+        fixed,
+        written,
+        summary: {
+            entries,
+            errors: issues.filter((issue) => issue.level === 'error').length,
+            warnings: issues.filter((issue) => issue.level === 'warning').length,
+            orphans: orphans.length,
+            fixed: fixed.length,
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// 命令行
+// ---------------------------------------------------------------------------
+
+function parseArgs(argv) {
+    const args = { indexPath: DEFAULT_INDEX_PATH, audioDir: null, fix: false, json: false, strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--fix') args.fix = true;
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--strict') args.strict = true;
+        else if (arg === '--index') args.indexPath = path.resolve(argv[++i] || '');
+        else if (arg === '--audio-dir') args.audioDir = path.resolve(argv[++i] || '');
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else throw new Error(`未知参数: ${arg}`);
     }
-});
+    if (!args.audioDir) {
+        args.audioDir = args.indexPath === DEFAULT_INDEX_PATH
+            ? DEFAULT_AUDIO_DIR
+            : path.join(path.dirname(args.indexPath), 'audio_files');
+    }
+    return args;
+}
 
-if (inconsistentFiles.length === 0) {
-    console.log('✅ 所有 audio_file 字段都与 key 匹配');
-} else {
-    console.log('❌ 发现不匹配的 audio_file:');
-    inconsistentFiles.forEach(item => {
-        console.log(`  - Key: ${item.key}`);
-        console.log(`    期望: ${item.expected}`);
-        console.log(`    实际: ${item.actual}`);
+function printReport(report) {
+    console.log('=== cache_index.json 校验结果 ===');
+    console.log('索引文件:', report.indexPath);
+    console.log('音频目录:', report.audioDir);
+    console.log('记录数:', report.entries);
+
+    const groups = {};
+    report.issues.forEach((issue) => {
+        (groups[issue.code] = groups[issue.code] || []).push(issue);
     });
+
+    if (report.issues.length === 0) {
+        console.log('\n✅ 没有发现问题');
+    }
+    Object.entries(groups).forEach(([code, items]) => {
+        const icon = items[0].level === 'error' ? '❌' : '⚠️';
+        console.log(`\n${icon} ${code} (${items.length})`);
+        items.forEach((issue) => {
+            console.log(`  - ${issue.key ? `${issue.key}: ` : ''}${issue.message}`);
+        });
+    });
+
+    if (report.fixed.length > 0) {
+        console.log(`\n🔧 已修复 ${report.fixed.length} 处${report.written ? '，已写回索引文件' : ''}`);
+        report.fixed.forEach((item) => {
+            console.log(`  - ${item.key}.${item.field}: ${JSON.stringify(item.from)} -> ${JSON.stringify(item.to)}`);
+        });
+    }
+
+    const { errors, warnings } = report.summary;
+    console.log(`\n=== 检查完成：${errors} 个错误，${warnings} 个警告 ===`);
+}
+
+function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (args.help) {
+        console.log('用法: node check_duplicates.js [--index <cache_index.json>] [--audio-dir <目录>] [--fix] [--json] [--strict]');
+        return 0;
+    }
+
+    let report;
+    try {
+        report = validateCacheIndex(args);
+    } catch (error) {
+        if (args.json) {
+            console.log(JSON.stringify({ error: error.message }, null, 2));
+        } else {
+            console.error(`❌ 无法读取索引: ${error.message}`);
+        }
+        return 2;
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    const failed = report.summary.errors > 0 || (args.strict && report.summary.warnings > 0);
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
 }
 
-console.log('\n=== 检查完成 ===');
\ No newline at end of file
+module.exports = {
+    scanTopLevelKeys,
+    parseMp3,
+    validateCacheIndex,
+    main,
+};
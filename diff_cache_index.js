@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * cache_index.json 版本差异报告（发版审核用）
+ *
+ * 对比两份索引（或当前索引与某个 git 版本中的索引），列出：
+ *   - 新增 / 删除的记录
+ *   - 改写文本的记录：key 不变但 text 变化，或旧记录删除、新记录的匹配键与之相同（文本微调导致 key 变化）
+ *   - audio_file 变化的记录
+ *   - 新引用的 mp3（以及 audio_files 中是否存在），以及 audio_files 中不再被引用的孤儿 mp3
+ *
+ * 用法：
+ *   node diff_cache_index.js [--base <旧索引> | --rev <git 版本>] [--head <新索引>] [--audio-dir <目录>] [--json]
+ *
+ *   --base   旧索引文件
+ *   --rev    从 git 读取该版本中 --head 同路径的索引作为旧索引（默认 HEAD）
+ *   --head   新索引文件，默认 prerecorded_audio/cache_index.json
+ *   --json   输出 JSON；默认输出 Markdown，可直接贴到发版评审中
+ *
+ * 退出码：0 完成；2 参数、文件读取或 git 错误
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const TextNormalizer = require('./web_text_normalizer.js');
+
+const DEFAULT_INDEX_PATH = path.join(__dirname, 'prerecorded_audio', 'cache_index.json');
+
+function parseIndex(raw) {
+    return JSON.parse(raw.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * 读取 git 版本中的文件（路径相对 filePath 所在目录解析）
+ */
+function readFromGit(rev, filePath) {
+    const dir = path.dirname(filePath);
+    return execFileSync('git', ['show', `${rev}:./${path.basename(filePath)}`], {
+        cwd: dir,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        maxBuffer: 64 * 1024 * 1024,
+    });
+}
+
+/**
+ * 对比两份索引
+ *
+ * @param {Object} base - 旧索引内容
+ * @param {Object} head - 新索引内容
+ * @param {Object} [options]
+ * @param {string[]} [options.audioFiles] - 新版本 audio_files 目录中的文件名；省略时不检查文件
+ * @returns {Object} { added, removed, retexted, audioChanged, audio: { added, orphaned }, summary }
+ */
+function diffCacheIndex(base, head, { audioFiles } = {}) {
+    const textOf = (entry) => entry?.text || entry?.normalized_text || '';
+    const baseKeys = Object.keys(base);
+    const headKeys = Object.keys(head);
+
+    let removed = baseKeys.filter((key) => !(key in head));
+    let added = headKeys.filter((key) => !(key in base));
+    const retexted = [];
+    const audioChanged = [];
+
+    for (const key of headKeys.filter((k) => k in base)) {
+        const from = base[key];
+        const to = head[key];
+        if (from.text !== to.text || from.normalized_text !== to.normalized_text) {
+            retexted.push({ fromKey: key, toKey: key, from: textOf(from), to: textOf(to) });
+        }
+        if (from.audio_file !== to.audio_file) {
+            audioChanged.push({ key, text: textOf(to), from: from.audio_file ?? null, to: to.audio_file ?? null });
+        }
+    }
+
+    // 匹配键相同的 删除 + 新增 视为改写文本（key 随 normalized_text 变化）
+    const addedByMatchKey = new Map();
+    added.forEach((key) => {
+        const matchKey = TextNormalizer.toMatchKey(textOf(head[key]));
+        if (matchKey && !addedByMatchKey.has(matchKey)) addedByMatchKey.set(matchKey, key);
+    });
+    const paired = new Set();
+    removed.forEach((key) => {
+        const toKey = addedByMatchKey.get(TextNormalizer.toMatchKey(textOf(base[key])));
+        if (!toKey || paired.has(toKey)) return;
+        paired.add(key).add(toKey);
+        retexted.push({ fromKey: key, toKey, from: textOf(base[key]), to: textOf(head[toKey]) });
+    });
+    removed = removed.filter((key) => !paired.has(key));
+    added = added.filter((key) => !paired.has(key));
+
+    // mp3 引用与孤儿文件
+    const referencedBy = (data) => new Set(Object.values(data).map((entry) => entry?.audio_file).filter(Boolean));
+    const baseAudio = referencedBy(base);
+    const headAudio = referencedBy(head);
+    const present = audioFiles ? new Set(audioFiles) : null;
+
+    const audio = {
+        added: [...headAudio]
+            .filter((file) => !baseAudio.has(file))
+            .sort()
+            .map((file) => ({ file, exists: present ? present.has(file) : null })),
+        orphaned: present
+            ? [...present]
+                .filter((file) => file.toLowerCase().endsWith('.mp3') && !headAudio.has(file))
+                .sort()
+                .map((file) => ({ file, newlyOrphaned: baseAudio.has(file) }))
+            : [],
+    };
+
+    const entry = (data) => (key) => ({ key, text: textOf(data[key]), audio_file: data[key]?.audio_file ?? null });
+    return {
+        added: added.map(entry(head)),
+        removed: removed.map(entry(base)),
+        retexted,
+        audioChanged,
+        audio,
+        summary: {
+            baseEntries: baseKeys.length,
+            headEntries: headKeys.length,
+            added: added.length,
+            removed: removed.length,
+            retexted: retexted.length,
+            audioChanged: audioChanged.length,
+            audioAdded: audio.added.length,
+            audioMissing: audio.added.filter((item) => item.exists === false).length,
+            audioOrphaned: audio.orphaned.length,
+        },
+    };
+}
+
+/**
+ * Markdown 中的表格单元格转义
+ */
+function cell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+    ].join('\n');
+}
+
+function formatMarkdown(report) {
+    const { summary } = report;
+    const lines = [
+        '# 预录制提示语变更报告',
+        '',
+        `- 旧索引：\`${report.base}\`（${summary.baseEntries} 条）`,
+        `- 新索引：\`${report.head}\`（${summary.headEntries} 条）`,
+        `- 新增 ${summary.added}，删除 ${summary.removed}，改写文本 ${summary.retexted}，audio_file 变化 ${summary.audioChanged}`,
+        `- 新引用 mp3 ${summary.audioAdded}（缺失 ${summary.audioMissing}），孤儿 mp3 ${summary.audioOrphaned}`,
+    ];
+
+    const section = (title, headers, rows) => {
+        if (rows.length === 0) return;
+        lines.push('', `## ${title}`, '', table(headers, rows));
+    };
+
+    section('新增', ['key', '文本', 'audio_file'], report.added.map((e) => [e.key, e.text, e.audio_file]));
+    section('删除', ['key', '文本', 'audio_file'], report.removed.map((e) => [e.key, e.text, e.audio_file]));
+    section(
+        '改写文本',
+        ['key', '原文本', '新文本'],
+        report.retexted.map((e) => [e.fromKey === e.toKey ? e.toKey : `${e.fromKey} → ${e.toKey}`, e.from, e.to])
+    );
+    section('audio_file 变化', ['key', '文本', '原文件', '新文件'], report.audioChanged.map((e) => [e.key, e.text, e.from, e.to]));
+    section(
+        '新引用的 mp3',
+        ['文件', '状态'],
+        report.audio.added.map((e) => [e.file, e.exists === null ? '未检查' : e.exists ? '✅ 已存在' : '❌ 缺失'])
+    );
+    section(
+        '孤儿 mp3',
+        ['文件', '说明'],
+        report.audio.orphaned.map((e) => [e.file, e.newlyOrphaned ? '本次变更后不再引用' : '此前已无引用'])
+    );
+
+    const changed = ['added', 'removed', 'retexted', 'audioChanged', 'audioAdded', 'audioOrphaned'].some((name) => summary[name] > 0);
+    if (!changed) lines.push('', '✅ 没有变化');
+    return lines.join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const args = { basePath: null, rev: null, headPath: DEFAULT_INDEX_PATH, audioDir: null, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') args.json = true;
+        else if (arg === '--base') args.basePath = path.resolve(argv[++i] || '');
+        else if (arg === '--rev') args.rev = argv[++i] || '';
+        else if (arg === '--head') args.headPath = path.resolve(argv[++i] || '');
+        else if (arg === '--audio-dir') args.audioDir = path.resolve(argv[++i] || '');
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else throw new Error(`未知参数: ${arg}`);
+    }
+    if (args.basePath && args.rev !== null) {
+        throw new Error('--base 与 --rev 只能指定一个');
+    }
+    if (!args.basePath && !args.rev) {
+        args.rev = 'HEAD';
+    }
+    if (!args.audioDir) {
+        args.audioDir = path.join(path.dirname(args.headPath), 'audio_files');
+    }
+    return args;
+}
+
+function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (args.help) {
+        console.log('用法: node diff_cache_index.js [--base <旧索引> | --rev <git 版本>] [--head <新索引>] [--audio-dir <目录>] [--json]');
+        return 0;
+    }
+
+    let base;
+    let head;
+    try {
+        base = parseIndex(args.basePath ? fs.readFileSync(args.basePath, 'utf8') : readFromGit(args.rev, args.headPath));
+        head = parseIndex(fs.readFileSync(args.headPath, 'utf8'));
+    } catch (error) {
+        const message = error.stderr ? String(error.stderr).trim() : error.message;
+        console.error(`❌ 无法读取索引: ${message}`);
+        return 2;
+    }
+
+    const audioFiles = fs.existsSync(args.audioDir) ? fs.readdirSync(args.audioDir) : undefined;
+    const report = {
+        base: args.basePath || `${args.rev}:${path.basename(args.headPath)}`,
+        head: args.headPath,
+        ...diffCacheIndex(base, head, { audioFiles }),
+    };
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        process.stdout.write(formatMarkdown(report));
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    diffCacheIndex,
+    formatMarkdown,
+    main,
+};
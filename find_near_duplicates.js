@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * 预录制提示语近似重复报告
+ *
+ * 按共用的匹配键规则（web_text_normalizer.js）规范化 text 后，用编辑距离把记录聚类，
+ * 方便内容编辑合并只有空格、标点或少量字词差异的变体
+ * （如 "拨打96110咨询" 与 "拨打 96110 咨询"，匹配键相同但缓存 key 不同，页面永远匹配不到另一条）
+ *
+ * 用法：
+ *   node find_near_duplicates.js [--index <cache_index.json>] [--threshold <0-1>] [--json] [--strict]
+ *
+ *   --threshold  相似度阈值，默认 0.9（1 表示只报告匹配键完全相同的变体）
+ *   --json       输出机器可读的 JSON 报告
+ *   --strict     发现近似重复时以非零状态退出
+ *
+ * 退出码：0 完成；1 --strict 且发现近似重复；2 参数或文件读取错误
+ */
+const fs = require('fs');
+const path = require('path');
+const TextNormalizer = require('./web_text_normalizer.js');
+
+const DEFAULT_INDEX_PATH = path.join(__dirname, 'prerecorded_audio', 'cache_index.json');
+const DEFAULT_THRESHOLD = 0.9;
+
+/**
+ * 生成近似重复报告
+ *
+ * @param {Object} cacheData - cache_index.json 内容
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - 相似度阈值
+ * @returns {Object} { threshold, entries, clusters, summary }
+ */
+function findNearDuplicates(cacheData, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const items = Object.entries(cacheData).map(([key, entry]) => ({
+        key,
+        text: entry.text || entry.normalized_text || '',
+    }));
+
+    const clusters = TextNormalizer.clusterNearDuplicates(items, { threshold }).map((cluster) => ({
+        ...cluster,
+        // 匹配键完全相同的变体可以直接合并
+        identical: new Set(cluster.members.map((member) => member.matchKey)).size === 1,
+    }));
+
+    return {
+        threshold,
+        entries: items.length,
+        clusters,
+        summary: {
+            clusters: clusters.length,
+            identicalClusters: clusters.filter((cluster) => cluster.identical).length,
+            entriesInClusters: clusters.reduce((sum, cluster) => sum + cluster.members.length, 0),
+        },
+    };
+}
+
+function parseArgs(argv) {
+    const args = { indexPath: DEFAULT_INDEX_PATH, threshold: DEFAULT_THRESHOLD, json: false, strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') args.json = true;
+        else if (arg === '--strict') args.strict = true;
+        else if (arg === '--index') args.indexPath = path.resolve(argv[++i] || '');
+        else if (arg === '--threshold') args.threshold = Number(argv[++i]);
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else throw new Error(`未知参数: ${arg}`);
+    }
+    if (!(args.threshold > 0 && args.threshold <= 1)) {
+        throw new Error('--threshold 必须在 (0, 1] 之间');
+    }
+    return args;
+}
+
+function printReport(report) {
+    console.log('=== 近似重复提示语报告 ===');
+    console.log('记录数:', report.entries);
+    console.log('相似度阈值:', report.threshold);
+
+    if (report.clusters.length === 0) {
+        console.log('\n✅ 没有发现近似重复');
+    }
+    report.clusters.forEach((cluster, index) => {
+        const label = cluster.identical ? '规范化后完全相同，可直接合并' : '存在差异，请人工确认';
+        console.log(`\n⚠️ 第 ${index + 1} 组（${cluster.members.length} 条，${label}）`);
+        cluster.members.forEach((member) => {
+            console.log(`  - ${member.key}: ${member.text}`);
+        });
+        if (!cluster.identical) {
+            cluster.pairs.forEach((pair) => {
+                console.log(`    ${pair.a} ↔ ${pair.b}: 编辑距离 ${pair.distance}，相似度 ${pair.similarity.toFixed(3)}`);
+            });
+        }
+    });
+
+    const { clusters, identicalClusters, entriesInClusters } = report.summary;
+    console.log(`\n=== 共 ${clusters} 组（其中 ${identicalClusters} 组可直接合并），涉及 ${entriesInClusters} 条记录 ===`);
+}
+
+function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (args.help) {
+        console.log('用法: node find_near_duplicates.js [--index <cache_index.json>] [--threshold <0-1>] [--json] [--strict]');
+        return 0;
+    }
+
+    let cacheData;
+    try {
+        cacheData = JSON.parse(fs.readFileSync(args.indexPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ 无法读取索引: ${error.message}`);
+        return 2;
+    }
+
+    const report = findNearDuplicates(cacheData, args);
+    if (args.json) {
+        console.log(JSON.stringify({ indexPath: args.indexPath, ...report }, null, 2));
+    } else {
+        printReport(report);
+    }
+    return args.strict && report.clusters.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    findNearDuplicates,
+    main,
+};
@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+/**
+ * 本地模拟后端（离线开发与页面回归测试用）
+ *
+ * 实现 index.html 依赖的全部接口：
+ *   POST /api/rtc/init、/api/rtc/shutdown、/api/rtc/welcome
+ *   POST /rtc/enter  申请房间锁；锁被其他会话持有时返回 { ok: false, reason: "BUSY" }
+ *   POST /rtc/beat   续期房间锁；超过 --lock-ttl 没有心跳时锁过期释放
+ *   POST /rtc/leave  释放房间锁
+ *   GET  /api/agora/config、/api/set_dify_app
+ *   GET  /prerecorded_audio/...  本地 prerecorded_audio 目录
+ *   GET  /、/index.html、/web_*.js  页面本身（同源打开时 sendBeacon 不受 CORS 限制）
+ *   /ws  调试 WebSocket：
+ *        - bind 校验会话与 token，bound 带上会话当前 seq，按 last_seq 补发断线期间的消息；会话过期时推送 bound { ok: false, code: "EXPIRED" }
+ *        - 定时 ping；控制消息（interrupt / mute / repeat_last_prompt / end_session / user_text）按 schema 校验后回 ack
+ *        - 会话绑定后按剧本推送 STT、assistant_text、prerecorded_audio、error 等消息：
+ *          剧本为 mock_fixtures/<app_id>.json（app_id 由 /api/set_dify_app 切换），不存在时使用 default.json
+ *
+ * 剧本格式：{ "description": "...", "steps": [{ "delay": 毫秒, "type": 消息类型, "data": {...} }] }
+ * delay 为距上一步的间隔；data 按 WsProtocol.Schemas 校验，加载时发现错误直接报错
+ *
+ * 用法：
+ *   node mock_server.js [--port 8787] [--fixture <剧本文件>] [--lock-ttl <毫秒>] [--ping-interval <毫秒>]
+ *   然后打开 http://localhost:8787/index.html?backend=http://localhost:8787
+ *
+ * 声网 RTC 不在模拟范围内：加入频道仍需要真实 App ID 与网络，房间锁、调试 WebSocket 与预录制音频不依赖声网
+ *
+ * 退出码：2 参数错误或端口无法监听；正常运行时不退出
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const WsProtocol = require('./web_ws_protocol.js');
+
+const DEFAULT_PORT = 8787;
+const FIXTURE_DIR = path.join(__dirname, 'mock_fixtures');
+const DEFAULT_FIXTURE = 'default';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const APPS = {
+    dify_app_1: '风险提示cn',
+    dify_app_2: '风险提示en',
+    fraud_drill: '诈骗演练',
+    psychological_counseling: '心理疏导',
+};
+
+const AGORA_CONFIG = {
+    appId: 'mock-agora-app-id',
+    channel: 'solidchannel',
+    uid: 10001,
+    botUid: 12345,
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.mp3': 'audio/mpeg',
+};
+
+// 页面可访问的静态文件：页面脚本与 prerecorded_audio 目录
+const STATIC_PATTERN = /^(index\.html|web_[\w]+\.js|prerecorded_audio_sw\.js|prerecorded_audio\/.+)$/;
+
+// 客户端发来的控制消息；回 ack 后按类型模拟后端行为
+const CONTROL_TYPES = [
+    WsProtocol.Types.INTERRUPT,
+    WsProtocol.Types.MUTE,
+    WsProtocol.Types.REPEAT_LAST_PROMPT,
+    WsProtocol.Types.END_SESSION,
+    WsProtocol.Types.USER_TEXT,
+];
+
+/* ---------------- WebSocket 帧（RFC 6455，仅文本 / close / ping / pong，不支持分片） ---------------- */
+
+/**
+ * 编码一帧；客户端发出的帧需要 mask
+ */
+function encodeFrame(payload, { opcode = 0x1, mask = false } = {}) {
+    const body = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+    let header;
+    if (body.length < 126) {
+        header = Buffer.from([0x80 | opcode, body.length]);
+    } else if (body.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(body.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(body.length), 2);
+    }
+    if (!mask) return Buffer.concat([header, body]);
+
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    const masked = Buffer.from(body);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= key[i % 4];
+    return Buffer.concat([header, key, masked]);
+}
+
+/**
+ * 从缓冲区解出完整的帧
+ *
+ * @returns {Object} { frames: [{ opcode, payload }], rest } rest 为不完整的剩余数据
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        const keyLength = masked ? 4 : 0;
+        if (buffer.length < cursor + keyLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(cursor + keyLength, cursor + keyLength + length));
+        if (masked) {
+            const key = buffer.subarray(cursor, cursor + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= key[i % 4];
+        }
+        frames.push({ opcode, payload });
+        offset = cursor + keyLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/* ---------------- 剧本 ---------------- */
+
+/**
+ * 读取并校验剧本文件
+ *
+ * @returns {Object} { description, steps: [{ delay, type, data }] }
+ * @throws {Error} 文件无法读取、格式错误或消息不符合协议 schema
+ */
+function loadFixture(file) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+    if (!fixture || !Array.isArray(fixture.steps)) {
+        throw new Error(`剧本缺少 steps 数组: ${file}`);
+    }
+    const steps = fixture.steps.map((step, index) => {
+        const schema = WsProtocol.Schemas[step?.type];
+        if (!schema || schema.direction === 'out') {
+            throw new Error(`剧本 ${path.basename(file)} 第 ${index + 1} 步: 不是服务端消息类型 ${step?.type}`);
+        }
+        const data = step.data || {};
+        const errors = WsProtocol.validate(step.type, data);
+        if (errors.length > 0) {
+            throw new Error(`剧本 ${path.basename(file)} 第 ${index + 1} 步 (${step.type}): ${errors.join('; ')}`);
+        }
+        return { delay: Math.max(0, Number(step.delay) || 0), type: step.type, data };
+    });
+    return { description: fixture.description || '', steps };
+}
+
+/* ---------------- 模拟后端 ---------------- */
+
+class MockBackend {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.lockTtl=25000] - 房间锁在没有心跳时的有效期
+     * @param {number} [options.pingInterval=15000] - WebSocket ping 间隔
+     * @param {string} [options.fixture] - 固定使用的剧本文件；省略时按当前应用选择
+     * @param {string} [options.fixtureDir] - 剧本目录
+     * @param {string} [options.rootDir] - 静态文件根目录
+     * @param {Function} [options.log] - 日志输出，默认 console.log
+     */
+    constructor(options = {}) {
+        this.options = {
+            lockTtl: options.lockTtl ?? 25000,
+            pingInterval: options.pingInterval ?? 15000,
+            fixture: options.fixture || null,
+            fixtureDir: options.fixtureDir || FIXTURE_DIR,
+            rootDir: options.rootDir || __dirname,
+        };
+        this._log = options.log || ((message) => console.log(message));
+
+        this.appId = 'dify_app_1';
+        this.lock = null; // { sessionId, token, uid, channel, expiresAt }
+        this.sessions = new Map(); // sessionId -> { seq, history, timers, lastPrompt, started }
+        this.connections = new Set(); // { socket, buffer, sessionId }
+        this._nextUid = AGORA_CONFIG.uid;
+
+        this.routes = {
+            'POST /api/rtc/init': () => ({ ok: true }),
+            'POST /api/rtc/shutdown': () => ({ ok: true }),
+            'POST /api/rtc/welcome': () => ({ ok: true, welcome_sent: !!this.lock }),
+            'POST /rtc/enter': (body) => this.enter(body),
+            'POST /rtc/beat': (body) => this.beat(body),
+            'POST /rtc/leave': (body) => this.leave(body),
+            'GET /api/agora/config': (body, query) => this.agoraConfig(query),
+            'GET /api/set_dify_app': (body, query) => this.setApp(query),
+        };
+
+        this.server = http.createServer((req, res) => this._handleRequest(req, res));
+        this.server.on('upgrade', (req, socket) => this._handleUpgrade(req, socket));
+    }
+
+    /**
+     * 开始监听
+     *
+     * @returns {Promise<number>} 实际端口（port 为 0 时随机分配）
+     */
+    listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this._sweepTimer = setInterval(() => this._expireLock(), Math.min(1000, this.options.lockTtl / 5));
+                this._pingTimer = setInterval(() => this._broadcastPing(), this.options.pingInterval);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    close() {
+        clearInterval(this._sweepTimer);
+        clearInterval(this._pingTimer);
+        this.sessions.forEach((session) => this._stopScript(session));
+        this.connections.forEach((conn) => conn.socket.destroy());
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    /* ---------- 房间锁 ---------- */
+
+    enter({ channel } = {}) {
+        this._expireLock();
+        if (this.lock) {
+            this._log(`🔒 房间被会话 ${this.lock.sessionId} 占用，返回 BUSY`);
+            return { ok: false, reason: 'BUSY' };
+        }
+        this.lock = {
+            sessionId: crypto.randomUUID(),
+            token: `mock-token-${crypto.randomBytes(8).toString('hex')}`,
+            uid: this._nextUid++,
+            channel: channel || AGORA_CONFIG.channel,
+            expiresAt: Date.now() + this.options.lockTtl,
+        };
+        this.sessions.set(this.lock.sessionId, { seq: 0, history: [], timers: [], lastPrompt: null });
+        this._log(`✅ 会话 ${this.lock.sessionId} 进入房间 ${this.lock.channel}`);
+        const { sessionId, token, uid } = this.lock;
+        return { ok: true, sessionId, token, uid, appId: AGORA_CONFIG.appId };
+    }
+
+    beat({ sessionId } = {}) {
+        this._expireLock();
+        if (!this.lock || this.lock.sessionId !== sessionId) {
+            return { ok: false, reason: 'EXPIRED' };
+        }
+        this.lock.expiresAt = Date.now() + this.options.lockTtl;
+        return { ok: true };
+    }
+
+    leave({ sessionId } = {}) {
+        if (!this.lock || this.lock.sessionId !== sessionId) {
+            return { ok: false, reason: 'NOT_OWNER' };
+        }
+        this._release('leave');
+        return { ok: true };
+    }
+
+    _expireLock() {
+        if (this.lock && Date.now() > this.lock.expiresAt) {
+            this._release('expired');
+        }
+    }
+
+    _release(reason) {
+        const { sessionId } = this.lock;
+        this.lock = null;
+        const session = this.sessions.get(sessionId);
+        if (session) this._stopScript(session);
+        this.sessions.delete(sessionId);
+        this._log(reason === 'expired' ? `⚠️ 会话 ${sessionId} 心跳超时，已释放房间锁` : `会话 ${sessionId} 已离开房间`);
+
+        if (reason === 'expired') {
+            this._connectionsOf(sessionId).forEach((conn) => {
+                this._send(conn, { type: 'bound', data: { ok: false, session_id: sessionId, error: '会话已过期', code: 'EXPIRED' } });
+            });
+        }
+        this._connectionsOf(sessionId).forEach((conn) => {
+            conn.sessionId = null;
+        });
+    }
+
+    /* ---------- 配置与应用 ---------- */
+
+    agoraConfig(query) {
+        const uid = this.lock?.uid ?? AGORA_CONFIG.uid;
+        return { ...AGORA_CONFIG, uid, role: query.get('role') || 'publisher' };
+    }
+
+    setApp(query) {
+        const appId = query.get('app_id');
+        if (!APPS[appId]) {
+            return { ok: false, error: `未知应用: ${appId}` };
+        }
+        this.appId = appId;
+        this._log(`切换到应用 ${appId}（${APPS[appId]}）`);
+        return { ok: true, app_info: { id: appId, name: APPS[appId], lang: query.get('lang') || null } };
+    }
+
+    /* ---------- HTTP ---------- */
+
+    async _handleRequest(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204).end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const route = this.routes[`${req.method} ${url.pathname}`];
+        try {
+            if (route) {
+                const body = req.method === 'POST' ? await readJsonBody(req) : {};
+                sendJson(res, 200, route(body, url.searchParams));
+            } else if (req.method === 'GET') {
+                this._serveStatic(url.pathname, res);
+            } else {
+                sendJson(res, 404, { ok: false, error: `未知接口: ${req.method} ${url.pathname}` });
+            }
+        } catch (error) {
+            sendJson(res, 400, { ok: false, error: error.message });
+        }
+    }
+
+    _serveStatic(pathname, res) {
+        const relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+        const file = path.resolve(this.options.rootDir, relative);
+        if (!STATIC_PATTERN.test(relative) || !file.startsWith(path.resolve(this.options.rootDir) + path.sep)) {
+            sendJson(res, 404, { ok: false, error: `文件不存在: ${pathname}` });
+            return;
+        }
+        fs.readFile(file, (error, content) => {
+            if (error) {
+                sendJson(res, 404, { ok: false, error: `文件不存在: ${pathname}` });
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+            res.end(content);
+        });
+    }
+
+    /* ---------- WebSocket ---------- */
+
+    _handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (new URL(req.url, 'http://localhost').pathname !== '/ws' || !key) {
+            socket.destroy();
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+
+        const conn = { socket, buffer: Buffer.alloc(0), sessionId: null };
+        this.connections.add(conn);
+        socket.on('data', (chunk) => {
+            const { frames, rest } = decodeFrames(Buffer.concat([conn.buffer, chunk]));
+            conn.buffer = rest;
+            frames.forEach((frame) => this._handleFrame(conn, frame));
+        });
+        socket.on('close', () => this.connections.delete(conn));
+        socket.on('error', () => socket.destroy());
+    }
+
+    _handleFrame(conn, { opcode, payload }) {
+        if (opcode === 0x8) {
+            conn.socket.end(encodeFrame(payload, { opcode: 0x8 }));
+        } else if (opcode === 0x9) {
+            conn.socket.write(encodeFrame(payload, { opcode: 0xa }));
+        } else if (opcode === 0x1) {
+            this._handleMessage(conn, payload.toString('utf8'));
+        }
+    }
+
+    _handleMessage(conn, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            this._log(`⚠️ 无法解析的 WebSocket 消息: ${raw.slice(0, 100)}`);
+            return;
+        }
+
+        if (message.type === WsProtocol.Types.BIND) {
+            this._bind(conn, message);
+        } else if (CONTROL_TYPES.includes(message.type)) {
+            this._handleControl(conn, message);
+        } else if (message.type !== WsProtocol.Types.PONG) {
+            this._log(`⚠️ 未处理的 WebSocket 消息类型: ${message.type}`);
+        }
+    }
+
+    _bind(conn, { session_id: sessionId = null, token, last_seq: lastSeq }) {
+        if (!sessionId) {
+            conn.sessionId = null;
+            this._send(conn, { type: 'bound', data: { ok: true, session_id: null } });
+            return;
+        }
+        this._expireLock();
+        if (!this.lock || this.lock.sessionId !== sessionId || this.lock.token !== token) {
+            this._send(conn, { type: 'bound', data: { ok: false, session_id: sessionId, error: '会话不存在或已过期', code: 'INVALID_SESSION' } });
+            return;
+        }
+
+        conn.sessionId = sessionId;
+        const session = this.sessions.get(sessionId);
+        this._send(conn, { type: 'bound', data: { ok: true, session_id: sessionId, seq: session.seq } });
+        const missed = session.history.filter((envelope) => envelope.seq > (lastSeq ?? 0));
+        missed.forEach((envelope) => this._send(conn, envelope));
+        if (missed.length > 0) this._log(`补发 ${missed.length} 条消息（last_seq ${lastSeq ?? 0}）`);
+        if (!session.started) this._startScript(sessionId);
+    }
+
+    _handleControl(conn, { type, id, data = {} }) {
+        const errors = WsProtocol.validate(type, data);
+        const session = conn.sessionId ? this.sessions.get(conn.sessionId) : null;
+        if (errors.length === 0 && !session) errors.push('未绑定会话');
+        if (id) {
+            this._send(conn, { type: 'ack', data: errors.length > 0 ? { id, ok: false, error: errors.join('; ') } : { id, ok: true } });
+        }
+        if (errors.length > 0) return;
+
+        this._log(`收到控制消息 ${type}`);
+        if (type === WsProtocol.Types.USER_TEXT) {
+            this.push(conn.sessionId, 'assistant_text', { kind: 'stt', text: data.text, message_id: `text-${id || Date.now()}` });
+        } else if (type === WsProtocol.Types.REPEAT_LAST_PROMPT && session.lastPrompt) {
+            this.push(conn.sessionId, 'prerecorded_audio', session.lastPrompt);
+        } else if (type === WsProtocol.Types.END_SESSION) {
+            this._stopScript(session);
+        }
+    }
+
+    /**
+     * 向会话推送消息：分配 seq、记入历史（供补发），发给绑定该会话的所有连接
+     */
+    push(sessionId, type, data) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+        const envelope = { type, version: WsProtocol.VERSION, seq: ++session.seq, session_id: sessionId, data };
+        session.history.push(envelope);
+        if (type === WsProtocol.Types.PRERECORDED_AUDIO) session.lastPrompt = data;
+        this._connectionsOf(sessionId).forEach((conn) => this._send(conn, envelope));
+        return envelope;
+    }
+
+    _send(conn, message) {
+        if (conn.socket.destroyed) return;
+        conn.socket.write(encodeFrame(JSON.stringify({ version: WsProtocol.VERSION, ...message })));
+    }
+
+    _connectionsOf(sessionId) {
+        return [...this.connections].filter((conn) => conn.sessionId === sessionId);
+    }
+
+    _broadcastPing() {
+        this.connections.forEach((conn) => this._send(conn, { type: 'ping' }));
+    }
+
+    /* ---------- 剧本 ---------- */
+
+    fixtureFile() {
+        if (this.options.fixture) return this.options.fixture;
+        const byApp = path.join(this.options.fixtureDir, `${this.appId}.json`);
+        return fs.existsSync(byApp) ? byApp : path.join(this.options.fixtureDir, `${DEFAULT_FIXTURE}.json`);
+    }
+
+    _startScript(sessionId) {
+        const session = this.sessions.get(sessionId);
+        session.started = true;
+
+        let fixture;
+        const file = this.fixtureFile();
+        try {
+            fixture = loadFixture(file);
+        } catch (error) {
+            this._log(`❌ 剧本加载失败: ${error.message}`);
+            this.push(sessionId, 'error', { source: 'MOCK', message: error.message });
+            return;
+        }
+        this._log(`▶️ 会话 ${sessionId} 开始播放剧本 ${path.basename(file)}（${fixture.steps.length} 步）`);
+
+        let at = 0;
+        fixture.steps.forEach((step) => {
+            at += step.delay;
+            session.timers.push(setTimeout(() => this.push(sessionId, step.type, step.data), at));
+        });
+    }
+
+    _stopScript(session) {
+        session.timers.forEach((timer) => clearTimeout(timer));
+        session.timers = [];
+    }
+}
+
+/* ---------------- HTTP 工具 ---------------- */
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('请求体过大'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8').trim();
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(new Error(`请求体不是有效的 JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+/* ---------------- 命令行 ---------------- */
+
+function parseArgs(argv) {
+    const args = { port: DEFAULT_PORT, fixture: null, lockTtl: 25000, pingInterval: 15000 };
+    const number = (value, name, min) => {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < min) throw new Error(`${name} 必须是不小于 ${min} 的整数`);
+        return parsed;
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') args.port = number(argv[++i], '--port', 0);
+        else if (arg === '--fixture') args.fixture = path.resolve(argv[++i] || '');
+        else if (arg === '--lock-ttl') args.lockTtl = number(argv[++i], '--lock-ttl', 1);
+        else if (arg === '--ping-interval') args.pingInterval = number(argv[++i], '--ping-interval', 1);
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else throw new Error(`未知参数: ${arg}`);
+    }
+    return args;
+}
+
+function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+        if (args.fixture) loadFixture(args.fixture);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (args.help) {
+        console.log('用法: node mock_server.js [--port 8787] [--fixture <剧本文件>] [--lock-ttl <毫秒>] [--ping-interval <毫秒>]');
+        return 0;
+    }
+
+    const backend = new MockBackend(args);
+    backend.listen(args.port).then(
+        (port) => {
+            const base = `http://localhost:${port}`;
+            console.log('=== 模拟后端已启动 ===');
+            console.log('页面地址:', `${base}/index.html?backend=${base}`);
+            console.log('调试 WebSocket:', `ws://localhost:${port}/ws`);
+            console.log('剧本:', args.fixture || `${FIXTURE_DIR}/<app_id>.json（缺省 ${DEFAULT_FIXTURE}.json）`);
+        },
+        (error) => {
+            console.error(`❌ 无法监听端口 ${args.port}: ${error.message}`);
+            process.exitCode = 2;
+        }
+    );
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    MockBackend,
+    loadFixture,
+    encodeFrame,
+    decodeFrames,
+    main,
+};
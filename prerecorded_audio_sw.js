@@ -0,0 +1,52 @@
+/**
+ * 预录制音频 Service Worker
+ *
+ * 只拦截 prerecorded_audio/audio_files/ 下的 GET 请求：
+ * - 命中 prerec-audio-* 缓存时直接返回（支持 Range 请求，iOS 播放音频需要 206 响应）
+ * - 未命中时走网络，不在这里写缓存（由页面侧 PrerecordedAudioCache 按版本写入）
+ */
+
+// 与页面共用缓存名前缀和 Range 切片逻辑
+importScripts("web_audio_cache.js");
+
+const CACHE_PREFIX = PrerecordedAudioCache.CACHE_PREFIX;
+const AUDIO_PATH_PATTERN = /\/prerecorded_audio\/audio_files\//;
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !AUDIO_PATH_PATTERN.test(new URL(request.url).pathname)) {
+    return;
+  }
+  event.respondWith(serveAudio(request));
+});
+
+async function serveAudio(request) {
+  const cached = await matchCachedAudio(request.url);
+  if (!cached) {
+    return fetch(request);
+  }
+
+  const range = request.headers.get("range");
+  return range ? PrerecordedAudioCache.buildRangeResponse(cached, range) : cached;
+}
+
+/**
+ * 只在预录制音频缓存中查找（页面同一时间只保留一个版本）
+ */
+async function matchCachedAudio(url) {
+  const names = (await caches.keys()).filter((name) => name.startsWith(CACHE_PREFIX));
+  for (const name of names) {
+    const cache = await caches.open(name);
+    const response = await cache.match(url);
+    if (response) return response;
+  }
+  return null;
+}
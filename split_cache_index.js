@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * 按语言 / 场景拆分 cache_index.json
+ *
+ * 记录按 language 标签（未标注时按文本推断）分组，再按 scenarios 标签拆成：
+ *   <out-dir>/<language>/_shared.json     未标注 scenarios 的通用记录
+ *   <out-dir>/<language>/<scenario>.json  标注了该场景的记录（一条记录可属于多个场景）
+ *   <out-dir>/manifest.json               各分区文件、记录数与源索引版本号
+ *
+ * 页面加载某个应用时只需要 _shared.json 加上该应用的分区（与 PromptIndex.setPartition 的范围一致）
+ *
+ * 用法：
+ *   node split_cache_index.js [--index <cache_index.json>] [--out-dir <目录>] [--dry-run] [--json]
+ *
+ *   --out-dir  输出目录，默认为索引所在目录下的 partitions/
+ *   --dry-run  只输出拆分结果，不写文件
+ *   --json     输出机器可读的 JSON 报告
+ *
+ * 退出码：0 完成；1 存在无法归入分区的记录（场景语言与记录语言不一致）；2 参数或文件读写错误
+ */
+const fs = require('fs');
+const path = require('path');
+const PromptIndex = require('./web_prompt_index.js');
+
+const DEFAULT_INDEX_PATH = path.join(__dirname, 'prerecorded_audio', 'cache_index.json');
+const SHARED_PARTITION = '_shared';
+
+/**
+ * 计算分区
+ *
+ * @param {Object} cacheData - cache_index.json 内容
+ * @returns {Object} { partitions: [{ language, scenario, file, entries: { key: entry } }], skipped: [{ key, scenario, reason }] }
+ */
+function splitCacheIndex(cacheData) {
+    const partitions = new Map(); // "<language>/<name>" -> 分区
+    const skipped = [];
+
+    const partitionFor = (language, scenario) => {
+        const name = scenario || SHARED_PARTITION;
+        const file = `${language}/${name}.json`;
+        if (!partitions.has(file)) {
+            partitions.set(file, { language, scenario, file, entries: {} });
+        }
+        return partitions.get(file);
+    };
+
+    for (const [key, entry] of Object.entries(cacheData)) {
+        if (!entry || typeof entry !== 'object') continue;
+        const language = PromptIndex.entryLanguage(entry);
+        const scenarios = PromptIndex.entryScenarios(entry);
+
+        if (scenarios.length === 0) {
+            partitionFor(language, null).entries[key] = entry;
+            continue;
+        }
+        for (const scenario of scenarios) {
+            const scenarioLanguage = PromptIndex.Scenarios[scenario];
+            if (scenarioLanguage && scenarioLanguage !== language) {
+                skipped.push({ key, scenario, reason: `场景语言为 ${scenarioLanguage}，记录语言为 ${language}` });
+                continue;
+            }
+            partitionFor(language, scenario).entries[key] = entry;
+        }
+    }
+
+    return {
+        partitions: [...partitions.values()].sort((a, b) => a.file.localeCompare(b.file)),
+        skipped,
+    };
+}
+
+/**
+ * 生成 manifest.json 内容
+ */
+function buildManifest(indexPath, raw, partitions) {
+    return {
+        source: path.basename(indexPath),
+        version: PromptIndex.computeVersion(raw),
+        generated_at: new Date().toISOString(),
+        partitions: partitions.map(({ language, scenario, file, entries }) => ({
+            language,
+            scenario,
+            file,
+            entries: Object.keys(entries).length,
+        })),
+    };
+}
+
+function writePartitions(outDir, manifest, partitions) {
+    for (const partition of partitions) {
+        const target = path.join(outDir, partition.file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(partition.entries, null, 2) + '\n', 'utf8');
+    }
+    fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+function parseArgs(argv) {
+    const args = { indexPath: DEFAULT_INDEX_PATH, outDir: null, dryRun: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--index') args.indexPath = path.resolve(argv[++i] || '');
+        else if (arg === '--out-dir') args.outDir = path.resolve(argv[++i] || '');
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else throw new Error(`未知参数: ${arg}`);
+    }
+    if (!args.outDir) {
+        args.outDir = path.join(path.dirname(args.indexPath), 'partitions');
+    }
+    return args;
+}
+
+function printReport(report) {
+    console.log('=== cache_index.json 分区拆分 ===');
+    console.log('索引文件:', report.indexPath);
+    console.log('输出目录:', report.outDir);
+    console.log('索引版本:', report.manifest.version);
+
+    console.log('');
+    report.manifest.partitions.forEach((partition) => {
+        const label = partition.scenario ? `场景 ${partition.scenario}` : '通用';
+        console.log(`  - ${partition.file}: ${partition.entries} 条（${partition.language}，${label}）`);
+    });
+
+    if (report.skipped.length > 0) {
+        console.log(`\n❌ ${report.skipped.length} 条记录无法归入分区`);
+        report.skipped.forEach((item) => {
+            console.log(`  - ${item.key} → ${item.scenario}: ${item.reason}`);
+        });
+    }
+
+    console.log(report.written ? '\n✅ 已写入分区文件' : '\n⚠️ --dry-run，未写入文件');
+}
+
+function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (args.help) {
+        console.log('用法: node split_cache_index.js [--index <cache_index.json>] [--out-dir <目录>] [--dry-run] [--json]');
+        return 0;
+    }
+
+    let raw;
+    let cacheData;
+    try {
+        raw = fs.readFileSync(args.indexPath, 'utf8');
+        cacheData = JSON.parse(raw.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        console.error(`❌ 无法读取索引: ${error.message}`);
+        return 2;
+    }
+
+    const { partitions, skipped } = splitCacheIndex(cacheData);
+    const manifest = buildManifest(args.indexPath, raw, partitions);
+
+    let written = false;
+    if (!args.dryRun) {
+        try {
+            writePartitions(args.outDir, manifest, partitions);
+            written = true;
+        } catch (error) {
+            console.error(`❌ 无法写入分区文件: ${error.message}`);
+            return 2;
+        }
+    }
+
+    const report = { indexPath: args.indexPath, outDir: args.outDir, manifest, skipped, written };
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    return skipped.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    splitCacheIndex,
+    main,
+};
@@ -0,0 +1,123 @@
+/**
+ * cache_index.json 校验工具测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const { parseMp3, scanTopLevelKeys, validateCacheIndex, main } = require('../check_duplicates.js');
+
+// MPEG-1 Layer III，128kbps，44.1kHz，每帧 417 字节、1152 个采样
+function buildMp3(frames) {
+    const frame = Buffer.alloc(417);
+    frame.set([0xff, 0xfb, 0x90, 0x00]);
+    return Buffer.concat(Array.from({ length: frames }, () => frame));
+}
+
+function md5(text) {
+    return crypto.createHash('md5').update(text, 'utf8').digest('hex');
+}
+
+function createFixture(entries, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-index-'));
+    const audioDir = path.join(dir, 'audio_files');
+    fs.mkdirSync(audioDir);
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(audioDir, name), content);
+    }
+    const indexPath = path.join(dir, 'cache_index.json');
+    fs.writeFileSync(indexPath, JSON.stringify(entries, null, 2).replace(/\n/g, '\r\n'));
+    return { dir, indexPath, audioDir };
+}
+
+function entryFor(text) {
+    const key = md5(text);
+    return [key, {
+        text,
+        normalized_text: text,
+        audio_file: `${key}.mp3`,
+        created_at: null,
+        file_size: 0,
+        duration: 0,
+        is_predefined: true,
+    }];
+}
+
+test('解析 MP3 帧并计算时长', () => {
+    const info = parseMp3(buildMp3(10));
+    assert.equal(info.frames, 10);
+    assert.equal(info.sampleRate, 44100);
+    assert.ok(Math.abs(info.duration - (10 * 1152) / 44100) < 1e-9);
+    assert.throws(() => parseMp3(Buffer.from('not an mp3')), /未找到有效的 MPEG 音频帧/);
+});
+
+test('扫描原始 JSON 时保留重复 key', () => {
+    assert.deepEqual(scanTopLevelKeys('{"a": {"b": 1}, "a": {}, "c\\"": []}'), ['a', 'a', 'c"']);
+});
+
+test('--fix 回填元数据并保留换行风格', (t) => {
+    const [key, entry] = entryFor('你好.');
+    const [badKey, badEntry] = entryFor('再见.');
+    badEntry.normalized_text = '再见!';
+    const { dir, indexPath, audioDir } = createFixture(
+        { [key]: entry, [badKey]: badEntry },
+        { [`${key}.mp3`]: buildMp3(10), [`${badKey}.mp3`]: buildMp3(2), 'orphan.mp3': buildMp3(1) }
+    );
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const before = validateCacheIndex({ indexPath, audioDir });
+    const codes = before.issues.map((issue) => issue.code);
+    assert.ok(codes.includes('file-size-mismatch'));
+    assert.ok(codes.includes('duration-mismatch'));
+    assert.ok(codes.includes('key-mismatch'));
+    assert.deepEqual(before.orphans, ['orphan.mp3']);
+
+    const fixed = validateCacheIndex({ indexPath, audioDir, fix: true });
+    assert.equal(fixed.written, true);
+
+    const raw = fs.readFileSync(indexPath, 'utf8');
+    assert.ok(raw.includes('\r\n'));
+    const data = JSON.parse(raw);
+    assert.equal(data[key].file_size, 4170);
+    assert.equal(data[key].duration, 0.261);
+    assert.equal(typeof data[key].created_at, 'number');
+
+    // key 与文本不一致无法自动修复
+    const after = validateCacheIndex({ indexPath, audioDir });
+    assert.deepEqual(after.issues.filter((i) => i.level === 'error').map((i) => i.code), ['key-mismatch']);
+
+    t.mock.method(console, 'log', () => {});
+    assert.equal(main(['--index', indexPath, '--json']), 1);
+    assert.equal(main(['--index', indexPath, '--unknown']), 2);
+});
+
+test('校验 language / scenarios 分区标签并按分区拆分', (t) => {
+    const { splitCacheIndex } = require('../split_cache_index.js');
+    const [zhKey, zhEntry] = entryFor('现在开始诈骗演练');
+    zhEntry.scenarios = ['fraud_drill', 'dify_app_2', 'unknown_app'];
+    const [enKey, enEntry] = entryFor('Hello');
+    enEntry.language = 'zh';
+    const [sharedKey, sharedEntry] = entryFor('你好');
+    const entries = { [zhKey]: zhEntry, [enKey]: enEntry, [sharedKey]: sharedEntry };
+    const { dir, indexPath, audioDir } = createFixture(entries, {});
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const report = validateCacheIndex({ indexPath, audioDir });
+    const codes = report.issues.map((issue) => `${issue.code}:${issue.key}`);
+    assert.ok(codes.includes(`scenario-language-mismatch:${zhKey}`));
+    assert.ok(codes.includes(`unknown-scenario:${zhKey}`));
+    assert.ok(codes.includes(`language-mismatch:${enKey}`));
+    assert.ok(!report.issues.some((issue) => issue.code === 'unknown-field'));
+
+    const { partitions, skipped } = splitCacheIndex(entries);
+    assert.deepEqual(partitions.map((p) => [p.file, Object.keys(p.entries)]), [
+        ['zh/_shared.json', [enKey, sharedKey]],
+        ['zh/fraud_drill.json', [zhKey]],
+        ['zh/unknown_app.json', [zhKey]],
+    ]);
+    assert.deepEqual(skipped.map((item) => [item.key, item.scenario]), [[zhKey, 'dify_app_2']]);
+});
@@ -0,0 +1,58 @@
+/**
+ * cache_index.json 差异报告测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffCacheIndex, formatMarkdown } = require('../diff_cache_index.js');
+
+const entry = (text, audioFile) => ({ text, normalized_text: text, audio_file: audioFile });
+
+test('列出新增、删除、改写文本、audio_file 变化与 mp3 变化', () => {
+    const base = {
+        keep: entry('保持不变', 'keep.mp3'),
+        gone: entry('已经删除的提示语', 'gone.mp3'),
+        punct: entry('请拨打96110咨询', 'punct.mp3'),
+        same: entry('祝您生活愉快，再见', 'same.mp3'),
+        moved: entry('换了音频', 'moved.mp3'),
+    };
+    const head = {
+        keep: entry('保持不变', 'keep.mp3'),
+        punct2: entry('请拨打 96110 咨询。', 'punct2.mp3'),
+        same: { ...entry('祝您生活愉快,再见', 'same.mp3'), normalized_text: '祝您生活愉快，再见' },
+        moved: entry('换了音频', 'moved-v2.mp3'),
+        fresh: entry('全新的提示语', 'fresh.mp3'),
+    };
+
+    const report = diffCacheIndex(base, head, {
+        audioFiles: ['keep.mp3', 'punct2.mp3', 'same.mp3', 'moved-v2.mp3', 'gone.mp3', 'old.mp3'],
+    });
+
+    assert.deepEqual(report.added.map((e) => e.key), ['fresh']);
+    assert.deepEqual(report.removed.map((e) => e.key), ['gone']);
+    assert.deepEqual(report.retexted.map((e) => [e.fromKey, e.toKey]), [['same', 'same'], ['punct', 'punct2']]);
+    assert.deepEqual(report.audioChanged, [{ key: 'moved', text: '换了音频', from: 'moved.mp3', to: 'moved-v2.mp3' }]);
+    assert.deepEqual(report.audio.added, [
+        { file: 'fresh.mp3', exists: false },
+        { file: 'moved-v2.mp3', exists: true },
+        { file: 'punct2.mp3', exists: true },
+    ]);
+    assert.deepEqual(report.audio.orphaned, [
+        { file: 'gone.mp3', newlyOrphaned: true },
+        { file: 'old.mp3', newlyOrphaned: false },
+    ]);
+
+    const markdown = formatMarkdown({ base: 'a.json', head: 'b.json', ...report });
+    assert.match(markdown, /## 改写文本/);
+    assert.match(markdown, /\| punct → punct2 \| 请拨打96110咨询 \| 请拨打 96110 咨询。 \|/);
+    assert.match(markdown, /\| fresh\.mp3 \| ❌ 缺失 \|/);
+    assert.doesNotMatch(markdown, /没有变化/);
+});
+
+test('两份索引相同时报告没有变化', () => {
+    const data = { keep: entry('保持不变', 'keep.mp3') };
+    const report = diffCacheIndex(data, data);
+    assert.equal(report.summary.added + report.summary.removed + report.summary.retexted, 0);
+    assert.match(formatMarkdown({ base: 'a', head: 'b', ...report }), /✅ 没有变化/);
+});
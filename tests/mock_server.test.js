@@ -0,0 +1,152 @@
+/**
+ * 本地模拟后端测试
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const { MockBackend, loadFixture, encodeFrame, decodeFrames } = require('../mock_server.js');
+
+async function startBackend(t, options = {}) {
+    const backend = new MockBackend({ log: () => {}, ...options });
+    const port = await backend.listen(0);
+    t.after(() => backend.close());
+    return { backend, port };
+}
+
+function request(port, method, pathname, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path: pathname, headers: { 'Content-Type': 'application/json' } }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+}
+
+async function api(port, method, pathname, body) {
+    return JSON.parse((await request(port, method, pathname, body)).body);
+}
+
+/**
+ * 最小 WebSocket 客户端：收到的消息按顺序排队，next() 取下一条
+ */
+function connectWs(port) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port,
+            path: '/ws',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+            },
+        });
+        req.on('error', reject);
+        req.on('upgrade', (res, socket) => {
+            const queue = [];
+            const waiters = [];
+            let buffer = Buffer.alloc(0);
+            socket.on('data', (chunk) => {
+                const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+                buffer = rest;
+                frames
+                    .filter((frame) => frame.opcode === 0x1)
+                    .map((frame) => JSON.parse(frame.payload.toString('utf8')))
+                    .filter((message) => message.type !== 'ping')
+                    .forEach((message) => (waiters.length > 0 ? waiters.shift()(message) : queue.push(message)));
+            });
+            resolve({
+                send: (message) => socket.write(encodeFrame(JSON.stringify(message), { mask: true })),
+                next: () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise((r) => waiters.push(r))),
+                close: () => socket.destroy(),
+            });
+        });
+        req.end();
+    });
+}
+
+function writeFixture(t, steps) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-fixture-')), 'script.json');
+    fs.writeFileSync(file, JSON.stringify({ steps }), 'utf8');
+    t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+    return file;
+}
+
+test('房间锁：占用时返回 BUSY，离开或心跳超时后释放', async (t) => {
+    const { port } = await startBackend(t, { lockTtl: 150 });
+
+    const first = await api(port, 'POST', '/rtc/enter', { channel: 'solidchannel' });
+    assert.equal(first.ok, true);
+    assert.ok(first.sessionId && first.token && first.appId);
+    assert.deepEqual(await api(port, 'POST', '/rtc/enter', { channel: 'solidchannel' }), { ok: false, reason: 'BUSY' });
+
+    assert.deepEqual(await api(port, 'POST', '/rtc/beat', { sessionId: first.sessionId }), { ok: true });
+    assert.equal((await api(port, 'POST', '/rtc/leave', { sessionId: first.sessionId })).ok, true);
+
+    const second = await api(port, 'POST', '/rtc/enter', { channel: 'solidchannel' });
+    assert.equal(second.ok, true);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.deepEqual(await api(port, 'POST', '/rtc/beat', { sessionId: second.sessionId }), { ok: false, reason: 'EXPIRED' });
+    assert.equal((await api(port, 'POST', '/rtc/enter', {})).ok, true);
+
+    assert.equal((await api(port, 'GET', '/api/set_dify_app?app_id=fraud_drill&lang=zh')).app_info.name, '诈骗演练');
+    assert.equal((await api(port, 'GET', '/api/set_dify_app?app_id=nope')).ok, false);
+    assert.equal((await api(port, 'GET', '/api/agora/config?role=publisher')).botUid, 12345);
+    assert.equal((await request(port, 'GET', '/prerecorded_audio/cache_index.json')).status, 200);
+    assert.equal((await request(port, 'GET', '/requests.jsonl')).status, 404);
+    assert.equal((await request(port, 'GET', '/../index.html')).status, 200);
+});
+
+test('WebSocket：bind 后播放剧本，控制消息回 ack，重连按 last_seq 补发', async (t) => {
+    const fixture = writeFixture(t, [
+        { delay: 0, type: 'assistant_text', data: { kind: 'stt', text: '不认识', message_id: 'u1' } },
+        { delay: 10, type: 'prerecorded_audio', data: { audio_file_path: 'prerecorded_audio/audio_files/a.mp3', text: '好的', hash: 'a' } },
+    ]);
+    const { port } = await startBackend(t, { fixture });
+    const { sessionId, token } = await api(port, 'POST', '/rtc/enter', {});
+
+    const ws = await connectWs(port);
+    ws.send({ type: 'bind', version: 1, client_id: 'test', client_type: 'web_client', session_id: sessionId, token: 'wrong' });
+    assert.deepEqual((await ws.next()).data, { ok: false, session_id: sessionId, error: '会话不存在或已过期', code: 'INVALID_SESSION' });
+
+    ws.send({ type: 'bind', version: 1, client_id: 'test', client_type: 'web_client', session_id: sessionId, token });
+    assert.deepEqual((await ws.next()).data, { ok: true, session_id: sessionId, seq: 0 });
+    const stt = await ws.next();
+    assert.equal(stt.seq, 1);
+    assert.equal(stt.session_id, sessionId);
+    assert.equal(stt.data.text, '不认识');
+    assert.equal((await ws.next()).type, 'prerecorded_audio');
+
+    ws.send({ type: 'user_text', version: 1, id: 'c1', data: { text: '我不认识', session_id: sessionId, ts: Date.now() } });
+    assert.deepEqual((await ws.next()).data, { id: 'c1', ok: true });
+    assert.equal((await ws.next()).data.text, '我不认识');
+    ws.send({ type: 'mute', version: 1, id: 'c2', data: { session_id: sessionId } });
+    assert.equal((await ws.next()).data.ok, false);
+    ws.close();
+
+    const again = await connectWs(port);
+    again.send({ type: 'bind', version: 1, client_id: 'test', client_type: 'web_client', session_id: sessionId, token, last_seq: 1 });
+    assert.equal((await again.next()).data.ok, true);
+    assert.deepEqual([(await again.next()).seq, (await again.next()).seq], [2, 3]);
+    again.close();
+});
+
+test('剧本文件按协议 schema 校验', (t) => {
+    const bad = writeFixture(t, [{ delay: 0, type: 'assistant_text', data: { kind: 'stt' } }]);
+    assert.throws(() => loadFixture(bad), /第 1 步 \(assistant_text\): 缺少字段 text/);
+    const outbound = writeFixture(t, [{ type: 'interrupt', data: {} }]);
+    assert.throws(() => loadFixture(outbound), /不是服务端消息类型 interrupt/);
+
+    for (const file of fs.readdirSync(path.join(__dirname, '..', 'mock_fixtures'))) {
+        assert.ok(loadFixture(path.join(__dirname, '..', 'mock_fixtures', file)).steps.length > 0, file);
+    }
+});
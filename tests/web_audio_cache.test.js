@@ -0,0 +1,147 @@
+/**
+ * 预录制音频离线缓存测试（内存版 CacheStorage）
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PrerecordedAudioCache = require("../web_audio_cache.js");
+
+class MemoryCache {
+  constructor() {
+    this.store = new Map();
+  }
+  async match(url) {
+    return this.store.get(url);
+  }
+  async put(url, response) {
+    this.store.set(url, response);
+  }
+}
+
+class MemoryCacheStorage {
+  constructor() {
+    this.caches = new Map();
+  }
+  async open(name) {
+    if (!this.caches.has(name)) this.caches.set(name, new MemoryCache());
+    return this.caches.get(name);
+  }
+  async keys() {
+    return [...this.caches.keys()];
+  }
+  async delete(name) {
+    return this.caches.delete(name);
+  }
+}
+
+function createCache({ failing = [] } = {}) {
+  const storage = new MemoryCacheStorage();
+  const requests = [];
+  const cache = new PrerecordedAudioCache({
+    caches: storage,
+    logLevel: "silent",
+    fetch: async (url) => {
+      requests.push(url);
+      return failing.includes(url) ? { ok: false, status: 404 } : { ok: true, status: 200, url };
+    },
+  });
+  return { cache, storage, requests };
+}
+
+const URLS = ["https://a/prerecorded_audio/audio_files/1.mp3", "https://a/prerecorded_audio/audio_files/2.mp3"];
+
+test("按版本激活并淘汰旧版本缓存", async () => {
+  const { cache, storage } = createCache();
+  await storage.open("prerec-audio-old");
+  await storage.open("other-cache");
+
+  const { cacheName, evicted } = await cache.activate("abc123");
+  assert.equal(cacheName, "prerec-audio-abc123");
+  assert.deepEqual(evicted, ["prerec-audio-old"]);
+  assert.deepEqual(await storage.keys(), ["other-cache"]);
+});
+
+test("预缓存只下载缺失的音频并报告覆盖率", async () => {
+  const { cache, requests } = createCache({ failing: [URLS[1]] });
+  await cache.activate("v1");
+
+  const progress = [];
+  const report = await cache.precache([...URLS, URLS[0]], {
+    scenario: "fraud_drill",
+    onProgress: (p) => progress.push(p.done),
+  });
+  assert.equal(report.total, 2);
+  assert.equal(report.cached, 1);
+  assert.equal(report.percent, 50);
+  assert.deepEqual(report.missing, [URLS[1]]);
+  assert.equal(report.failed.length, 1);
+  assert.deepEqual(progress, [1, 2]);
+
+  await cache.precache(URLS, { scenario: "fraud_drill" });
+  assert.deepEqual(requests, [URLS[0], URLS[1], URLS[1]]);
+  assert.equal(await cache.has(URLS[0]), true);
+});
+
+test("版本切换后旧缓存失效，需要重新下载", async () => {
+  const { cache, requests } = createCache();
+  await cache.activate("v1");
+  await cache.precache(URLS, { scenario: "a" });
+
+  await cache.activate("v2");
+  assert.equal(await cache.has(URLS[0]), false);
+  assert.equal((await cache.coverage()).total, 0);
+
+  const report = await cache.precache(URLS, { scenario: "a" });
+  assert.equal(report.percent, 100);
+  assert.equal(requests.length, 4);
+});
+
+test("未激活或不支持时不写缓存", async () => {
+  const { cache } = createCache();
+  assert.equal(await cache.put(URLS[0], { ok: true }), false);
+  assert.equal(await cache.has(URLS[0]), false);
+
+  const unsupported = new PrerecordedAudioCache({ logLevel: "silent" });
+  if (!unsupported.supported) {
+    const coverage = await unsupported.coverage(URLS);
+    assert.equal(coverage.cached, 0);
+    assert.equal(coverage.percent, 0);
+  }
+});
+
+test("Range 请求：206 切片、后缀区间、416 越界与无法解析时返回完整内容", async () => {
+  const full = () => new Response("0123456789", { headers: { "Content-Type": "audio/mp4" } });
+  const build = PrerecordedAudioCache.buildRangeResponse;
+
+  const head = await build(full(), "bytes=0-3");
+  assert.equal(head.status, 206);
+  assert.equal(await head.text(), "0123");
+  assert.equal(head.headers.get("Content-Range"), "bytes 0-3/10");
+  assert.equal(head.headers.get("Content-Length"), "4");
+  assert.equal(head.headers.get("Content-Type"), "audio/mp4");
+
+  const open = await build(full(), "bytes=7-");
+  assert.equal(await open.text(), "789");
+  assert.equal(open.headers.get("Content-Range"), "bytes 7-9/10");
+
+  const clamped = await build(full(), "bytes=8-100");
+  assert.equal(await clamped.text(), "89");
+
+  const suffix = await build(full(), "bytes=-4");
+  assert.equal(await suffix.text(), "6789");
+  assert.equal(suffix.headers.get("Content-Range"), "bytes 6-9/10");
+  assert.equal(await (await build(full(), "bytes=-50")).text(), "0123456789");
+
+  for (const range of ["bytes=10-", "bytes=5-2"]) {
+    const outside = await build(full(), range);
+    assert.equal(outside.status, 416, range);
+    assert.equal(outside.headers.get("Content-Range"), "bytes */10");
+  }
+
+  for (const range of ["bytes=-", "items=0-1", "bytes=0-1,4-5"]) {
+    const whole = await build(full(), range);
+    assert.equal(whole.status, 200, range);
+    assert.equal(await whole.text(), "0123456789");
+  }
+});
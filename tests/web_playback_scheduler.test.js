@@ -0,0 +1,242 @@
+/**
+ * 播放调度器测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PlaybackScheduler = require("../web_playback_scheduler.js");
+
+const { Policy, Status, Events } = PlaybackScheduler;
+
+// 模拟 AudioBufferSourceNode：stop() 或 finish() 触发 onended
+class FakeHandle {
+  constructor(url) {
+    this.url = url;
+    this.onended = null;
+    this.stopped = false;
+  }
+  stop() {
+    this.stopped = true;
+    this.onended?.();
+  }
+  finish() {
+    this.onended?.();
+  }
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function createScheduler(options = {}) {
+  const handles = [];
+  const events = [];
+  const scheduler = new PlaybackScheduler({
+    play: async (url) => {
+      if (url.includes("broken")) throw new Error("decode failed");
+      const handle = new FakeHandle(url);
+      handles.push(handle);
+      return handle;
+    },
+    logLevel: "silent",
+    ...options,
+  });
+  for (const event of Object.values(Events)) {
+    scheduler.on(event, (payload) => events.push([event, payload.id, payload.reason]));
+  }
+  return { scheduler, handles, events };
+}
+
+test("按优先级排队，同优先级先进先出，组合片段依次播放", async () => {
+  const { scheduler, handles } = createScheduler();
+
+  const first = scheduler.schedule({ urls: ["a1", "a2"], key: "a" });
+  const low = scheduler.schedule({ urls: "low", key: "low" });
+  const high = scheduler.schedule({ urls: "high", key: "high", priority: 5 });
+  await flush();
+  assert.deepEqual(handles.map((h) => h.url), ["a1"]);
+
+  handles[0].finish();
+  await flush();
+  assert.deepEqual(handles.map((h) => h.url), ["a1", "a2"]);
+
+  handles[1].finish();
+  await flush();
+  handles[2].finish();
+  await flush();
+  handles[3].finish();
+
+  assert.deepEqual((await first.done).status, Status.ENDED);
+  await Promise.all([low.done, high.done]);
+  assert.deepEqual(handles.map((h) => h.url), ["a1", "a2", "high", "low"]);
+  assert.ok(scheduler.idle);
+});
+
+test("replace 打断当前片段，drop 在忙时丢弃，同 key 去重", async () => {
+  const { scheduler, handles, events } = createScheduler();
+
+  const first = scheduler.schedule({ urls: "one", key: "one" });
+  await flush();
+  assert.equal(scheduler.schedule({ urls: "one", key: "one" }).status, Status.DROPPED);
+  assert.equal(scheduler.schedule({ urls: "other", policy: Policy.DROP }).status, Status.DROPPED);
+
+  const second = scheduler.schedule({ urls: "two", key: "two", policy: Policy.REPLACE });
+  assert.deepEqual(await first.done, { status: Status.INTERRUPTED, reason: "replaced" });
+  assert.equal(handles[0].stopped, true);
+
+  await flush();
+  assert.equal(scheduler.current, second);
+  handles[1].finish();
+  await second.done;
+
+  assert.deepEqual(
+    events.filter(([event]) => event !== Events.IDLE).map(([event, , reason]) => [event, reason]),
+    [
+      [Events.START, undefined],
+      [Events.DROP, "duplicate"],
+      [Events.DROP, "busy"],
+      [Events.INTERRUPT, "replaced"],
+      [Events.START, undefined],
+      [Events.END, "completed"],
+    ]
+  );
+});
+
+test("低优先级的 replace 不会打断高优先级片段", async () => {
+  const { scheduler, handles } = createScheduler();
+
+  const important = scheduler.schedule({ urls: "important", priority: 10 });
+  await flush();
+  const later = scheduler.schedule({ urls: "later", policy: Policy.REPLACE });
+  await flush();
+  assert.equal(important.status, Status.PLAYING);
+  assert.equal(later.status, Status.QUEUED);
+
+  handles[0].finish();
+  await flush();
+  handles[1].finish();
+  assert.equal((await later.done).status, Status.ENDED);
+});
+
+test("播放期间压低 Bot 音量，结束后恢复", async () => {
+  const { scheduler, handles } = createScheduler();
+  const volumes = [];
+  scheduler.setDuckTarget({ setVolume: (v) => volumes.push(v) }, 70);
+
+  const item = scheduler.schedule({ urls: "clip" });
+  await flush();
+  scheduler.setBaseVolume(50);
+  handles[0].finish();
+  await item.done;
+  await flush();
+
+  assert.deepEqual(volumes, [70, 14, 10, 50]);
+  assert.equal(scheduler.ducked, false);
+});
+
+test("未就绪时只排队，resume 后播放；出错与 stopAll 都会结束片段", async () => {
+  let ready = false;
+  const stopped = [];
+  const { scheduler, handles } = createScheduler({
+    isReady: () => ready,
+    stopAll: () => stopped.push(true),
+  });
+
+  const broken = scheduler.schedule({ urls: "broken" });
+  const queued = scheduler.schedule({ urls: "ok" });
+  await flush();
+  assert.equal(handles.length, 0);
+
+  ready = true;
+  scheduler.resume();
+  assert.deepEqual(await broken.done, { status: Status.ERROR, reason: "decode failed" });
+  await flush();
+  assert.equal(queued.status, Status.PLAYING);
+
+  const waiting = scheduler.schedule({ urls: "waiting" });
+  assert.equal(scheduler.stopAll(), 2);
+  assert.equal((await queued.done).status, Status.INTERRUPTED);
+  assert.deepEqual(await waiting.done, { status: Status.DROPPED, reason: "stop-all" });
+  assert.equal(handles[0].stopped, true);
+  assert.equal(stopped.length, 1);
+});
+
+test("插话时淡出并打断当前片段，Bot 音轨临时静音", async () => {
+  const { scheduler, handles } = createScheduler({
+    play: async (url) => {
+      const handle = Object.assign(new FakeHandle(url), { volume: 1 });
+      handle.pause = () => {
+        handle.stopped = true;
+        handle.onended?.();
+      };
+      handles.push(handle);
+      return handle;
+    },
+  });
+  const volumes = [];
+  scheduler.setDuckTarget({ setVolume: (v) => volumes.push(v) }, 60);
+
+  const current = scheduler.schedule({ urls: "long" });
+  const queued = scheduler.schedule({ urls: "next" });
+  await flush();
+
+  const [count] = await Promise.all([
+    scheduler.interrupt("barge-in", { fadeMs: 50 }),
+    scheduler.silenceRemote(true, { fadeMs: 50 }),
+  ]);
+  assert.equal(count, 2);
+  assert.equal(handles[0].volume, 0);
+  assert.deepEqual(await current.done, { status: Status.INTERRUPTED, reason: "barge-in" });
+  assert.deepEqual(await queued.done, { status: Status.DROPPED, reason: "barge-in" });
+  assert.equal(volumes.at(-1), 0);
+
+  await flush();
+  await scheduler.silenceRemote(false);
+  assert.equal(volumes.at(-1), 60);
+});
+
+test("加载期间不压低 Bot 音量，拿到播放句柄后才压低，加载失败时恢复", async () => {
+  const loads = [];
+  const { scheduler } = createScheduler({
+    play: (url) => new Promise((resolve, reject) => loads.push({ url, resolve, reject })),
+  });
+  const volumes = [];
+  scheduler.setDuckTarget({ setVolume: (v) => volumes.push(v) }, 70);
+
+  const failing = scheduler.schedule({ urls: "slow-broken" });
+  await flush();
+  assert.equal(scheduler.ducked, false);
+  loads[0].reject(new Error("timeout"));
+  assert.equal((await failing.done).status, Status.ERROR);
+  assert.equal(scheduler.ducked, false);
+
+  const item = scheduler.schedule({ urls: "slow" });
+  await flush();
+  assert.deepEqual(volumes, [70]);
+  const handle = new FakeHandle("slow");
+  loads[1].resolve(handle);
+  await flush();
+  assert.equal(scheduler.ducked, true);
+  assert.deepEqual(volumes, [70, 14]);
+
+  handle.finish();
+  await item.done;
+  await flush();
+  assert.deepEqual(volumes, [70, 14, 70]);
+});
+
+test("去重记录在窗口过后清理", async () => {
+  const { scheduler, handles } = createScheduler({ dedupWindow: 20 });
+
+  for (const key of ["a", "b", "c"]) {
+    scheduler.schedule({ urls: key, key });
+    await flush();
+    handles.at(-1).finish();
+    await flush();
+  }
+  assert.equal(scheduler._recent.size, 3);
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  const again = scheduler.schedule({ urls: "a", key: "a" });
+  assert.notEqual(again.status, Status.DROPPED);
+  assert.deepEqual([...scheduler._recent.keys()], ["a"]);
+});
@@ -0,0 +1,129 @@
+/**
+ * 预录制提示语索引测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const PromptIndex = require("../web_prompt_index.js");
+
+const INDEX_PATH = path.join(__dirname, "..", "prerecorded_audio", "cache_index.json");
+
+const SAMPLE = {
+  apology: { text: "抱歉我没能听明白", normalized_text: "抱歉我没能听明白", audio_file: "apology.mp3" },
+  bye: { text: "祝您生活愉快，再见", normalized_text: "祝您生活愉快,再见", audio_file: "bye.mp3" },
+  app: {
+    text: "请问您还记得对方自称是做什么的吗？有让您通过什么途径转账，或者下载 APP 吗？",
+    normalized_text: "请问您还记得对方自称是做什么的吗?有让您通过什么途径转账,或者下载 APP 吗?",
+    audio_file: "app.mp3",
+  },
+};
+
+function createIndex(data = SAMPLE, options = {}) {
+  const index = new PromptIndex({ logLevel: "silent", ...options });
+  index.setData(data);
+  return index;
+}
+
+test("精确与规范化匹配", () => {
+  const index = createIndex();
+
+  const exact = index.lookup("祝您生活愉快,再见");
+  assert.equal(exact.type, PromptIndex.MatchType.EXACT);
+  assert.equal(exact.score, 1);
+  assert.deepEqual(exact.clips.map((c) => c.key), ["bye"]);
+
+  const normalized = index.lookup("祝您生活愉快 再见！");
+  assert.equal(normalized.type, PromptIndex.MatchType.NORMALIZED);
+  assert.deepEqual(normalized.clips.map((c) => c.audio_file), ["bye.mp3"]);
+});
+
+test("没有完整音频时按片段组合匹配", () => {
+  const index = createIndex();
+
+  const match = index.lookup("抱歉我没能听明白，祝您生活愉快，再见。");
+  assert.equal(match.type, PromptIndex.MatchType.COMPOSITE);
+  assert.deepEqual(match.clips.map((c) => c.audio_file), ["apology.mp3", "bye.mp3"]);
+
+  const limited = createIndex(SAMPLE, { maxCompositeParts: 1 });
+  assert.equal(limited.lookup("抱歉我没能听明白，祝您生活愉快，再见。").type, PromptIndex.MatchType.NONE);
+});
+
+test("模糊匹配带分数并遵守阈值", () => {
+  const index = createIndex();
+  const text = "请问您还记得对方自称是做什么的吗？有没有让您通过什么途径转账，或者下载APP？";
+
+  const match = index.lookup(text);
+  assert.equal(match.type, PromptIndex.MatchType.FUZZY);
+  assert.deepEqual(match.clips.map((c) => c.key), ["app"]);
+  assert.ok(match.score >= 0.85 && match.score < 1);
+
+  assert.equal(index.lookup(text, { fuzzyThreshold: 0.99 }).type, PromptIndex.MatchType.NONE);
+  assert.equal(index.lookup("今天天气不错").type, PromptIndex.MatchType.NONE);
+});
+
+test("索引只加载一次，内容不变时刷新不重建", async () => {
+  const raw = fs.readFileSync(INDEX_PATH, "utf8");
+  let requests = 0;
+  const index = new PromptIndex({
+    url: "/prerecorded_audio/cache_index.json",
+    logLevel: "silent",
+    fetch: async () => {
+      requests++;
+      return { ok: true, status: 200, text: async () => raw };
+    },
+  });
+
+  await Promise.all([index.load(), index.load()]);
+  assert.equal(requests, 1);
+  assert.equal(index.version, PromptIndex.computeVersion(raw));
+  assert.equal(index.size, Object.keys(JSON.parse(raw)).length);
+
+  const loadedAt = index.loadedAt;
+  await index.load({ force: true });
+  assert.equal(requests, 2);
+  assert.equal(index.loadedAt, loadedAt);
+
+  assert.equal(index.lookup("祝您生活愉快，再见").type, PromptIndex.MatchType.EXACT);
+});
+
+test("加载失败时可以重试", async () => {
+  let ok = false;
+  const index = new PromptIndex({
+    url: "/cache_index.json",
+    logLevel: "silent",
+    fetch: async () => (ok ? { ok: true, text: async () => JSON.stringify(SAMPLE) } : { ok: false, status: 404 }),
+  });
+
+  await assert.rejects(index.load(), /HTTP 404/);
+  ok = true;
+  await index.load();
+  assert.equal(index.size, 3);
+});
+
+test("分区查找按 应用 → 同语言 → 无 回退，不跨语言", () => {
+  const index = createIndex({
+    ...SAMPLE,
+    drill: { text: "现在开始诈骗演练", audio_file: "drill.mp3", scenarios: ["fraud_drill"] },
+    risk: { text: "请注意转账风险", audio_file: "risk.mp3", language: "zh", scenarios: ["dify_app_1"] },
+    hello: { text: "Hello, how can I help you?", audio_file: "hello.mp3", scenarios: ["dify_app_2"] },
+  });
+
+  index.setPartition({ scenario: "fraud_drill" });
+  assert.deepEqual(index.partition, { scenario: "fraud_drill", language: "zh" });
+  assert.equal(index.lookup("现在开始诈骗演练").tier, PromptIndex.Tier.SCENARIO);
+  assert.equal(index.lookup("祝您生活愉快,再见").tier, PromptIndex.Tier.SCENARIO);
+  assert.equal(index.lookup("请注意转账风险").tier, PromptIndex.Tier.LANGUAGE);
+  assert.equal(index.lookup("Hello, how can I help you?").type, PromptIndex.MatchType.NONE);
+  assert.deepEqual(index.audioFiles().sort(), ["apology.mp3", "app.mp3", "bye.mp3", "drill.mp3"]);
+
+  index.setPartition({ scenario: "dify_app_2" });
+  assert.deepEqual(index.audioFiles(), ["hello.mp3"]);
+  assert.equal(index.lookup("祝您生活愉快,再见").type, PromptIndex.MatchType.NONE);
+
+  index.setPartition(null);
+  assert.equal(index.lookup("Hello, how can I help you?").tier, PromptIndex.Tier.ALL);
+  assert.equal(index.audioFiles().length, 6);
+});
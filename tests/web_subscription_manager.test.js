@@ -0,0 +1,617 @@
+/**
+ * WebSubscriptionManager 离线测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const WebSubscriptionManager = require("../web_subscription_manager.js");
+const { FakeAgoraClient } = require("../web_fake_agora_client.js");
+
+const BOT_UID = 12345;
+const Events = WebSubscriptionManager.Events;
+
+function createManager(client, options = {}) {
+  return new WebSubscriptionManager(client, {
+    maxRetryAttempts: 3,
+    retryDelay: 5,
+    subscriptionTimeout: 50,
+    logLevel: "silent",
+    roleResolver: (uid) => (String(uid) === String(BOT_UID) ? "bot" : null),
+    policy: WebSubscriptionManager.Policies.botsOnly(),
+    ...options,
+  });
+}
+
+async function waitFor(predicate, timeout = 1000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("waitFor 超时");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  }
+}
+
+function collect(manager, event) {
+  const payloads = [];
+  manager.on(event, (payload) => payloads.push(payload));
+  return payloads;
+}
+
+function subscribeCalls(client) {
+  return client.calls.filter((c) => c.method === "subscribe");
+}
+
+test("补种 join 之前已在频道内的远端用户", async () => {
+  const client = new FakeAgoraClient();
+  await client.userJoin(BOT_UID, { silent: true, hasAudio: true });
+  await client.userJoin(7, { silent: true });
+
+  const manager = createManager(client);
+  const infos = manager.getAllSubscriptionInfo();
+
+  assert.equal(infos.length, 2);
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).hasAudio, true);
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioState, "not_subscribed");
+
+  const results = await manager.subscribeExistingUsers();
+  assert.deepEqual(results, [{ uid: "12345", mediaType: "audio", success: true }]);
+  assert.equal(manager.getUserSubscriptionInfo(7).audioSubscribed, false);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("published 先于 joined 到达时不会重置已有订阅", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client);
+
+  const user = await client.userPublish(BOT_UID, "audio");
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioSubscribed, true);
+
+  await client.emit("user-joined", user);
+
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioSubscribed, true);
+  assert.equal(subscribeCalls(client).length, 1);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("订阅失败后按重试次数恢复", async () => {
+  const client = new FakeAgoraClient();
+  client.scriptSubscribe({ uid: BOT_UID, error: "网络抖动" });
+  const manager = createManager(client);
+  const scheduled = collect(manager, Events.RETRY_SCHEDULED);
+
+  await client.userPublish(BOT_UID, "audio");
+
+  const info = manager.getUserSubscriptionInfo(BOT_UID);
+  assert.equal(info.audioSubscribed, true);
+  assert.equal(subscribeCalls(client).length, 2);
+  assert.equal(scheduled.length, 1);
+  assert.equal(scheduled[0].attempt, 2);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("订阅挂起时按超时处理并最终失败", async () => {
+  const client = new FakeAgoraClient();
+  client.scriptSubscribe({ uid: BOT_UID, hang: true, times: Infinity });
+  const manager = createManager(client, {
+    maxRetryAttempts: 2,
+    policy: WebSubscriptionManager.Policies.everyoneAudio(),
+  });
+  const failed = collect(manager, Events.SUBSCRIPTION_FAILED);
+
+  await client.userPublish(BOT_UID, "audio");
+
+  assert.equal(failed.length, 1);
+  assert.match(failed[0].error.message, /订阅超时/);
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioState, "subscription_failed");
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("主动停止重试不算失败，并发调用只由发起方发出结果事件", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, { enableAutoSubscribe: false });
+  const failed = collect(manager, Events.SUBSCRIPTION_FAILED);
+  const exhausted = collect(manager, Events.RETRY_EXHAUSTED);
+
+  // 用户已取消发布：no-media 是主动结束
+  await client.userPublish(BOT_UID, "audio");
+  await client.userUnpublish(BOT_UID, "audio");
+  assert.equal(await manager.subscribeToUser(BOT_UID, "audio"), false);
+  assert.equal(failed.length, 0);
+  assert.equal(exhausted.length, 0);
+  assert.notEqual(manager.getUserSubscriptionInfo(BOT_UID).audioState, "subscription_failed");
+
+  // 重试次数耗尽：两个并发调用共用一次任务，事件只发一次
+  await client.userPublish(BOT_UID, "audio");
+  client.scriptSubscribe({ uid: BOT_UID, error: "网络抖动", times: Infinity });
+  const results = await Promise.all([
+    manager.subscribeToUser(BOT_UID, "audio"),
+    manager.subscribeToUser(BOT_UID, "audio"),
+  ]);
+  assert.deepEqual(results, [false, false]);
+  assert.equal(failed.length, 1);
+  assert.equal(exhausted.length, 1);
+  assert.equal(exhausted[0].reason, "max-attempts");
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("Bot 发布时 SDK 状态滞后，后台重试直至订阅成功", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, { maxRetryAttempts: 10 });
+  const scheduled = collect(manager, Events.RETRY_SCHEDULED);
+
+  await client.userPublish(BOT_UID, "audio", { syncDelay: 15 });
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioSubscribed, false);
+
+  await waitFor(() => manager.getUserSubscriptionInfo(BOT_UID).audioSubscribed);
+  assert.ok(scheduled.length >= 1);
+  assert.equal(scheduled[0].source, "bot-retry");
+  assert.equal(manager.getPendingRetries().length, 0);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("Bot 重试次数耗尽时派发 retry-exhausted", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client);
+  const exhausted = collect(manager, Events.RETRY_EXHAUSTED);
+
+  await client.userPublish(BOT_UID, "audio", { syncDelay: 10000 });
+
+  await waitFor(() => exhausted.length === 1);
+  assert.equal(exhausted[0].uid, "12345");
+  assert.equal(exhausted[0].attempt, 3);
+  assert.equal(subscribeCalls(client).length, 0);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("重试过程中用户离开会停止重试", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, { retryDelay: 20 });
+  const exhausted = collect(manager, Events.RETRY_EXHAUSTED);
+
+  await client.userPublish(BOT_UID, "audio", { syncDelay: 10000 });
+  const pending = manager.getPendingRetries();
+  assert.equal(pending.length, 1);
+  assert.equal(pending[0].uid, "12345");
+  assert.equal(pending[0].source, "bot-retry");
+
+  await client.userLeave(BOT_UID);
+  assert.equal(manager.getPendingRetries().length, 0);
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID), null);
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(subscribeCalls(client).length, 0);
+  assert.equal(exhausted.length, 0);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("destroy() 解绑事件并清理定时器", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, { retryDelay: 20 });
+
+  await client.userPublish(BOT_UID, "audio", { syncDelay: 10000 });
+  assert.equal(manager.getPendingRetries().length, 1);
+
+  manager.destroy();
+
+  assert.equal(manager.getPendingRetries().length, 0);
+  assert.equal(manager.subscriptions.size, 0);
+  for (const event of [
+    "user-joined",
+    "user-published",
+    "user-unpublished",
+    "user-left",
+    "connection-state-change",
+  ]) {
+    assert.equal(client.listenerCount(event), 0, event);
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(subscribeCalls(client).length, 0);
+
+  client.destroy();
+});
+
+test("超时放弃的订阅在底层完成后被撤销", async () => {
+  const client = new FakeAgoraClient();
+  client.scriptSubscribe({ uid: BOT_UID, delay: 80 });
+  const manager = createManager(client, {
+    maxRetryAttempts: 1,
+    subscriptionTimeout: 20,
+    policy: WebSubscriptionManager.Policies.everyoneAudio(),
+  });
+
+  await client.userPublish(BOT_UID, "audio");
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioState, "subscription_failed");
+
+  await waitFor(() => client.calls.some((c) => c.method === "unsubscribe"));
+  assert.equal(client.remoteUsers[0].audioTrack, undefined);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("退避延迟按指数增长并受上限约束", () => {
+  const scheduler = new WebSubscriptionManager.RetryScheduler({
+    baseDelay: 100,
+    maxDelay: 500,
+    jitter: 0,
+  });
+  assert.deepEqual([1, 2, 3, 4].map((n) => scheduler.computeDelay(n)), [100, 200, 400, 500]);
+});
+
+test("看门狗发现未播放的音频，重放无效后提示用户恢复", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, {
+    healthWatchdog: { interval: 1000, notPlayingTimeout: 0, silenceTimeout: 0 },
+  });
+  const incidents = collect(manager, Events.AUDIO_INCIDENT);
+  const attempts = collect(manager, Events.AUDIO_RECOVERY_ATTEMPTED);
+  const blocked = collect(manager, Events.AUTOPLAY_BLOCKED);
+  const recovered = collect(manager, Events.AUDIO_RECOVERED);
+
+  const user = await client.userPublish(BOT_UID, "audio");
+  user.audioTrack.playBlocked = true;
+  user.audioTrack.stop();
+
+  await manager.healthWatchdog.check();
+  await manager.healthWatchdog.check();
+  assert.equal(incidents.length, 1);
+  assert.equal(incidents[0].kind, "not-playing");
+  assert.deepEqual(attempts.map((a) => [a.action, a.success]), [
+    ["replay", false],
+    ["autoplay-prompt", true],
+  ]);
+  assert.equal(blocked.length, 1);
+
+  // 用户点击恢复
+  user.audioTrack.playBlocked = false;
+  assert.equal(manager.resumeAudioPlayback(), 1);
+  await manager.healthWatchdog.check();
+  assert.equal(recovered.length, 1);
+  assert.deepEqual(recovered[0].actions, ["replay", "autoplay-prompt"]);
+  assert.equal(manager.getAudioHealth(BOT_UID).openIncidents.length, 0);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("看门狗在接收停滞时重新订阅", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, {
+    healthWatchdog: { interval: 1000, stallTimeout: 0, silenceTimeout: 0 },
+  });
+  const attempts = collect(manager, Events.AUDIO_RECOVERY_ATTEMPTED);
+
+  const user = await client.userPublish(BOT_UID, "audio");
+  const firstTrack = user.audioTrack;
+  client.setRemoteAudioStats(BOT_UID, { receiveBytes: 100 });
+
+  await manager.healthWatchdog.check();
+  assert.deepEqual(attempts.map((a) => [a.kind, a.action, a.success]), [
+    ["receive-stalled", "resubscribe", true],
+  ]);
+  assert.notEqual(user.audioTrack, firstTrack);
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioSubscribed, true);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("看门狗重新订阅失败时保留订阅意图", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, {
+    healthWatchdog: { interval: 1000, stallTimeout: 0, silenceTimeout: 0 },
+  });
+
+  await client.userPublish(BOT_UID, "audio");
+  client.setRemoteAudioStats(BOT_UID, { receiveBytes: 100 });
+  client.scriptSubscribe({ uid: BOT_UID, error: "网络抖动", times: Infinity });
+
+  await manager.healthWatchdog.check();
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioSubscribed, false);
+  // 意图仍在，重连对账或 restore() 时会再次订阅
+  assert.deepEqual(manager.snapshot().intents, [{ uid: String(BOT_UID), mediaTypes: ["audio"] }]);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("重连后与 remoteUsers 对账并恢复丢失的订阅", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client);
+  const reports = collect(manager, Events.RESYNC_COMPLETED);
+
+  const bot = await client.userPublish(BOT_UID, "audio");
+  await client.userJoin(7);
+
+  // 重连期间：Bot 轨道丢失，用户 7 离开，用户 8 加入
+  await client.setConnectionState("RECONNECTING", "NETWORK_ERROR");
+  bot.audioTrack = undefined;
+  client.remoteUsers = client.remoteUsers.filter((u) => u.uid !== 7);
+  await client.userJoin(8, { silent: true });
+  await client.setConnectionState("CONNECTED");
+
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].uid, null);
+  const report = reports[0].report;
+  assert.equal(report.reason, "reconnected");
+  assert.deepEqual(report.added, ["8"]);
+  assert.deepEqual(report.removed, ["7"]);
+  assert.deepEqual(report.resubscribed, [{ uid: "12345", mediaType: "audio", success: true }]);
+  assert.ok(bot.audioTrack);
+  assert.equal(manager.getUserSubscriptionInfo(7), null);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("snapshot()/restore() 让重建的管理器继承订阅意图", async () => {
+  const client = new FakeAgoraClient();
+  const first = createManager(client, {
+    enableVideo: true,
+    policy: WebSubscriptionManager.Policies.everyoneAudio(),
+  });
+  await client.userPublish(42, "audio");
+  const snapshot = JSON.parse(JSON.stringify(first.snapshot()));
+  first.destroy();
+
+  assert.deepEqual(snapshot.intents, [{ uid: "42", mediaTypes: ["audio"] }]);
+  assert.deepEqual(snapshot.users, [
+    { uid: "42", hasAudio: true, hasVideo: false, audioState: "subscribed" },
+  ]);
+
+  // 重新加入频道：新管理器的策略只订阅 Bot，但继承了对用户 42 的订阅意图
+  const rejoined = new FakeAgoraClient();
+  const second = createManager(rejoined);
+  const report = await second.restore(snapshot);
+  assert.deepEqual(report.pending, []);
+  // 默认保留新管理器自己的设置，显式 applySettings 才采用快照中的设置
+  assert.equal(second.options.enableVideo, false);
+  const otherClient = new FakeAgoraClient();
+  const third = createManager(otherClient);
+  await third.restore(snapshot, { applySettings: true });
+  assert.equal(third.options.enableVideo, true);
+  third.destroy();
+  otherClient.destroy();
+
+  await rejoined.userPublish(42, "audio");
+  assert.equal(second.getUserSubscriptionInfo(42).audioSubscribed, true);
+
+  second.destroy();
+  rejoined.destroy();
+  client.destroy();
+});
+
+test("状态机拒绝非法迁移并记录历史", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client);
+
+  await client.userPublish(BOT_UID, "audio");
+  await client.userUnpublish(BOT_UID, "audio");
+
+  const reasons = manager.getTransitionHistory(BOT_UID, "audio").map((t) => t.reason);
+  assert.deepEqual(reasons, ["subscribe-attempt", "subscribe-succeeded", "remote-unpublished"]);
+
+  const accepted = manager._updateSubscriptionState(BOT_UID, "audio", "subscribed");
+  assert.equal(accepted, false);
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).audioState, "not_subscribed");
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("事件 API：on 返回取消函数，once 只触发一次，off 不传监听器时全部移除", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client);
+  const seen = [];
+
+  const unsubscribe = manager.on(Events.USER_TRACKED, ({ uid }) => seen.push(["on", uid]));
+  manager.once(Events.USER_TRACKED, ({ uid }) => seen.push(["once", uid]));
+  const cancelled = () => seen.push(["cancelled"]);
+  manager.once(Events.USER_TRACKED, cancelled);
+  manager.off(Events.USER_TRACKED, cancelled);
+  manager.on(Events.USER_TRACKED, () => {
+    throw new Error("监听器异常");
+  });
+  manager.on(Events.USER_TRACKED, ({ uid }) => seen.push(["after-throw", uid]));
+
+  await client.userJoin(1);
+  await client.userJoin(2);
+  assert.deepEqual(seen, [
+    ["on", "1"],
+    ["once", "1"],
+    ["after-throw", "1"],
+    ["on", "2"],
+    ["after-throw", "2"],
+  ]);
+
+  unsubscribe();
+  await client.userJoin(3);
+  assert.deepEqual(seen.slice(5), [["after-throw", "3"]]);
+
+  manager.off(Events.USER_TRACKED);
+  await client.userJoin(4);
+  assert.equal(seen.length, 6);
+  assert.throws(() => manager.on(Events.USER_TRACKED, "not-a-function"), TypeError);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("默认只订阅音频，策略允许也不会订阅视频", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, { policy: () => true });
+
+  await client.userPublish(BOT_UID, "audio");
+  await client.userPublish(BOT_UID, "video");
+
+  assert.deepEqual(subscribeCalls(client).map((c) => c.mediaType), ["audio"]);
+  assert.equal(manager.getUserSubscriptionInfo(BOT_UID).videoSubscribed, false);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("视频按 UID / 角色渲染目标自动播放，取消发布与离开时停止", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, { enableVideo: true, policy: () => true });
+  const started = collect(manager, Events.VIDEO_RENDER_STARTED);
+  const stopped = collect(manager, Events.VIDEO_RENDER_STOPPED);
+
+  manager.registerRenderTarget({ role: "bot" }, "bot-video");
+  manager.registerRenderTarget(7, "user-7-video");
+  assert.throws(() => manager.registerRenderTarget({}, "nowhere"), TypeError);
+
+  const bot = await client.userPublish(BOT_UID, "video");
+  assert.equal(bot.videoTrack.playTarget, "bot-video");
+
+  // UID 目标优先于角色目标；注销后退回角色目标
+  const unregister = manager.registerRenderTarget({ uid: BOT_UID }, "bot-uid-video");
+  assert.equal(bot.videoTrack.playTarget, "bot-uid-video");
+  unregister();
+  assert.equal(bot.videoTrack.playTarget, "bot-video");
+
+  const user = await client.userPublish(7, "video");
+  assert.equal(user.videoTrack.playTarget, "user-7-video");
+
+  await client.userUnpublish(BOT_UID, "video");
+  await client.userLeave(7);
+
+  assert.deepEqual(
+    started.map(({ uid, container }) => [uid, container]),
+    [["12345", "bot-video"], ["12345", "bot-uid-video"], ["12345", "bot-video"], ["7", "user-7-video"]]
+  );
+  assert.deepEqual(
+    stopped.map(({ uid, reason }) => [uid, reason]),
+    [["12345", "target-changed"], ["12345", "target-unregistered"], ["12345", "remote-unpublished"], ["7", "user-left"]]
+  );
+  assert.equal(manager.activeVideoRenders.size, 0);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("subscribeToUser(uid, \"both\") 订阅已发布的音频和视频", async () => {
+  const client = new FakeAgoraClient();
+  const manager = createManager(client, { enableAutoSubscribe: false });
+
+  await client.userPublish(BOT_UID, "audio");
+  await client.userPublish(BOT_UID, "video");
+  await client.userPublish(7, "audio");
+
+  assert.equal(await manager.subscribeToUser(BOT_UID, "both"), true);
+  const info = manager.getUserSubscriptionInfo(BOT_UID);
+  assert.equal(info.audioSubscribed, true);
+  assert.equal(info.videoSubscribed, true);
+
+  // 未发布视频的用户只订阅音频
+  assert.equal(await manager.subscribeToUser(7, "both"), true);
+  assert.deepEqual(
+    subscribeCalls(client).map(({ uid, mediaType }) => [uid, mediaType]),
+    [[BOT_UID, "audio"], [BOT_UID, "video"], [7, "audio"]]
+  );
+  assert.equal(await manager.subscribeToUser(99, "both"), false);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("内置策略：botsOnly / everyoneAudio / allowList 与 playIn 自动播放", async () => {
+  const { Policies } = WebSubscriptionManager;
+  const cases = [
+    { policy: Policies.botsOnly({ playIn: "remoteAudio" }), subscribed: [BOT_UID] },
+    { policy: Policies.everyoneAudio({ playIn: "remoteAudio" }), subscribed: [BOT_UID, 7, 8] },
+    { policy: Policies.allowList([7, "8"], { playIn: "remoteAudio" }), subscribed: [7, 8] },
+  ];
+
+  for (const { policy, subscribed } of cases) {
+    const client = new FakeAgoraClient();
+    const manager = createManager(client, { policy });
+    const users = [];
+    for (const uid of [BOT_UID, 7, 8]) {
+      users.push(await client.userPublish(uid, "audio"));
+    }
+
+    assert.deepEqual(subscribeCalls(client).map((c) => c.uid), subscribed);
+    for (const user of users) {
+      const expected = subscribed.includes(user.uid);
+      assert.equal(manager.getUserSubscriptionInfo(user.uid).audioSubscribed, expected);
+      assert.equal(user.audioTrack?.playTarget ?? null, expected ? "remoteAudio" : null);
+      assert.equal(user.audioTrack?.isPlaying ?? false, expected);
+    }
+
+    manager.destroy();
+    client.destroy();
+  }
+});
+
+test("规则列表首条命中生效，补订按 priority 降序", async () => {
+  const client = new FakeAgoraClient();
+  await client.userJoin(BOT_UID, { silent: true, hasAudio: true, hasVideo: true });
+  await client.userJoin(7, { silent: true, hasAudio: true });
+  const manager = createManager(client, {
+    enableVideo: true,
+    policy: [
+      { uids: [7], subscribe: false },
+      { mediaTypes: ["audio"], priority: 5 },
+      { roles: ["bot"], mediaTypes: ["video"], priority: 20 },
+    ],
+  });
+
+  const results = await manager.subscribeExistingUsers();
+  assert.deepEqual(
+    results.map(({ uid, mediaType }) => [uid, mediaType]),
+    [["12345", "video"], ["12345", "audio"]]
+  );
+  assert.equal(manager.getUserSubscriptionInfo(7).audioSubscribed, false);
+
+  manager.destroy();
+  client.destroy();
+});
+
+test("函数策略按上下文决策，抛错时不订阅", async () => {
+  const client = new FakeAgoraClient();
+  const contexts = [];
+  const manager = createManager(client, {
+    policy: (context) => {
+      contexts.push(context);
+      if (context.uid === "9") throw new Error("策略异常");
+      return context.role === "bot" ? { playIn: "bot-audio" } : context.uid === "7";
+    },
+  });
+
+  const bot = await client.userPublish(BOT_UID, "audio");
+  const user = await client.userPublish(7, "audio");
+  await client.userPublish(8, "audio");
+  await client.userPublish(9, "audio");
+
+  assert.deepEqual(
+    contexts.map(({ uid, rawUid, mediaType, role }) => [uid, rawUid, mediaType, role]),
+    [["12345", BOT_UID, "audio", "bot"], ["7", 7, "audio", null], ["8", 8, "audio", null], ["9", 9, "audio", null]]
+  );
+  assert.deepEqual(subscribeCalls(client).map((c) => c.uid), [BOT_UID, 7]);
+  assert.equal(bot.audioTrack.playTarget, "bot-audio");
+  // 决策为 true 时没有 playIn，不自动播放
+  assert.equal(user.audioTrack.isPlaying, false);
+
+  manager.destroy();
+  client.destroy();
+});
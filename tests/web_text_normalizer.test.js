@@ -0,0 +1,41 @@
+/**
+ * 文本规范化与近似重复报告测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TextNormalizer = require("../web_text_normalizer.js");
+const { findNearDuplicates } = require("../find_near_duplicates.js");
+
+test("后端形式与后端 normalized_text 一致", () => {
+  assert.equal(TextNormalizer.toBackendForm("好的，再见。对吗？"), "好的,再见.对吗?");
+});
+
+test("匹配键忽略空格、标点和全半角差异", () => {
+  assert.ok(TextNormalizer.isEquivalent("可以拨打96110咨询，再见。", "可以拨打 96110 咨询,再见."));
+  assert.ok(TextNormalizer.isEquivalent("下载ＡＰＰ吗？", "下载 app 吗"));
+  assert.ok(!TextNormalizer.isEquivalent("认识", "不认识"));
+});
+
+test("编辑距离按码点计算并支持提前结束", () => {
+  assert.equal(TextNormalizer.editDistance("认识", "不认识"), 1);
+  assert.equal(TextNormalizer.editDistance("abcdef", "uvwxyz", 2), 3);
+});
+
+test("按编辑距离聚类近似重复提示语", () => {
+  const report = findNearDuplicates(
+    {
+      a: { text: "可以拨打96110咨询，感谢您的配合，再见。" },
+      b: { text: "可以拨打 96110 咨询，感谢您的配合，再见。" },
+      c: { text: "可以拨打96110咨询，感谢配合，再见。" },
+      d: { text: "祝您生活愉快，再见" },
+    },
+    { threshold: 0.85 }
+  );
+
+  assert.equal(report.clusters.length, 1);
+  assert.deepEqual(report.clusters[0].members.map((m) => m.key), ["a", "b", "c"]);
+  assert.equal(report.clusters[0].identical, false);
+  assert.equal(report.summary.entriesInClusters, 3);
+});
@@ -0,0 +1,116 @@
+/**
+ * 会话转写记录测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TranscriptStore = require("../web_transcript_store.js");
+
+const { Speaker, Kind, Source, Events } = TranscriptStore;
+
+function createStore() {
+  let now = 1_700_000_000_000;
+  const store = new TranscriptStore({ now: () => now });
+  return { store, advance: (ms) => (now += ms) };
+}
+
+test("记录轮次并通过事件通知渲染", () => {
+  const { store, advance } = createStore();
+  const events = [];
+  store.on(Events.ADD, ({ turn }) => events.push(["add", turn.id]));
+  store.on(Events.UPDATE, ({ turn, patch }) => events.push(["update", turn.id, Object.keys(patch)]));
+
+  const user = store.add({ speaker: Speaker.USER, kind: Kind.STT, text: "你好", source: { type: Source.ASR } });
+  advance(1000);
+  const bot = store.add({
+    speaker: Speaker.BOT,
+    kind: Kind.LLM,
+    text: "请不要向陌生人转账",
+    source: { type: Source.PRERECORDED, cacheKey: "abc123", audioFile: "abc123.mp3" },
+  });
+  advance(2500);
+  store.update(bot.id, { endedAt: store._now() });
+
+  assert.deepEqual(events, [["add", user.id], ["add", bot.id], ["update", bot.id, ["endedAt"]]]);
+  assert.equal(bot.endedAt - bot.startedAt, 2500);
+  assert.equal(store.get(bot.id).source.cacheKey, "abc123");
+  assert.equal(store.update(999, { text: "x" }), null);
+
+  const json = JSON.parse(JSON.stringify(store));
+  assert.equal(json.turns.length, 2);
+  assert.equal(json.turns[1].source.type, "prerecorded_cache");
+
+  store.clear();
+  assert.equal(store.size, 0);
+});
+
+test("纯文本与 SRT 导出按相对时间对齐", () => {
+  const { store, advance } = createStore();
+  store.add({ speaker: Speaker.SYSTEM, kind: Kind.INFO, label: "WebSocket", text: "已连接" });
+  const user = store.add({ speaker: Speaker.USER, kind: Kind.STT, text: "我要转账", source: { type: Source.TEXT_INPUT } });
+  store.update(user.id, { endedAt: user.startedAt + 1200 });
+  advance(2000);
+  store.add({
+    speaker: Speaker.BOT,
+    kind: Kind.LLM,
+    text: "请先核实对方身份",
+    source: { type: Source.PRERECORDED, cacheKey: "k1" },
+  });
+  advance(1000);
+  store.add({ speaker: Speaker.USER, kind: Kind.STT, text: "好的" });
+
+  const text = store.toText();
+  assert.match(text, /\[00:00:00\.000\] WebSocket: 已连接/);
+  assert.match(text, /\[00:00:02\.000\] Bot: 请先核实对方身份 \[预录制 k1\]/);
+  assert.match(text, /用户: 我要转账 \[文字输入\]/);
+
+  assert.equal(
+    store.toSRT(),
+    [
+      "1",
+      "00:00:00,000 --> 00:00:01,200",
+      "用户: 我要转账 [文字输入]",
+      "",
+      // 结束时间未知：估算时长不超过下一轮开始
+      "2",
+      "00:00:02,000 --> 00:00:03,000",
+      "Bot: 请先核实对方身份 [预录制 k1]",
+      "",
+      "3",
+      "00:00:03,000 --> 00:00:04,500",
+      "用户: 好的",
+      "",
+    ].join("\n")
+  );
+  assert.equal(TranscriptStore.formatOffset(3723004), "01:02:03,004");
+});
+
+test("流式消息按 id 原地更新，重复 id 忽略而重复文本照常记录", () => {
+  const { store } = createStore();
+  const added = [];
+  store.on(Events.ADD, ({ turn }) => added.push(turn.id));
+
+  const base = { speaker: Speaker.USER, kind: Kind.STT, source: { type: Source.ASR } };
+  const first = store.upsert({ ...base, messageId: "s1:u1", final: false, text: "不" });
+  store.upsert({ ...base, messageId: "s1:u1", final: false, text: "不认" });
+  const final = store.upsert({ ...base, messageId: "s1:u1", text: "不认识" });
+  assert.equal(final, first);
+  assert.equal(final.text, "不认识");
+  assert.equal(final.partial, false);
+  assert.equal(store.upsert({ ...base, messageId: "s1:u1", text: "不认识" }), null);
+
+  // 用户第二次说同样的话：新的消息 id，新的一轮
+  store.upsert({ ...base, messageId: "s1:u2", text: "不认识" });
+
+  // LLM 增量输出
+  const bot = { speaker: Speaker.BOT, kind: Kind.LLM, source: { type: Source.LLM } };
+  store.upsert({ ...bot, messageId: "s1:b1", final: false, delta: true, text: "请不要" });
+  store.upsert({ ...bot, messageId: "s1:b1", final: false, delta: true, text: "转账" });
+  const reply = store.upsert({ ...bot, messageId: "s1:b1", delta: true, text: "。" });
+  assert.equal(reply.text, "请不要转账。");
+
+  assert.equal(added.length, 3);
+  assert.deepEqual(store.turns().map((turn) => turn.text), ["不认识", "不认识", "请不要转账。"]);
+  assert.equal(store.byMessageId("s1:b1"), reply);
+});
@@ -0,0 +1,93 @@
+/**
+ * WebUIDValidator Bot身份注册表测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { AgoraUID, WebUIDValidator } = require("../web_uid_validator.js");
+
+test.afterEach(() => {
+  WebUIDValidator.resetBotRegistry();
+  AgoraUID.clearUserAccountMap();
+});
+
+test("AgoraUID 统一解析与比较规则", () => {
+  assert.equal(AgoraUID.parse(" 12345 ").kind, "int");
+  assert.equal(AgoraUID.toSDK("12345"), 12345);
+  assert.equal(AgoraUID.parse("012345").kind, "account");
+
+  assert.equal(AgoraUID.equals(12345, "12345"), true);
+  assert.equal(AgoraUID.equals(12345, " 12345"), true);
+  assert.equal(AgoraUID.equals(12345, "12345abc"), false);
+  assert.equal(WebUIDValidator.compareUIDs(12345, "12345abc"), false);
+
+  assert.equal(AgoraUID.isValid(1.5), false);
+  assert.equal(AgoraUID.isValid(Math.pow(2, 32)), false);
+  assert.equal(AgoraUID.format(""), null);
+  assert.throws(() => AgoraUID.parse(null), TypeError);
+});
+
+test("user account 映射到整数UID后视为同一用户", () => {
+  assert.equal(AgoraUID.loadUserAccountMap({ agent_tts: 12345, bad: "x" }), 1);
+
+  assert.equal(AgoraUID.equals("agent_tts", 12345), true);
+  assert.equal(AgoraUID.format("agent_tts"), "12345");
+  assert.equal(AgoraUID.toUserAccount(12345), "agent_tts");
+  assert.equal(WebUIDValidator.isBotUser("agent_tts"), "bot");
+});
+
+test("默认注册表只识别 DEFAULT_BOT_UID", () => {
+  assert.equal(WebUIDValidator.isBotUser(12345), "bot");
+  assert.equal(WebUIDValidator.isBotUser("12345"), "bot");
+  assert.equal(WebUIDValidator.isBotUser(12346), false);
+});
+
+test("按精确UID、区间、前缀匹配并返回角色", () => {
+  WebUIDValidator.configureBotRegistry([
+    { role: "tts-bot", uids: [12345], label: "播报" },
+    { role: "monitor", range: [90000, 90999] },
+    { role: "tts-bot", prefix: "agent_" },
+  ]);
+
+  assert.equal(WebUIDValidator.isBotUser(12345), "tts-bot");
+  assert.equal(WebUIDValidator.isBotUser("90500"), "monitor");
+  assert.equal(WebUIDValidator.isBotUser("agent_cn_1"), "tts-bot");
+  assert.equal(WebUIDValidator.isBotUser("user_1758595626139"), false);
+
+  assert.deepEqual(WebUIDValidator.getBotProfile(12345), {
+    role: "tts-bot",
+    label: "播报",
+    playsAudio: true,
+  });
+  assert.equal(WebUIDValidator.getBotProfile(90001).playsAudio, false);
+});
+
+test("从后端配置加载，botUid 未被 bots 覆盖时补充为 bot", () => {
+  WebUIDValidator.loadBotRegistryFromConfig({
+    botUid: 54321,
+    bots: [{ role: "monitor", uids: [777] }],
+  });
+
+  assert.equal(WebUIDValidator.isBotUser(54321), "bot");
+  assert.equal(WebUIDValidator.isBotUser(777), "monitor");
+  assert.equal(WebUIDValidator.isBotUser(12345), false);
+});
+
+test("validateConfiguration 按配置中的注册表检查", () => {
+  const invalid = WebUIDValidator.validateConfiguration({
+    botUid: 12345,
+    bots: [{ role: "bot", range: [10, 1] }],
+  });
+  assert.equal(invalid.isValid, false);
+  assert.match(invalid.errors[0], /无效的UID区间/);
+
+  const result = WebUIDValidator.validateConfiguration({
+    botUid: 12345,
+    uid: "agent_x",
+    bots: [{ role: "tts-bot", prefix: "agent_" }],
+  });
+  assert.equal(result.isValid, true);
+  assert.ok(result.warnings.some((w) => w.includes("botUid未在Bot身份注册表中")));
+  assert.ok(result.warnings.some((w) => w.includes("uid与Bot身份冲突")));
+});
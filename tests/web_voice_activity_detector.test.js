@@ -0,0 +1,81 @@
+/**
+ * 客户端语音活动检测测试（按 20ms 一帧输入合成电平）
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const VoiceActivityDetector = require("../web_voice_activity_detector.js");
+
+const { Events } = VoiceActivityDetector;
+
+function feed(vad, level, ms, start) {
+  const events = [];
+  for (let t = start; t < start + ms; t += 20) {
+    const event = vad.process(level, t);
+    if (event) events.push([event, t]);
+  }
+  return events;
+}
+
+test("校准底噪后按阈值与 hangover 判定说话开始和结束", () => {
+  const vad = new VoiceActivityDetector({ calibrationMs: 200, minSpeechMs: 100, hangoverMs: 300 });
+  const speechEnds = [];
+  vad.on(Events.SPEECH_END, ({ duration }) => speechEnds.push(duration));
+
+  assert.deepEqual(feed(vad, 0.02, 220, 0), [[Events.CALIBRATED, 200]]);
+  assert.ok(Math.abs(vad.noiseFloor - 0.02) < 1e-9);
+  assert.ok(Math.abs(vad.thresholds.start - 0.06) < 1e-9);
+  assert.ok(Math.abs(vad.thresholds.stop - 0.04) < 1e-9);
+
+  // 短促的咔哒声不触发
+  assert.deepEqual(feed(vad, 0.3, 60, 300), []);
+  assert.deepEqual(feed(vad, 0.02, 40, 360), []);
+
+  assert.deepEqual(feed(vad, 0.2, 200, 400), [[Events.SPEECH_START, 500]]);
+  // 字间短停顿不结束
+  assert.deepEqual(feed(vad, 0.01, 200, 600), []);
+  assert.deepEqual(feed(vad, 0.2, 100, 800), []);
+  assert.deepEqual(feed(vad, 0.01, 400, 900), [[Events.SPEECH_END, 1200]]);
+  assert.deepEqual(speechEnds, [500]);
+  assert.equal(vad.speaking, false);
+});
+
+test("未说话时跟踪底噪：下降快、上升慢", () => {
+  const vad = new VoiceActivityDetector({
+    calibrationMs: 0,
+    initialNoiseFloor: 0.02,
+    noiseAdaptRate: 0.1,
+    minLevel: 0.01,
+  });
+  assert.equal(vad.calibrating, false);
+
+  feed(vad, 0.005, 1000, 0);
+  assert.ok(vad.noiseFloor < 0.006);
+
+  // 环境噪声变大：底噪逐步抬高，但不会被短时的中等电平立刻拉满
+  assert.deepEqual(feed(vad, 0.012, 6000, 1000), []);
+  assert.ok(vad.noiseFloor > 0.01 && vad.noiseFloor < 0.012);
+  assert.deepEqual(feed(vad, 0.025, 400, 7000), []);
+  assert.equal(feed(vad, 0.2, 400, 7400)[0][0], Events.SPEECH_START);
+});
+
+test("Bot 播放期间外放回声不触发插话，真正开口仍能打断", () => {
+  const vad = new VoiceActivityDetector({ calibrationMs: 200, minSpeechMs: 200, hangoverMs: 300 });
+  feed(vad, 0.02, 220, 0);
+  const floor = vad.noiseFloor;
+
+  // 预录制片段外放：回声电平是底噪的 4 倍，持续远超 minSpeechMs
+  vad.setPlaybackActive(true);
+  assert.ok(Math.abs(vad.thresholds.start - 0.18) < 1e-9);
+  assert.deepEqual(feed(vad, 0.08, 2000, 300), []);
+  assert.equal(vad.noiseFloor, floor);
+
+  // 用户大声插话
+  assert.deepEqual(feed(vad, 0.3, 220, 2300), [[Events.SPEECH_START, 2500]]);
+  vad.setPlaybackActive(false);
+  assert.deepEqual(feed(vad, 0.01, 400, 2520), [[Events.SPEECH_END, 2820]]);
+
+  // 播放结束后同样的电平照常判定为说话
+  assert.equal(feed(vad, 0.08, 220, 3000)[0][0], Events.SPEECH_START);
+});
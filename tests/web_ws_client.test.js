@@ -0,0 +1,316 @@
+/**
+ * 调试 WebSocket 客户端测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const WsProtocol = require("../web_ws_protocol.js");
+const ResilientWsClient = require("../web_ws_client.js");
+
+const { State, Events } = ResilientWsClient;
+
+class FakeSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.closed = null;
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code, reason) {
+    this.closed = { code, reason };
+  }
+
+  open() {
+    this.onopen?.();
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  drop(code = 1006) {
+    this.onclose?.({ code, reason: "" });
+  }
+}
+FakeSocket.instances = [];
+
+// 手动推进的定时器
+function createTimers() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    setTimeout: (fn, delay) => {
+      timers.set(nextId, { fn, at: now + delay });
+      return nextId++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance(ms) {
+      now += ms;
+      for (const [id, timer] of [...timers].sort((a, b) => a[1].at - b[1].at)) {
+        if (timer.at <= now && timers.has(id)) {
+          timers.delete(id);
+          timer.fn();
+        }
+      }
+    },
+  };
+}
+
+function createClient(options = {}) {
+  FakeSocket.instances = [];
+  const timers = createTimers();
+  const protocol = new WsProtocol({ logLevel: "silent" });
+  const client = new ResilientWsClient({
+    url: "ws://test/ws",
+    protocol,
+    WebSocket: FakeSocket,
+    setTimeout: timers.setTimeout,
+    clearTimeout: timers.clearTimeout,
+    random: () => 0.5, // 抖动为 0
+    bindData: () => ({ client_id: "web_console", client_type: "web_client" }),
+    logLevel: "silent",
+    ...options,
+  });
+  const latest = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+  return { client, protocol, timers, latest };
+}
+
+test("指数退避重连，空闲时达到上限后停止，会话中不限次数", () => {
+  let sessionActive = false;
+  const { client, timers, latest } = createClient({ maxAttempts: 3, isSessionActive: () => sessionActive });
+  const delays = [];
+  client.on(Events.RECONNECT_SCHEDULED, ({ delay, maxAttempts }) => delays.push([delay, maxAttempts]));
+
+  client.connect();
+  for (let i = 0; i < 4; i++) {
+    latest().drop();
+    timers.advance(60000);
+  }
+  assert.deepEqual(delays, [[1000, 3], [2000, 3], [4000, 3]]);
+  assert.equal(client.state, State.FAILED);
+  assert.equal(FakeSocket.instances.length, 4);
+
+  sessionActive = true;
+  client.connect();
+  for (let i = 0; i < 6; i++) {
+    latest().drop();
+    timers.advance(60000);
+  }
+  assert.deepEqual(delays.slice(3).map(([delay, max]) => [delay, max]), [
+    [1000, null], [2000, null], [4000, null], [8000, null], [16000, null], [30000, null],
+  ]);
+
+  latest().open();
+  assert.equal(client.state, State.OPEN);
+  assert.equal(client.attempt, 0);
+});
+
+test("心跳超时后主动断开并重连", () => {
+  const { client, timers, latest } = createClient({ heartbeatTimeout: 5000 });
+  const timeouts = [];
+  client.on(Events.HEARTBEAT_TIMEOUT, () => timeouts.push(true));
+
+  client.connect();
+  const first = latest();
+  first.open();
+  timers.advance(4000);
+  first.receive({ type: "ping" });
+  timers.advance(4000);
+  assert.equal(timeouts.length, 0);
+
+  timers.advance(1000);
+  assert.equal(timeouts.length, 1);
+  assert.deepEqual(first.closed, { code: 4000, reason: "heartbeat-timeout" });
+  assert.equal(client.state, State.RECONNECTING);
+
+  // 旧连接之后的 close 不再触发重连
+  first.drop();
+  timers.advance(1000);
+  assert.equal(FakeSocket.instances.length, 2);
+});
+
+test("bind 携带 last_seq，补发重叠的消息按 seq 去重", () => {
+  const { client, protocol, timers, latest } = createClient();
+  const texts = [];
+  protocol.on(WsProtocol.Types.ASSISTANT_TEXT, ({ data }) => texts.push(data.text));
+
+  client.connect();
+  latest().open();
+  assert.deepEqual(latest().sent, [
+    { type: "bind", version: 1, client_id: "web_console", client_type: "web_client", session_id: null },
+  ]);
+
+  latest().receive({ type: "assistant_text", seq: 1, data: { text: "一" } });
+  latest().receive({ type: "assistant_text", seq: 2, data: { text: "二" } });
+  latest().drop();
+  timers.advance(1000);
+
+  latest().open();
+  assert.equal(latest().sent[0].last_seq, 2);
+  latest().receive({ type: "assistant_text", seq: 2, data: { text: "二" } });
+  latest().receive({ type: "assistant_text", seq: 3, data: { text: "三" } });
+
+  assert.deepEqual(texts, ["一", "二", "三"]);
+  assert.equal(client.stats.duplicates, 1);
+  assert.equal(client.stats.reconnects, 1);
+
+  client.resetSequence();
+  latest().receive({ type: "assistant_text", seq: 1, data: { text: "新会话" } });
+  assert.equal(texts.at(-1), "新会话");
+});
+
+test("服务端 seq 重新计数时按 bound 带回的 seq 重置，之后的消息照常处理", () => {
+  const { client, protocol, timers, latest } = createClient();
+  const texts = [];
+  protocol.on(WsProtocol.Types.ASSISTANT_TEXT, ({ data }) => texts.push(data.text));
+
+  client.connect();
+  client.setSession({ sessionId: "s1", token: "t1" });
+  latest().open();
+  latest().receive({ type: "bound", data: { ok: true, session_id: "s1", seq: 0 } });
+  for (const [seq, text] of [[1, "一"], [2, "二"], [3, "三"]]) {
+    latest().receive({ type: "assistant_text", seq, session_id: "s1", data: { text } });
+  }
+  latest().drop();
+  timers.advance(1000);
+
+  // 后端重启：同一会话的序号从 0 开始
+  latest().open();
+  assert.equal(latest().sent[0].last_seq, 3);
+  latest().receive({ type: "bound", data: { ok: true, session_id: "s1", seq: 0 } });
+  assert.equal(client.lastSeq, 0);
+  latest().receive({ type: "assistant_text", seq: 1, session_id: "s1", data: { text: "重启后" } });
+
+  assert.deepEqual(texts, ["一", "二", "三", "重启后"]);
+  assert.equal(client.stats.seqResets, 1);
+  assert.equal(client.stats.duplicates, 0);
+});
+
+test("close 后不再重连，未连接时 send 返回 false", () => {
+  const { client, timers, latest } = createClient();
+  client.connect();
+  latest().open();
+  client.close();
+  assert.equal(client.state, State.IDLE);
+  latest().drop();
+  timers.advance(60000);
+  assert.equal(FakeSocket.instances.length, 1);
+  assert.equal(client.send("interrupt", { reason: "x", ts: 1 }), false);
+});
+
+test("控制消息断线时排队，重连后按顺序发送并等待 ack", async () => {
+  const { client, timers, latest } = createClient();
+  const queue = [];
+  client.on(Events.QUEUE, ({ pending, queued }) => queue.push([pending, queued]));
+
+  const typed = client.request("user_text", { text: "我在开会", session_id: "s1", ts: 1 });
+  const muted = client.request("mute", { muted: true, session_id: "s1", ts: 2 });
+  assert.deepEqual(queue.at(-1), [2, 2]);
+
+  client.connect();
+  latest().open();
+  const [bind, first, second] = latest().sent;
+  assert.equal(bind.type, "bind");
+  assert.deepEqual([first.type, second.type], ["user_text", "mute"]);
+  assert.deepEqual(queue.at(-1), [2, 2]); // 已发送但尚未确认
+
+  // 断线后未确认的消息以相同编号重发
+  latest().receive({ type: "ack", data: { id: first.id, ok: true } });
+  latest().drop();
+  timers.advance(1000);
+  latest().open();
+  assert.deepEqual(latest().sent.slice(1).map((m) => m.id), [second.id]);
+
+  latest().receive({ type: "ack", data: { id: second.id, ok: false, error: "会话已结束" } });
+  assert.deepEqual(await typed, { id: first.id, ok: true, error: undefined });
+  await assert.rejects(muted, /会话已结束/);
+  assert.equal(client.pendingCount, 0);
+});
+
+test("控制消息超时、排队超时与关闭连接时 reject", async () => {
+  const { client, timers, latest } = createClient({ ackTimeout: 500 });
+  assert.throws(() => client.request("user_text", {}), /缺少字段 text/);
+
+  const stale = client.request("interrupt", { reason: "barge-in", ts: 1 }, { queueTimeout: 300 });
+  timers.advance(300);
+  await assert.rejects(stale, /排队超时/);
+
+  client.connect();
+  latest().open();
+  const unacked = client.request("repeat_last_prompt", { ts: 2 });
+  timers.advance(500);
+  await assert.rejects(unacked, /未收到确认/);
+
+  const closing = client.request("end_session", { reason: "user", ts: 3 });
+  client.close();
+  await assert.rejects(closing, /连接已关闭/);
+});
+
+test("按会话绑定：切换会话时重新 bind，丢弃其他会话的消息", () => {
+  const { client, protocol, latest } = createClient();
+  const texts = [];
+  const foreign = [];
+  protocol.on(WsProtocol.Types.ASSISTANT_TEXT, ({ data }) => texts.push(data.text));
+  client.on(Events.FOREIGN, ({ sessionId }) => foreign.push(sessionId));
+
+  client.connect();
+  latest().open();
+  client.setSession({ sessionId: "s1", token: "t1", channel: "solidchannel" });
+  assert.deepEqual(latest().sent.at(-1), {
+    type: "bind",
+    version: 1,
+    client_id: "web_console",
+    client_type: "web_client",
+    session_id: "s1",
+    token: "t1",
+    channel: "solidchannel",
+  });
+  assert.equal(client.setSession({ sessionId: "s1", token: "t1" }), false);
+
+  latest().receive({ type: "bound", data: { ok: true, session_id: "s1" } });
+  assert.equal(client.bound, true);
+
+  latest().receive({ type: "assistant_text", session_id: "s1", data: { text: "本会话" } });
+  latest().receive({ type: "assistant_text", session_id: "s2", data: { text: "别人的会话" } });
+  latest().receive({ type: "assistant_text", data: { text: "旧格式", session_id: "s2" } });
+  latest().receive({ type: "assistant_text", data: { text: "不带会话" } });
+  assert.deepEqual(texts, ["本会话", "不带会话"]);
+  assert.deepEqual(foreign, ["s2", "s2"]);
+
+  client.setSession(null);
+  assert.equal(client.bound, false);
+  assert.equal(latest().sent.at(-1).session_id, null);
+  latest().receive({ type: "assistant_text", session_id: "s1", data: { text: "会话已结束" } });
+  assert.equal(texts.length, 2);
+});
+
+test("认证失败时通知页面；关闭码为 4401 时停止重连，换新凭证后重新连接", () => {
+  const { client, timers, latest } = createClient();
+  const failures = [];
+  client.on(Events.AUTH_FAILED, ({ reason, code }) => failures.push([reason, code]));
+
+  client.setSession({ sessionId: "s1", token: "expired" });
+  client.connect();
+  latest().open();
+  latest().receive({ type: "bound", data: { ok: false, session_id: "s1", error: "token 已过期", code: "TOKEN_EXPIRED" } });
+  assert.deepEqual(failures, [["token 已过期", "TOKEN_EXPIRED"]]);
+  assert.equal(client.authError, "token 已过期");
+
+  latest().drop(4401);
+  timers.advance(60000);
+  assert.equal(client.state, State.FAILED);
+  assert.equal(FakeSocket.instances.length, 1);
+  assert.equal(failures.length, 2);
+
+  client.setSession({ sessionId: "s1", token: "fresh" });
+  assert.equal(client.state, State.CONNECTING);
+  latest().open();
+  assert.equal(latest().sent[0].token, "fresh");
+});
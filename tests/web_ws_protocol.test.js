@@ -0,0 +1,102 @@
+/**
+ * 调试 WebSocket 消息协议测试
+ * 运行：node --test tests/
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const WsProtocol = require("../web_ws_protocol.js");
+
+const { Types, Events } = WsProtocol;
+
+function createProtocol() {
+  return new WsProtocol({ logLevel: "silent" });
+}
+
+test("按类型分发并兼容旧版消息", () => {
+  const protocol = createProtocol();
+  const received = [];
+  protocol.on(Types.ASSISTANT_TEXT, (message) => received.push(message));
+  protocol.on(Types.DEBUG, (message) => received.push(message));
+
+  protocol.dispatch(JSON.stringify({ type: "assistant_text", version: 1, data: { text: "你好", kind: "stt" } }));
+  protocol.dispatch(JSON.stringify({ type: "assistant_text", data: { text: "旧版无版本号" } }));
+  protocol.dispatch("[STT_DEBUG] 纯文本消息");
+
+  assert.deepEqual(
+    received.map((m) => [m.type, m.legacy]),
+    [["assistant_text", false], ["assistant_text", true], ["debug", true]]
+  );
+  assert.equal(received[2].data.message, "[STT_DEBUG] 纯文本消息");
+  assert.equal(protocol.stats.handled, 3);
+  assert.equal(protocol.stats.legacy, 2);
+  assert.deepEqual(protocol.stats.byType, { assistant_text: 2, debug: 1 });
+});
+
+test("未知类型与无效消息分别计数并触发事件", () => {
+  const protocol = createProtocol();
+  const issues = [];
+  protocol.on(Events.UNKNOWN, ({ error }) => issues.push(["unknown", error]));
+  protocol.on(Events.INVALID, ({ error }) => issues.push(["invalid", error]));
+
+  protocol.dispatch(JSON.stringify({ type: "surprise", data: {} }));
+  protocol.dispatch(JSON.stringify({ type: "assistant_text", data: { kind: "tts" } }));
+  protocol.dispatch(JSON.stringify({ type: "ping", version: 2 }));
+  protocol.dispatch(JSON.stringify({ type: "bind", client_id: "x", client_type: "y" }));
+  protocol.dispatch("[1, 2]");
+
+  assert.equal(protocol.stats.unknown, 1);
+  assert.equal(protocol.stats.invalid, 4);
+  assert.equal(issues[0][0], "unknown");
+  assert.match(issues[1][1], /缺少字段 text/);
+  assert.match(issues[1][1], /字段 kind 应为 llm \| stt 之一/);
+  assert.match(issues[2][1], /不支持的协议版本/);
+  assert.match(issues[3][1], /只能由客户端发送/);
+});
+
+test("没有处理器的消息计为 unhandled，处理器异常不影响其他处理器", (t) => {
+  t.mock.method(console, "error", () => {});
+  const protocol = createProtocol();
+  const calls = [];
+  protocol.on(Types.PING, () => {
+    throw new Error("boom");
+  });
+  const off = protocol.on(Types.PING, () => calls.push("ping"));
+
+  assert.equal(protocol.dispatch(JSON.stringify({ type: "ping" })).handled, 2);
+  off();
+  protocol.off(Types.PING);
+  protocol.dispatch(JSON.stringify({ type: "ping" }));
+
+  assert.deepEqual(calls, ["ping"]);
+  assert.equal(protocol.stats.unhandled, 1);
+});
+
+test("编码按 schema 校验，bind 保持扁平格式", () => {
+  const protocol = createProtocol();
+  assert.deepEqual(JSON.parse(protocol.encode(Types.BIND, { client_id: "web_console", client_type: "web_client" })), {
+    type: "bind",
+    version: WsProtocol.VERSION,
+    client_id: "web_console",
+    client_type: "web_client",
+  });
+  assert.deepEqual(JSON.parse(protocol.encode(Types.INTERRUPT, { reason: "barge-in", session_id: null, ts: 1 })), {
+    type: "interrupt",
+    version: WsProtocol.VERSION,
+    data: { reason: "barge-in", session_id: null, ts: 1 },
+  });
+  assert.throws(() => protocol.encode(Types.INTERRUPT, { reason: "x" }), /缺少字段 ts/);
+  assert.throws(() => protocol.encode(Types.PING), /只能由服务端发送/);
+
+  WsProtocol.define("custom_event", { direction: "in", fields: { value: { type: "number", required: true } } });
+  assert.equal(protocol.decode(JSON.stringify({ type: "custom_event", data: { value: 1 } })).ok, true);
+  delete WsProtocol.Schemas.custom_event;
+});
+
+test("调试文本按标签分类", () => {
+  assert.deepEqual(WsProtocol.classifyDebug("[LLM_DEBUG] 回复"), { kind: "llm", source: null, content: "回复" });
+  assert.deepEqual(WsProtocol.classifyDebug("[WELCOME]欢迎"), { kind: "llm", source: null, content: "欢迎" });
+  assert.deepEqual(WsProtocol.classifyDebug(" [TTS_ERROR] 合成失败 "), { kind: "error", source: "TTS", content: "合成失败" });
+  // 正文里出现 ERROR 不再误判为错误
+  assert.equal(WsProtocol.classifyDebug("用户说了 ERROR 这个词").kind, "info");
+});
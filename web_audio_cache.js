@@ -0,0 +1,303 @@
+/**
+ * 预录制音频离线缓存 - Cache Storage + Service Worker
+ *
+ * 页面侧负责写缓存：按 cache_index.json 的版本号建独立缓存（prerec-audio-<version>），
+ * 按场景预缓存音频、淘汰旧版本缓存并统计覆盖率；
+ * prerecorded_audio_sw.js 负责读缓存：拦截音频请求，命中时直接返回（断网也能播放）。
+ *
+ * 微信 webview 清理 HTTP 缓存后 Cache Storage 仍然保留；
+ * 不支持 Cache Storage 的环境 supported 为 false，调用方应退回原有的预加载方式。
+ */
+
+class PrerecordedAudioCache {
+  /**
+   * 缓存名前缀，后接索引版本号
+   */
+  static CACHE_PREFIX = "prerec-audio-";
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.serviceWorkerUrl="prerecorded_audio_sw.js"] - Service Worker 脚本地址
+   * @param {Object} [options.caches] - CacheStorage 实现，默认使用全局 caches
+   * @param {Function} [options.fetch] - fetch 实现，默认使用全局 fetch
+   * @param {Object} [options.serviceWorker] - ServiceWorkerContainer，默认使用 navigator.serviceWorker
+   * @param {number} [options.concurrency=3] - 预缓存并发数
+   * @param {string} [options.logLevel="info"] - 日志级别
+   */
+  constructor(options = {}) {
+    this.options = {
+      serviceWorkerUrl: options.serviceWorkerUrl || "prerecorded_audio_sw.js",
+      concurrency: options.concurrency ?? 3,
+      logLevel: options.logLevel || "info",
+    };
+
+    this._caches = options.caches || (typeof caches !== "undefined" ? caches : null);
+    this._fetch = options.fetch || (typeof fetch !== "undefined" ? fetch.bind(globalThis) : null);
+    this._serviceWorker =
+      options.serviceWorker ||
+      (typeof navigator !== "undefined" && navigator.serviceWorker ? navigator.serviceWorker : null);
+
+    this.version = null;
+    this.cacheName = null;
+    this.registration = null;
+    this.scenarios = new Map(); // 场景 -> 该场景的音频 URL 列表
+  }
+
+  /**
+   * 当前环境是否支持 Cache Storage
+   */
+  get supported() {
+    return !!this._caches;
+  }
+
+  /**
+   * 注册 Service Worker；不支持或注册失败时返回 null（缓存仍可写入，只是无法离线拦截）
+   */
+  async register() {
+    if (!this._serviceWorker) {
+      this._log("warn", "当前环境不支持 Service Worker，离线播放不可用");
+      return null;
+    }
+    try {
+      this.registration = await this._serviceWorker.register(this.options.serviceWorkerUrl);
+      this._log("info", `Service Worker 已注册: ${this.options.serviceWorkerUrl}`);
+    } catch (error) {
+      this._log("warn", `Service Worker 注册失败: ${error.message}`);
+      this.registration = null;
+    }
+    return this.registration;
+  }
+
+  /**
+   * 切换到指定索引版本，并淘汰其他版本的缓存
+   *
+   * @param {string} version - cache_index.json 的版本号（PromptIndex.version）
+   * @returns {Promise<Object>} { version, cacheName, evicted }
+   */
+  async activate(version) {
+    if (!version) throw new Error("缺少缓存索引版本号");
+
+    const cacheName = `${PrerecordedAudioCache.CACHE_PREFIX}${version}`;
+    if (cacheName !== this.cacheName) {
+      // 版本变化后场景清单需要按新索引重新登记
+      this.scenarios.clear();
+    }
+    this.version = version;
+    this.cacheName = cacheName;
+
+    const evicted = this.supported ? await this.evictStale() : [];
+    return { version, cacheName, evicted };
+  }
+
+  /**
+   * 删除当前版本以外的预录制音频缓存
+   *
+   * @returns {Promise<string[]>} 被删除的缓存名
+   */
+  async evictStale() {
+    if (!this.supported) return [];
+    const names = await this._caches.keys();
+    const stale = names.filter(
+      (name) => name.startsWith(PrerecordedAudioCache.CACHE_PREFIX) && name !== this.cacheName
+    );
+    await Promise.all(stale.map((name) => this._caches.delete(name)));
+    if (stale.length > 0) {
+      this._log("info", `已淘汰旧版本音频缓存: ${stale.join(", ")}`);
+    }
+    return stale;
+  }
+
+  /**
+   * 预缓存场景所需的音频，已缓存的跳过
+   *
+   * @param {string[]} urls - 音频绝对地址
+   * @param {Object} [options]
+   * @param {string} [options.scenario="default"] - 场景标识（用于覆盖率统计）
+   * @param {Function} [options.onProgress] - 进度回调 ({ done, total, cached, failed })
+   * @returns {Promise<Object>} 覆盖率报告，附带 fetched 与 failed [{ url, error }]
+   */
+  async precache(urls, { scenario = "default", onProgress } = {}) {
+    const cache = await this._open();
+    const unique = [...new Set(urls)];
+    this.scenarios.set(scenario, unique);
+
+    const failed = [];
+    let fetched = 0;
+    let done = 0;
+    const report = () => onProgress?.({ done, total: unique.length, cached: done - failed.length, failed: failed.length });
+
+    for (let i = 0; i < unique.length; i += this.options.concurrency) {
+      const batch = unique.slice(i, i + this.options.concurrency);
+      await Promise.all(
+        batch.map(async (url) => {
+          try {
+            if (!(await cache.match(url))) {
+              await this._download(cache, url);
+              fetched++;
+            }
+          } catch (error) {
+            failed.push({ url, error: error.message });
+            this._log("warn", `音频缓存失败: ${url} (${error.message})`);
+          }
+          done++;
+          report();
+        })
+      );
+    }
+
+    const coverage = await this.coverage(scenario);
+    this._log(
+      "info",
+      `场景 ${scenario} 预缓存完成: ${coverage.cached}/${coverage.total}（新下载 ${fetched}，失败 ${failed.length}）`
+    );
+    return { ...coverage, fetched, failed };
+  }
+
+  /**
+   * 写入一条已下载的响应（例如加载时探测请求的结果，避免重复下载）
+   */
+  async put(url, response) {
+    if (!this.supported || !this.cacheName || !response?.ok) return false;
+    const cache = await this._open();
+    await cache.put(url, response);
+    return true;
+  }
+
+  /**
+   * 当前版本缓存中是否已有该音频
+   */
+  async has(url) {
+    if (!this.supported || !this.cacheName) return false;
+    const cache = await this._open();
+    return !!(await cache.match(url));
+  }
+
+  /**
+   * 覆盖率统计
+   *
+   * @param {string|string[]} [scenarioOrUrls] - 场景标识或音频地址列表；省略时统计所有已登记场景
+   * @returns {Promise<Object>} { version, scenario, total, cached, missing, percent }
+   */
+  async coverage(scenarioOrUrls) {
+    let scenario = null;
+    let urls;
+    if (Array.isArray(scenarioOrUrls)) {
+      urls = [...new Set(scenarioOrUrls)];
+    } else if (scenarioOrUrls !== undefined) {
+      scenario = scenarioOrUrls;
+      urls = this.scenarios.get(scenario) || [];
+    } else {
+      urls = [...new Set([...this.scenarios.values()].flat())];
+    }
+
+    const missing = [];
+    if (this.supported && this.cacheName) {
+      const cache = await this._open();
+      for (const url of urls) {
+        if (!(await cache.match(url))) missing.push(url);
+      }
+    } else {
+      missing.push(...urls);
+    }
+
+    const cached = urls.length - missing.length;
+    return {
+      version: this.version,
+      scenario,
+      total: urls.length,
+      cached,
+      missing,
+      percent: urls.length === 0 ? 100 : Math.round((cached / urls.length) * 100),
+    };
+  }
+
+  /**
+   * 删除所有预录制音频缓存
+   */
+  async clear() {
+    if (!this.supported) return;
+    const names = await this._caches.keys();
+    await Promise.all(
+      names
+        .filter((name) => name.startsWith(PrerecordedAudioCache.CACHE_PREFIX))
+        .map((name) => this._caches.delete(name))
+    );
+    this.scenarios.clear();
+  }
+
+  async _open() {
+    if (!this.supported) throw new Error("当前环境不支持 Cache Storage");
+    if (!this.cacheName) throw new Error("音频缓存尚未激活，请先调用 activate(version)");
+    return this._caches.open(this.cacheName);
+  }
+
+  async _download(cache, url) {
+    if (!this._fetch) throw new Error("缺少 fetch 实现");
+    const response = await this._fetch(url, { mode: "cors" });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    await cache.put(url, response);
+  }
+
+  /**
+   * 从完整缓存响应中切出 Range 请求的部分（供 Service Worker 使用，iOS 播放音频需要 206 响应）
+   * 无法解析的 Range 返回完整内容（200），超出范围返回 416
+   *
+   * @param {Response} response - 缓存中的完整响应
+   * @param {string} range - Range 请求头，如 "bytes=0-1023"、"bytes=100-"、"bytes=-500"
+   * @returns {Promise<Response>}
+   */
+  static async buildRangeResponse(response, range) {
+    const blob = await response.blob();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    if (!match || (match[1] === "" && match[2] === "")) {
+      return new Response(blob, { status: 200, headers: response.headers });
+    }
+
+    let start;
+    let end;
+    if (match[1] === "") {
+      // bytes=-N：最后 N 个字节
+      start = Math.max(blob.size - Number(match[2]), 0);
+      end = blob.size - 1;
+    } else {
+      start = Number(match[1]);
+      end = match[2] === "" ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+    }
+
+    if (start >= blob.size || start > end) {
+      return new Response(null, {
+        status: 416,
+        headers: { "Content-Range": `bytes */${blob.size}` },
+      });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        "Content-Type": response.headers.get("Content-Type") || "audio/mpeg",
+        "Content-Length": String(end - start + 1),
+        "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+        "Accept-Ranges": "bytes",
+      },
+    });
+  }
+
+  _log(level, message) {
+    const logLevels = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+    if ((logLevels[level] ?? 1) >= (logLevels[this.options.logLevel] ?? 1)) {
+      console[level](`[AUDIO_CACHE] ${message}`);
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PrerecordedAudioCache;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.PrerecordedAudioCache = PrerecordedAudioCache;
+}
@@ -0,0 +1,378 @@
+/**
+ * 声网客户端离线模拟器
+ * 在没有 AgoraRTC 的环境（Node 测试、离线调试页面）中驱动 WebSubscriptionManager
+ *
+ * 支持：
+ * - on/off 事件绑定，remoteUsers 列表，subscribe/unsubscribe
+ * - user-joined / user-published / user-unpublished / user-left / connection-state-change 事件
+ * - 可编排的延迟、失败、超时（挂起）以及乱序事件（如 published 先于 joined）
+ * - 远端音频统计（getRemoteAudioStats）与 autoplay 限制（FakeRemoteTrack.playBlocked）
+ */
+
+/**
+ * 模拟远端媒体轨道
+ */
+class FakeRemoteTrack {
+  constructor(uid, mediaType) {
+    this.uid = uid;
+    this.trackMediaType = mediaType;
+    this.isPlaying = false;
+    this.playTarget = null;
+    this.volume = 100;
+    this.volumeLevel = 0;
+    // 为 true 时 play() 不生效，模拟浏览器 autoplay 限制
+    this.playBlocked = false;
+  }
+
+  getTrackId() {
+    return `fake-${this.trackMediaType}-${this.uid}`;
+  }
+
+  play(target) {
+    this.isPlaying = !this.playBlocked;
+    this.playTarget = target;
+  }
+
+  stop() {
+    this.isPlaying = false;
+    this.playTarget = null;
+  }
+
+  setVolume(volume) {
+    this.volume = volume;
+  }
+
+  getVolumeLevel() {
+    return this.volumeLevel;
+  }
+}
+
+/**
+ * 模拟远端用户（字段与 AgoraRTC 的 IAgoraRTCRemoteUser 一致）
+ */
+class FakeRemoteUser {
+  constructor(uid, { hasAudio = false, hasVideo = false } = {}) {
+    this.uid = uid;
+    this.hasAudio = hasAudio;
+    this.hasVideo = hasVideo;
+    this.audioTrack = undefined;
+    this.videoTrack = undefined;
+  }
+}
+
+class FakeAgoraClient {
+  constructor(options = {}) {
+    this.options = {
+      subscribeDelay: options.subscribeDelay ?? 0,
+      unsubscribeDelay: options.unsubscribeDelay ?? 0,
+      ...options,
+    };
+
+    this.remoteUsers = [];
+    this.connectionState = options.connectionState || "CONNECTED";
+
+    // 事件监听器：event -> handler[]
+    this._handlers = new Map();
+
+    // 订阅/取消订阅脚本（按顺序匹配，命中后消耗 times 次）
+    this._subscribeScript = [];
+    this._unsubscribeScript = [];
+
+    // 调用记录，便于测试断言
+    this.calls = [];
+
+    // 远端音频统计：uid -> { receiveBytes, ... }
+    this._audioStats = {};
+
+    // 挂起中的订阅（模拟超时）与状态同步定时器，destroy 时统一释放
+    this._pendingHangs = new Set();
+    this._timers = new Set();
+  }
+
+  /**
+   * 绑定事件
+   */
+  on(event, handler) {
+    if (!this._handlers.has(event)) {
+      this._handlers.set(event, []);
+    }
+    this._handlers.get(event).push(handler);
+  }
+
+  /**
+   * 解绑事件；不传 handler 时解绑该事件全部监听
+   */
+  off(event, handler) {
+    if (!this._handlers.has(event)) return;
+    if (!handler) {
+      this._handlers.delete(event);
+      return;
+    }
+    const remaining = this._handlers.get(event).filter((h) => h !== handler);
+    if (remaining.length > 0) {
+      this._handlers.set(event, remaining);
+    } else {
+      this._handlers.delete(event);
+    }
+  }
+
+  /**
+   * 当前某事件的监听数量
+   */
+  listenerCount(event) {
+    return (this._handlers.get(event) || []).length;
+  }
+
+  /**
+   * 派发事件，返回所有监听器（可能是 async）的 Promise
+   */
+  emit(event, ...args) {
+    const handlers = [...(this._handlers.get(event) || [])];
+    return Promise.all(
+      handlers.map(async (handler) => {
+        try {
+          await handler(...args);
+        } catch (error) {
+          console.error(`[FAKE_AGORA] 事件处理器异常: ${event}`, error);
+        }
+      })
+    );
+  }
+
+  /**
+   * 编排下一次（或多次）订阅行为
+   *
+   * @param {Object} rule
+   * @param {string|number} [rule.uid] - 只匹配该 UID
+   * @param {string} [rule.mediaType] - 只匹配该媒体类型
+   * @param {number} [rule.delay] - 延迟（毫秒）
+   * @param {Error|string} [rule.error] - 以该错误失败
+   * @param {boolean} [rule.hang] - 永不返回（模拟超时）
+   * @param {number} [rule.times=1] - 生效次数，Infinity 表示一直生效
+   */
+  scriptSubscribe(rule) {
+    this._subscribeScript.push({ times: 1, ...rule });
+    return this;
+  }
+
+  /**
+   * 编排取消订阅行为，规则同 scriptSubscribe
+   */
+  scriptUnsubscribe(rule) {
+    this._unsubscribeScript.push({ times: 1, ...rule });
+    return this;
+  }
+
+  async subscribe(user, mediaType) {
+    this.calls.push({ method: "subscribe", uid: user.uid, mediaType, at: Date.now() });
+    const rule = this._takeRule(this._subscribeScript, user.uid, mediaType);
+    await this._applyRule(rule, this.options.subscribeDelay);
+
+    const remote = this._findUser(user.uid);
+    if (!remote) {
+      throw new Error(`用户 ${user.uid} 不在频道内`);
+    }
+    const hasMedia = mediaType === "audio" ? remote.hasAudio : remote.hasVideo;
+    if (!hasMedia) {
+      throw new Error(`用户 ${user.uid} 未发布 ${mediaType}`);
+    }
+
+    const track = new FakeRemoteTrack(remote.uid, mediaType);
+    if (mediaType === "audio") {
+      remote.audioTrack = track;
+    } else {
+      remote.videoTrack = track;
+    }
+    return track;
+  }
+
+  async unsubscribe(user, mediaType) {
+    this.calls.push({ method: "unsubscribe", uid: user.uid, mediaType, at: Date.now() });
+    const rule = this._takeRule(this._unsubscribeScript, user.uid, mediaType);
+    await this._applyRule(rule, this.options.unsubscribeDelay);
+
+    const remote = this._findUser(user.uid) || user;
+    const key = mediaType === "audio" ? "audioTrack" : "videoTrack";
+    if (remote[key]) {
+      remote[key].stop();
+      remote[key] = undefined;
+    }
+  }
+
+  /**
+   * 创建远端用户对象但不加入频道，可用于构造乱序事件
+   */
+  createRemoteUser(uid, media = {}) {
+    return new FakeRemoteUser(uid, media);
+  }
+
+  /**
+   * 远端用户加入频道
+   *
+   * @param {string|number|FakeRemoteUser} uidOrUser
+   * @param {Object} [options]
+   * @param {boolean} [options.silent] - 只加入 remoteUsers，不派发事件（模拟 join 前已在频道）
+   */
+  userJoin(uidOrUser, { silent = false, ...media } = {}) {
+    const user = this._resolveUser(uidOrUser, media);
+    if (!this._findUser(user.uid)) {
+      this.remoteUsers.push(user);
+    }
+    return silent ? Promise.resolve(user) : this.emit("user-joined", user).then(() => user);
+  }
+
+  /**
+   * 远端用户发布媒体
+   *
+   * @param {string|number|FakeRemoteUser} uidOrUser
+   * @param {string} mediaType - "audio" 或 "video"
+   * @param {Object} [options]
+   * @param {boolean} [options.join=true] - 用户不在频道时先静默加入（false 时模拟 published 先于 joined）
+   * @param {number} [options.syncDelay=0] - hasX 延迟多少毫秒才变为 true（模拟 SDK 状态滞后）
+   * @param {boolean} [options.silent] - 不派发事件
+   */
+  userPublish(uidOrUser, mediaType, { join = true, syncDelay = 0, silent = false } = {}) {
+    const user = this._resolveUser(uidOrUser);
+    if (join && !this._findUser(user.uid)) {
+      this.remoteUsers.push(user);
+    }
+
+    const key = mediaType === "audio" ? "hasAudio" : "hasVideo";
+    if (syncDelay > 0) {
+      user[key] = false;
+      const timer = setTimeout(() => {
+        this._timers.delete(timer);
+        user[key] = true;
+      }, syncDelay);
+      this._timers.add(timer);
+    } else {
+      user[key] = true;
+    }
+
+    return silent
+      ? Promise.resolve(user)
+      : this.emit("user-published", user, mediaType).then(() => user);
+  }
+
+  /**
+   * 远端用户取消发布媒体
+   */
+  userUnpublish(uidOrUser, mediaType) {
+    const user = this._resolveUser(uidOrUser);
+    if (mediaType === "audio") {
+      user.hasAudio = false;
+      user.audioTrack?.stop();
+      user.audioTrack = undefined;
+    } else {
+      user.hasVideo = false;
+      user.videoTrack?.stop();
+      user.videoTrack = undefined;
+    }
+    return this.emit("user-unpublished", user, mediaType).then(() => user);
+  }
+
+  /**
+   * 远端用户离开频道
+   */
+  userLeave(uidOrUser, reason = "Quit") {
+    const user = this._resolveUser(uidOrUser);
+    this.remoteUsers = this.remoteUsers.filter((u) => String(u.uid) !== String(user.uid));
+    return this.emit("user-left", user, reason).then(() => user);
+  }
+
+  /**
+   * 切换连接状态并派发 connection-state-change
+   */
+  setConnectionState(state, reason = "") {
+    const previous = this.connectionState;
+    this.connectionState = state;
+    return this.emit("connection-state-change", state, previous, reason);
+  }
+
+  /**
+   * 设置远端音频统计（合并到已有数据）
+   */
+  setRemoteAudioStats(uid, stats) {
+    this._audioStats[String(uid)] = { ...this._audioStats[String(uid)], ...stats };
+  }
+
+  /**
+   * 与 AgoraRTC 的 getRemoteAudioStats 一致：返回 uid -> 统计 的对象
+   */
+  getRemoteAudioStats() {
+    return { ...this._audioStats };
+  }
+
+  /**
+   * 释放挂起中的订阅和定时器，避免测试结束后进程仍被占用
+   */
+  destroy() {
+    for (const release of this._pendingHangs) {
+      release();
+    }
+    this._pendingHangs.clear();
+    for (const timer of this._timers) {
+      clearTimeout(timer);
+    }
+    this._timers.clear();
+    this._handlers.clear();
+  }
+
+  _findUser(uid) {
+    return this.remoteUsers.find((u) => String(u.uid) === String(uid));
+  }
+
+  _resolveUser(uidOrUser, media = {}) {
+    if (uidOrUser instanceof FakeRemoteUser) return uidOrUser;
+    if (uidOrUser && typeof uidOrUser === "object") return uidOrUser;
+    return this._findUser(uidOrUser) || new FakeRemoteUser(uidOrUser, media);
+  }
+
+  _takeRule(script, uid, mediaType) {
+    const index = script.findIndex(
+      (rule) =>
+        (rule.uid === undefined || String(rule.uid) === String(uid)) &&
+        (rule.mediaType === undefined || rule.mediaType === mediaType)
+    );
+    if (index === -1) return null;
+
+    const rule = script[index];
+    rule.times -= 1;
+    if (rule.times <= 0) {
+      script.splice(index, 1);
+    }
+    return rule;
+  }
+
+  async _applyRule(rule, defaultDelay) {
+    const delay = rule?.delay ?? defaultDelay;
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    if (rule?.hang) {
+      await new Promise((resolve, reject) => {
+        const release = () => reject(new Error("模拟订阅已被释放"));
+        this._pendingHangs.add(release);
+      });
+    }
+
+    if (rule?.error) {
+      throw rule.error instanceof Error ? rule.error : new Error(rule.error);
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FakeAgoraClient,
+    FakeRemoteUser,
+    FakeRemoteTrack,
+  };
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.FakeAgoraClient = FakeAgoraClient;
+}
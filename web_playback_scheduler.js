@@ -0,0 +1,580 @@
+/**
+ * 播放调度器 - 统一管理预录制音频与 Bot RTC 音频的输出
+ *
+ * 功能：
+ * - 同一时间只播放一个片段；按优先级排队（同优先级先进先出）
+ * - 打断策略：queue（排队）、replace（打断当前并替换）、drop（忙时丢弃）
+ * - 同 key 的片段在去重窗口内只播放一次
+ * - 片段播放期间压低（duck）Bot 远端音轨音量，全部播放完后恢复
+ * - 用户插话（barge-in）时淡出并打断当前片段，Bot 远端音轨可临时静音
+ * - 派发开始 / 结束 / 打断 / 丢弃 / 出错 / 空闲事件
+ * - 音频环境未就绪（如 AudioGate 未解锁）时只排队，resume() 后开始播放
+ */
+
+class PlaybackScheduler {
+  /**
+   * 打断策略
+   */
+  static Policy = {
+    QUEUE: "queue",
+    REPLACE: "replace",
+    DROP: "drop",
+  };
+
+  /**
+   * 片段状态
+   */
+  static Status = {
+    QUEUED: "queued",
+    PLAYING: "playing",
+    ENDED: "ended",
+    INTERRUPTED: "interrupted",
+    DROPPED: "dropped",
+    ERROR: "error",
+  };
+
+  /**
+   * 事件名称
+   */
+  static Events = {
+    START: "playback-start",
+    END: "playback-end",
+    INTERRUPT: "playback-interrupted",
+    DROP: "playback-dropped",
+    ERROR: "playback-error",
+    IDLE: "playback-idle",
+  };
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.play - async (url, item) => handle，返回 <audio> 或 AudioBufferSourceNode
+   * @param {Function} [options.stopAll] - stopAll() 时额外执行的底层清理（如停止音频池、挂起 AudioContext）
+   * @param {Function} [options.isReady] - 音频环境是否可以播放，默认始终可以
+   * @param {Function} [options.waitForEnd] - 自定义等待播放结束 (handle) => Promise
+   * @param {Function} [options.stopHandle] - 自定义停止播放 (handle) => void
+   * @param {number} [options.dedupWindow=4000] - 同 key 去重窗口（毫秒），0 表示不去重
+   * @param {number} [options.duckRatio=0.2] - 播放片段时 Bot 音量相对正常音量的比例
+   * @param {string} [options.logLevel="info"] - 日志级别
+   */
+  constructor(options = {}) {
+    if (typeof options.play !== "function") {
+      throw new TypeError("PlaybackScheduler 需要 play 函数");
+    }
+
+    this.options = {
+      play: options.play,
+      stopAll: options.stopAll || null,
+      isReady: options.isReady || (() => true),
+      waitForEnd: options.waitForEnd || PlaybackScheduler.waitForEnd,
+      stopHandle: options.stopHandle || PlaybackScheduler.stopHandle,
+      dedupWindow: options.dedupWindow ?? 4000,
+      duckRatio: options.duckRatio ?? 0.2,
+      logLevel: options.logLevel || "info",
+    };
+
+    this.queue = []; // 等待播放的片段（按优先级降序）
+    this.current = null; // 正在播放的片段
+    this._nextId = 1;
+    this._recent = new Map(); // key -> 最近一次调度时间
+    this._pumping = false;
+    this._listeners = new Map();
+
+    // 压低音量的目标（Bot 远端音轨）
+    this.duckTarget = null;
+    this.baseVolume = 100;
+    this.ducked = false;
+    this.remoteSilenced = false;
+  }
+
+  /**
+   * 默认的播放结束判断：<audio> 的 ended/pause/error，或 WebAudio 节点的 onended
+   */
+  static waitForEnd(handle) {
+    return new Promise((resolve) => {
+      if (handle && typeof handle.addEventListener === "function") {
+        if (handle.ended || handle.paused) return resolve();
+        ["ended", "pause", "error"].forEach((evt) => handle.addEventListener(evt, () => resolve(), { once: true }));
+      } else if (handle && "onended" in handle) {
+        const previous = handle.onended;
+        handle.onended = (e) => {
+          if (previous) previous(e);
+          resolve();
+        };
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * 默认的停止方式：<audio> 暂停并归零，WebAudio 节点 stop()
+   */
+  static stopHandle(handle) {
+    if (!handle) return;
+    if (typeof handle.pause === "function") {
+      handle.pause();
+      handle.currentTime = 0;
+    } else if (typeof handle.stop === "function") {
+      handle.stop();
+    }
+  }
+
+  /**
+   * 注册事件监听器
+   *
+   * @param {string} event - 事件名称，见 PlaybackScheduler.Events
+   * @param {Function} listener - 监听函数，参数为事件 payload
+   * @returns {Function} 取消监听函数
+   */
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`监听器必须是函数: ${event}`);
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * 移除事件监听器；不传 listener 时移除该事件的全部监听器
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+    if (!listener) {
+      this._listeners.delete(event);
+      return;
+    }
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this._listeners.delete(event);
+    }
+  }
+
+  /**
+   * 调度一个片段
+   *
+   * @param {Object} request
+   * @param {string|string[]} request.urls - 音频地址；数组时依次首尾相接播放
+   * @param {string} [request.key] - 去重 key（同一内容）
+   * @param {number} [request.priority=0] - 优先级，越大越先播放
+   * @param {string} [request.policy="queue"] - 打断策略，见 PlaybackScheduler.Policy
+   * @param {Object} [request.meta] - 附带数据，原样出现在事件 payload 中
+   * @returns {Object} 片段对象；item.done 在片段结束（任何状态）时 resolve 为 { status, reason }
+   */
+  schedule({ urls, key = null, priority = 0, policy = PlaybackScheduler.Policy.QUEUE, meta = null } = {}) {
+    const { Policy } = PlaybackScheduler;
+    const item = this._createItem({ urls: [].concat(urls || []).filter(Boolean), key, priority, policy, meta });
+
+    if (item.urls.length === 0) {
+      this._finish(item, PlaybackScheduler.Status.DROPPED, "no-url");
+      return item;
+    }
+    if (!Object.values(Policy).includes(policy)) {
+      this._log("warn", `未知的打断策略 ${policy}，按 queue 处理`);
+      item.policy = Policy.QUEUE;
+    }
+
+    if (this._isDuplicate(item.key)) {
+      this._finish(item, PlaybackScheduler.Status.DROPPED, "duplicate");
+      return item;
+    }
+
+    const busy = !!this.current || this.queue.length > 0;
+    if (item.policy === Policy.DROP && busy) {
+      this._finish(item, PlaybackScheduler.Status.DROPPED, "busy");
+      return item;
+    }
+
+    if (item.policy === Policy.REPLACE && (!this.current || this.current.priority <= item.priority)) {
+      // 不高于新片段优先级的排队片段一并丢弃，当前片段被打断
+      for (const queued of this.queue.filter((q) => q.priority <= item.priority)) {
+        this._removeFromQueue(queued);
+        this._finish(queued, PlaybackScheduler.Status.DROPPED, "replaced");
+      }
+      if (this.current) {
+        this._interrupt(this.current, "replaced");
+      }
+    }
+
+    if (item.key && this.options.dedupWindow > 0) {
+      const now = Date.now();
+      this._pruneRecent(now);
+      this._recent.set(item.key, now);
+    }
+    this._enqueue(item);
+    this._pump();
+    return item;
+  }
+
+  /**
+   * 音频环境就绪后开始播放排队中的片段
+   */
+  resume() {
+    this._pump();
+  }
+
+  /**
+   * 停止一切：打断当前片段、丢弃队列、恢复 Bot 音量，并执行底层清理
+   *
+   * @param {string} [reason="stop-all"]
+   * @returns {number} 被打断或丢弃的片段数
+   */
+  stopAll(reason = "stop-all") {
+    const queued = this.queue.splice(0);
+    for (const item of queued) {
+      this._finish(item, PlaybackScheduler.Status.DROPPED, reason);
+    }
+
+    let count = queued.length;
+    if (this.current) {
+      this._interrupt(this.current, reason);
+      count++;
+    }
+
+    this._restoreDuck();
+
+    if (this.options.stopAll) {
+      try {
+        this.options.stopAll();
+      } catch (error) {
+        this._log("warn", `底层音频清理失败: ${error.message}`);
+      }
+    }
+    this._log("info", `已停止所有音频（${count} 个片段）`);
+    return count;
+  }
+
+  /**
+   * 打断当前片段（如用户插话），可先淡出；默认同时丢弃排队中的片段
+   * 与 stopAll 不同，不做底层清理，之后调度的片段照常播放
+   *
+   * @param {string} [reason="interrupt"]
+   * @param {Object} [options]
+   * @param {number} [options.fadeMs=0] - 淡出时长（仅 <audio> 支持，WebAudio 节点直接停止）
+   * @param {boolean} [options.clearQueue=true] - 是否丢弃排队中的片段
+   * @returns {Promise<number>} 被打断或丢弃的片段数
+   */
+  async interrupt(reason = "interrupt", { fadeMs = 0, clearQueue = true } = {}) {
+    let count = 0;
+    if (clearQueue) {
+      const queued = this.queue.splice(0);
+      for (const item of queued) {
+        this._finish(item, PlaybackScheduler.Status.DROPPED, reason);
+      }
+      count += queued.length;
+    }
+
+    const item = this.current;
+    if (!item || item.status !== PlaybackScheduler.Status.PLAYING) return count;
+
+    const handle = item.handle;
+    if (fadeMs > 0 && handle && typeof handle.volume === "number") {
+      await this._ramp(handle.volume, 0, fadeMs, (volume) => {
+        handle.volume = volume;
+      });
+    }
+    this._interrupt(item, reason);
+    return count + 1;
+  }
+
+  /**
+   * 临时静音 / 恢复 Bot 远端音轨（用户插话期间），可淡入淡出
+   *
+   * @param {boolean} silenced
+   * @param {Object} [options]
+   * @param {number} [options.fadeMs=0]
+   */
+  async silenceRemote(silenced, { fadeMs = 0 } = {}) {
+    if (this.remoteSilenced === silenced) return;
+    const from = this._targetVolume();
+    this.remoteSilenced = silenced;
+    if (fadeMs > 0 && this.duckTarget) {
+      await this._ramp(from, this._targetVolume(), fadeMs, (volume) => this._setTargetVolume(Math.round(volume)));
+    }
+    this._applyVolume();
+  }
+
+  /**
+   * 设置需要压低音量的 Bot 远端音轨，并立即按当前状态应用音量
+   *
+   * @param {Object|null} track - 具有 setVolume(0-100) 的音轨
+   * @param {number} [baseVolume] - 正常音量，默认沿用当前值
+   */
+  setDuckTarget(track, baseVolume = this.baseVolume) {
+    this.duckTarget = track || null;
+    this.baseVolume = baseVolume;
+    this._applyVolume();
+  }
+
+  /**
+   * 修改 Bot 正常音量（音量滑块）；片段播放中仍保持压低
+   */
+  setBaseVolume(volume) {
+    this.baseVolume = volume;
+    this._applyVolume();
+  }
+
+  /**
+   * 是否空闲
+   */
+  get idle() {
+    return !this.current && this.queue.length === 0;
+  }
+
+  /**
+   * 调度器状态快照（用于日志和调试）
+   */
+  getState() {
+    const describe = (item) => ({ id: item.id, key: item.key, priority: item.priority, policy: item.policy });
+    return {
+      current: this.current ? { ...describe(this.current), index: this.current.index } : null,
+      queue: this.queue.map(describe),
+      ducked: this.ducked,
+      remoteSilenced: this.remoteSilenced,
+      baseVolume: this.baseVolume,
+    };
+  }
+
+  _createItem({ urls, key, priority, policy, meta }) {
+    const item = {
+      id: this._nextId++,
+      key,
+      urls,
+      priority,
+      policy,
+      meta,
+      status: PlaybackScheduler.Status.QUEUED,
+      index: -1,
+      scheduledAt: Date.now(),
+      startedAt: null,
+      handle: null,
+    };
+    item.done = new Promise((resolve) => {
+      item._resolveDone = resolve;
+    });
+    item._interrupted = new Promise((resolve) => {
+      item._resolveInterrupt = resolve;
+    });
+    return item;
+  }
+
+  _isDuplicate(key) {
+    if (!key) return false;
+    if (this.current?.key === key || this.queue.some((item) => item.key === key)) return true;
+
+    const last = this._recent.get(key);
+    return this.options.dedupWindow > 0 && last !== undefined && Date.now() - last < this.options.dedupWindow;
+  }
+
+  /**
+   * 清理已过去重窗口的 key，长时间会话中 _recent 不会无限增长
+   */
+  _pruneRecent(now) {
+    for (const [key, at] of this._recent) {
+      if (now - at >= this.options.dedupWindow) this._recent.delete(key);
+    }
+  }
+
+  _enqueue(item) {
+    const index = this.queue.findIndex((queued) => queued.priority < item.priority);
+    if (index === -1) {
+      this.queue.push(item);
+    } else {
+      this.queue.splice(index, 0, item);
+    }
+  }
+
+  _removeFromQueue(item) {
+    const index = this.queue.indexOf(item);
+    if (index !== -1) this.queue.splice(index, 1);
+  }
+
+  async _pump() {
+    if (this._pumping) return;
+    this._pumping = true;
+    try {
+      while (this.queue.length > 0 && this.options.isReady()) {
+        await this._playItem(this.queue.shift());
+      }
+    } finally {
+      this._pumping = false;
+    }
+
+    if (!this.current) {
+      this._restoreDuck();
+      if (this.queue.length === 0) {
+        this._emit(PlaybackScheduler.Events.IDLE, null);
+      }
+    }
+  }
+
+  async _playItem(item) {
+    const { Status, Events } = PlaybackScheduler;
+    this.current = item;
+    item.status = Status.PLAYING;
+    item.startedAt = Date.now();
+    this._emit(Events.START, item);
+
+    try {
+      for (let i = 0; i < item.urls.length && item.status === Status.PLAYING; i++) {
+        item.index = i;
+        const playing = Promise.resolve(this.options.play(item.urls[i], item));
+        // 加载期间被打断时，片段可能随后才开始播放，届时立即停掉
+        playing.then(
+          (handle) => item.status !== Status.PLAYING && this._stopHandle(handle),
+          () => {}
+        );
+        const handle = await Promise.race([playing, item._interrupted]);
+        if (item.status !== Status.PLAYING) break;
+        item.handle = handle;
+        // 真正开始出声时才压低 Bot 音量，加载（可能多次重试）期间保持原音量
+        this._duck();
+        await Promise.race([this.options.waitForEnd(handle), item._interrupted]);
+        item.handle = null;
+      }
+      if (item.status === Status.PLAYING) {
+        this._finish(item, Status.ENDED, "completed");
+      }
+    } catch (error) {
+      this._restoreDuck();
+      if (item.status === Status.PLAYING) {
+        this._finish(item, Status.ERROR, error.message, { error });
+      }
+    } finally {
+      if (this.current === item) this.current = null;
+    }
+  }
+
+  _interrupt(item, reason) {
+    if (item.status !== PlaybackScheduler.Status.PLAYING) return;
+    this._stopHandle(item.handle);
+    item.handle = null;
+    this._finish(item, PlaybackScheduler.Status.INTERRUPTED, reason);
+    item._resolveInterrupt();
+  }
+
+  _stopHandle(handle) {
+    if (!handle || typeof handle !== "object") return;
+    try {
+      this.options.stopHandle(handle);
+    } catch (error) {
+      this._log("debug", `停止播放失败: ${error.message}`);
+    }
+  }
+
+  _finish(item, status, reason, extra = {}) {
+    const { Status, Events } = PlaybackScheduler;
+    item.status = status;
+    item.reason = reason;
+    item.endedAt = Date.now();
+
+    const event = {
+      [Status.ENDED]: Events.END,
+      [Status.INTERRUPTED]: Events.INTERRUPT,
+      [Status.DROPPED]: Events.DROP,
+      [Status.ERROR]: Events.ERROR,
+    }[status];
+    this._emit(event, item, { reason, ...extra });
+    item._resolveDone({ status, reason });
+  }
+
+  _duck() {
+    if (this.ducked) return;
+    this.ducked = true;
+    this._applyVolume();
+  }
+
+  _restoreDuck() {
+    if (!this.ducked) return;
+    this.ducked = false;
+    this._applyVolume();
+  }
+
+  _targetVolume() {
+    if (this.remoteSilenced) return 0;
+    return this.ducked ? Math.round(this.baseVolume * this.options.duckRatio) : this.baseVolume;
+  }
+
+  _applyVolume() {
+    this._setTargetVolume(this._targetVolume());
+  }
+
+  _setTargetVolume(volume) {
+    if (!this.duckTarget || typeof this.duckTarget.setVolume !== "function") return;
+    try {
+      this.duckTarget.setVolume(volume);
+    } catch (error) {
+      this._log("warn", `设置 Bot 音量失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 在 durationMs 内把音量从 from 线性变化到 to
+   */
+  _ramp(from, to, durationMs, apply) {
+    const steps = Math.max(1, Math.round(durationMs / 25));
+    return new Promise((resolve) => {
+      let step = 0;
+      const tick = () => {
+        step++;
+        try {
+          apply(from + ((to - from) * step) / steps);
+        } catch (error) {
+          this._log("debug", `音量渐变失败: ${error.message}`);
+        }
+        if (step >= steps) {
+          resolve();
+        } else {
+          setTimeout(tick, durationMs / steps);
+        }
+      };
+      setTimeout(tick, durationMs / steps);
+    });
+  }
+
+  _emit(event, item, extra = {}) {
+    const payload = {
+      event,
+      id: item?.id ?? null,
+      key: item?.key ?? null,
+      priority: item?.priority ?? null,
+      policy: item?.policy ?? null,
+      meta: item?.meta ?? null,
+      duration: item?.startedAt ? Date.now() - item.startedAt : 0,
+      timestamp: Date.now(),
+      ...extra,
+    };
+
+    const listeners = this._listeners.get(event);
+    if (!listeners) return payload;
+    // 复制一份，避免监听器内部 off 影响本轮遍历
+    for (const listener of [...listeners]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        this._log("error", `事件监听器执行失败: ${event} (${error.message})`);
+      }
+    }
+    return payload;
+  }
+
+  _log(level, message) {
+    const logLevels = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+    if ((logLevels[level] ?? 1) >= (logLevels[this.options.logLevel] ?? 1)) {
+      console[level](`[PLAYBACK] ${message}`);
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PlaybackScheduler;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.PlaybackScheduler = PlaybackScheduler;
+}
@@ -0,0 +1,431 @@
+/**
+ * 预录制提示语索引 - 内存中的 cache_index.json
+ *
+ * 功能：
+ * - cache_index.json 只加载一次，按内容计算版本号，刷新时版本不变则不重建
+ * - 建立规范化查找表：原文 / normalized_text / 后端形式 / 匹配键
+ * - 查找顺序：精确 → 规范化 → 组合（多段音频首尾相接）→ 模糊（编辑距离 + 置信度阈值）
+ * - 查找结果带匹配类型与分数，便于日志排查
+ * - 按场景 / 语言分区：条目可带 language 与 scenarios 标签，
+ *   设置分区后只预加载当前应用的子集，查找按 应用 → 同语言 → 无 的顺序回退
+ */
+
+// 浏览器中 TextNormalizer 来自 web_text_normalizer.js 的全局变量
+const PromptTextNormalizer =
+  typeof TextNormalizer !== "undefined" ? TextNormalizer : require("./web_text_normalizer.js");
+
+class PromptIndex {
+  /**
+   * 匹配类型
+   */
+  static MatchType = {
+    EXACT: "exact", // 原文 / normalized_text 相同
+    NORMALIZED: "normalized", // 匹配键相同（忽略标点、空格、全半角）
+    COMPOSITE: "composite", // 由多段已知提示语拼接而成
+    FUZZY: "fuzzy", // 编辑距离相似度不低于阈值
+    NONE: "none",
+  };
+
+  /**
+   * 查找命中的分区层级
+   */
+  static Tier = {
+    SCENARIO: "scenario", // 当前应用的条目 + 同语言的通用条目（未标注 scenarios）
+    LANGUAGE: "language", // 同语言的全部条目
+    ALL: "all", // 未设置分区
+  };
+
+  /**
+   * 已知场景（Dify 应用）及其语言
+   */
+  static Scenarios = {
+    dify_app_1: "zh", // 风险提示cn
+    dify_app_2: "en", // 风险提示en
+    fraud_drill: "zh", // 诈骗演练
+    psychological_counseling: "zh", // 心理咨询
+  };
+
+  static DEFAULT_LANGUAGE = "zh";
+
+  /**
+   * 条目的语言：优先使用 language 标签，未标注时按文本推断
+   */
+  static entryLanguage(entry) {
+    if (typeof entry?.language === "string" && entry.language) return entry.language;
+    return PromptTextNormalizer.detectLanguage(entry?.text || entry?.normalized_text || "");
+  }
+
+  /**
+   * 条目所属场景；空数组表示同语言的所有场景通用
+   */
+  static entryScenarios(entry) {
+    return Array.isArray(entry?.scenarios) ? entry.scenarios : [];
+  }
+
+  /**
+   * 场景对应的语言
+   */
+  static scenarioLanguage(scenario) {
+    return PromptIndex.Scenarios[scenario] || PromptIndex.DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - cache_index.json 地址
+   * @param {Function} [options.fetch] - fetch 实现，默认使用全局 fetch
+   * @param {number} [options.fuzzyThreshold=0.85] - 模糊匹配的最低相似度
+   * @param {number} [options.maxCompositeParts=3] - 组合匹配最多使用的片段数
+   * @param {string} [options.logLevel="info"] - 日志级别
+   */
+  constructor(options = {}) {
+    this.options = {
+      url: options.url || null,
+      fetch: options.fetch || null,
+      fuzzyThreshold: options.fuzzyThreshold ?? 0.85,
+      maxCompositeParts: options.maxCompositeParts ?? 3,
+      logLevel: options.logLevel || "info",
+    };
+
+    this.version = null;
+    this.loadedAt = null;
+    this._entries = new Map(); // key -> entry
+    this.partition = null; // { scenario, language }
+    this._loadPromise = null;
+    this._loading = false;
+    this._buildTiers();
+  }
+
+  /**
+   * 计算索引版本号（FNV-1a 32 位，十六进制）
+   *
+   * @param {string} raw - cache_index.json 原始文本
+   * @returns {string}
+   */
+  static computeVersion(raw) {
+    let hash = 0x811c9dc5;
+    const text = String(raw);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * 加载索引；已加载时直接返回，并发调用共用同一次请求
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - 重新请求（内容版本不变时不重建）
+   * @returns {Promise<PromptIndex>}
+   */
+  load({ force = false } = {}) {
+    if (this._loadPromise && (!force || this._loading)) {
+      return this._loadPromise;
+    }
+
+    this._loading = true;
+    this._loadPromise = this._fetchIndex()
+      .then(() => this)
+      .catch((error) => {
+        // 失败后允许下次重新加载；已有数据保持可用
+        this._loadPromise = this.isLoaded ? Promise.resolve(this) : null;
+        throw error;
+      })
+      .finally(() => {
+        this._loading = false;
+      });
+    return this._loadPromise;
+  }
+
+  async _fetchIndex() {
+    const fetchFn = this.options.fetch || (typeof fetch !== "undefined" ? fetch : null);
+    if (!this.options.url || !fetchFn) {
+      throw new Error("PromptIndex 未配置 url 或 fetch");
+    }
+
+    const response = await fetchFn(this.options.url, { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`加载缓存索引失败: HTTP ${response.status}`);
+    }
+
+    const raw = await response.text();
+    const version = PromptIndex.computeVersion(raw);
+    if (version === this.version) {
+      this._log("debug", `缓存索引未变化 (版本 ${version})`);
+      return;
+    }
+    this.setData(JSON.parse(raw.replace(/^\uFEFF/, "")), version);
+  }
+
+  /**
+   * 直接设置索引数据并重建查找表
+   *
+   * @param {Object} cacheData - cache_index.json 内容（key -> entry）
+   * @param {string} [version] - 版本号，默认按内容计算
+   */
+  setData(cacheData, version = null) {
+    this._entries = new Map(
+      Object.entries(cacheData || {}).filter(([, entry]) => entry && typeof entry === "object")
+    );
+    this.version = version || PromptIndex.computeVersion(JSON.stringify(cacheData || {}));
+    this.loadedAt = Date.now();
+    this._buildTiers();
+    this._log("info", `缓存索引已加载: ${this._entries.size} 条 (版本 ${this.version})`);
+  }
+
+  /**
+   * 设置当前分区（切换应用时调用）；传 null 取消分区，使用全部条目
+   *
+   * @param {Object|null} partition
+   * @param {string} [partition.scenario] - 场景（Dify 应用 ID）
+   * @param {string} [partition.language] - 语言，默认取场景对应的语言
+   */
+  setPartition(partition) {
+    if (partition) {
+      const scenario = partition.scenario || null;
+      const language = partition.language || PromptIndex.scenarioLanguage(scenario);
+      this.partition = { scenario, language };
+    } else {
+      this.partition = null;
+    }
+    this._buildTiers();
+
+    if (this.isLoaded && this.partition) {
+      const [scenarioTier, languageTier] = this._tiers;
+      this._log(
+        "info",
+        `分区切换到 ${this.partition.scenario || "-"}/${this.partition.language}: ` +
+          `应用 ${scenarioTier.keys.length} 条，同语言 ${languageTier.keys.length} 条`
+      );
+    }
+  }
+
+  /**
+   * 条目是否属于分区
+   *
+   * @param {Object} entry
+   * @param {Object} partition - { scenario, language }
+   * @param {string} [tier=Tier.SCENARIO] - SCENARIO 时只包含当前应用与通用条目，LANGUAGE 时包含同语言全部条目
+   */
+  static inPartition(entry, { scenario, language }, tier = PromptIndex.Tier.SCENARIO) {
+    if (PromptIndex.entryLanguage(entry) !== language) return false;
+    if (tier === PromptIndex.Tier.LANGUAGE) return true;
+    const scenarios = PromptIndex.entryScenarios(entry);
+    return scenarios.length === 0 || scenarios.includes(scenario);
+  }
+
+  get isLoaded() {
+    return this.version !== null;
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * 按缓存 key 读取条目
+   */
+  get(key) {
+    return this._entries.get(key) || null;
+  }
+
+  /**
+   * 全部条目 [{ key, entry }]
+   */
+  entries() {
+    return [...this._entries].map(([key, entry]) => ({ key, entry }));
+  }
+
+  /**
+   * 去重后的音频文件列表；设置分区时只返回当前应用需要的子集
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - 忽略分区，返回全部
+   */
+  audioFiles({ all = false } = {}) {
+    const keys = all || !this.partition ? [...this._entries.keys()] : this._tiers[0].keys;
+    return [...new Set(keys.map((key) => this._entries.get(key)?.audio_file).filter(Boolean))];
+  }
+
+  /**
+   * 查找文本对应的预录制音频
+   *
+   * @param {string} text - 待播放的文本
+   * @param {Object} [options]
+   * @param {number} [options.fuzzyThreshold] - 覆盖默认的模糊匹配阈值
+   * @param {boolean} [options.allowComposite=true] - 是否允许组合匹配
+   * @param {boolean} [options.allowFuzzy=true] - 是否允许模糊匹配
+   * @returns {Object} { type, score, tier, text, clips: [{ key, text, audio_file }] }
+   */
+  lookup(text, options = {}) {
+    const input = String(text || "").trim();
+    const none = { type: PromptIndex.MatchType.NONE, score: 0, tier: null, text: input, clips: [] };
+    if (!input) return none;
+
+    // 按分区层级依次查找：应用 → 同语言；都没有则不匹配（不跨语言）
+    for (const table of this._tiers) {
+      const match = this._lookupIn(table, input, options);
+      if (match) {
+        return { ...match, tier: table.tier, text: input, clips: match.keys.map((key) => this._clip(key)) };
+      }
+    }
+    return none;
+  }
+
+  /**
+   * 在一张查找表中按 精确 → 规范化 → 组合 → 模糊 的顺序查找
+   */
+  _lookupIn(table, input, { fuzzyThreshold, allowComposite = true, allowFuzzy = true }) {
+    const { MatchType } = PromptIndex;
+
+    // 1. 精确匹配
+    const exactKey = table.byText.get(input) || table.byText.get(PromptTextNormalizer.toBackendForm(input));
+    if (exactKey) return { type: MatchType.EXACT, score: 1, keys: [exactKey] };
+
+    // 2. 匹配键相同
+    const matchKey = PromptTextNormalizer.toMatchKey(input);
+    if (!matchKey) return null;
+    const normalizedKey = table.byMatchKey.get(matchKey);
+    if (normalizedKey) return { type: MatchType.NORMALIZED, score: 1, keys: [normalizedKey] };
+
+    // 3. 组合匹配：整段文本恰好由若干已知提示语拼接而成
+    if (allowComposite) {
+      const parts = this._findComposite(table, matchKey);
+      if (parts) return { type: MatchType.COMPOSITE, score: 1, keys: parts };
+    }
+
+    // 4. 模糊匹配
+    if (allowFuzzy) {
+      const best = this._findFuzzy(table, matchKey, fuzzyThreshold ?? this.options.fuzzyThreshold);
+      if (best) return { type: MatchType.FUZZY, score: best.score, keys: [best.key] };
+    }
+    return null;
+  }
+
+  /**
+   * 用最少的片段覆盖整个匹配键（至少 2 段，最多 maxCompositeParts 段）
+   */
+  _findComposite(table, matchKey) {
+    const chars = Array.from(matchKey);
+    const n = chars.length;
+    const maxParts = this.options.maxCompositeParts;
+    if (maxParts < 2 || table.keyLengths.length === 0) return null;
+
+    // best[i] = 覆盖前 i 个字符的最少片段 { parts, prev, key }
+    const best = new Array(n + 1).fill(null);
+    best[0] = { parts: 0, prev: -1, key: null };
+
+    for (let i = 0; i < n; i++) {
+      if (!best[i] || best[i].parts >= maxParts) continue;
+      for (const length of table.keyLengths) {
+        const end = i + length;
+        if (end > n) continue;
+        const key = table.byMatchKey.get(chars.slice(i, end).join(""));
+        if (!key) continue;
+        const parts = best[i].parts + 1;
+        if (!best[end] || parts < best[end].parts) {
+          best[end] = { parts, prev: i, key };
+        }
+      }
+    }
+
+    if (!best[n] || best[n].parts < 2) return null;
+
+    const keys = [];
+    for (let i = n; i > 0; i = best[i].prev) {
+      keys.unshift(best[i].key);
+    }
+    return keys;
+  }
+
+  /**
+   * 相似度最高且不低于阈值的条目
+   */
+  _findFuzzy(table, matchKey, threshold) {
+    const length = Array.from(matchKey).length;
+    let best = null;
+
+    for (const item of table.matchKeys) {
+      const longest = Math.max(length, item.length);
+      const maxDistance = Math.floor(longest * (1 - threshold));
+      const distance = PromptTextNormalizer.editDistance(matchKey, item.matchKey, maxDistance);
+      if (distance > maxDistance) continue;
+
+      const score = 1 - distance / longest;
+      if (!best || score > best.score) {
+        best = { key: item.key, score };
+      }
+    }
+    return best;
+  }
+
+  _clip(key) {
+    const entry = this._entries.get(key) || {};
+    return { key, text: entry.text || entry.normalized_text || "", audio_file: entry.audio_file || null };
+  }
+
+  /**
+   * 按当前分区重建各层查找表
+   */
+  _buildTiers() {
+    const { Tier } = PromptIndex;
+    const keys = [...this._entries.keys()];
+
+    if (!this.partition) {
+      this._tiers = [this._buildTable(Tier.ALL, keys)];
+      return;
+    }
+
+    const select = (tier) => keys.filter((key) => PromptIndex.inPartition(this._entries.get(key), this.partition, tier));
+    this._tiers = [
+      this._buildTable(Tier.SCENARIO, select(Tier.SCENARIO)),
+      this._buildTable(Tier.LANGUAGE, select(Tier.LANGUAGE)),
+    ];
+  }
+
+  _buildTable(tier, keys) {
+    const table = {
+      tier,
+      keys,
+      byText: new Map(), // 原文 / normalized_text / 后端形式 -> key
+      byMatchKey: new Map(), // 匹配键 -> key
+      matchKeys: [], // [{ key, matchKey, length }]
+      keyLengths: [], // 匹配键长度（去重，降序）
+    };
+
+    for (const key of keys) {
+      const entry = this._entries.get(key);
+      const text = entry.text || entry.normalized_text || "";
+
+      for (const form of [entry.text, entry.normalized_text, PromptTextNormalizer.toBackendForm(text)]) {
+        if (form && !table.byText.has(form)) table.byText.set(form, key);
+      }
+
+      const matchKey = PromptTextNormalizer.toMatchKey(text);
+      if (matchKey && !table.byMatchKey.has(matchKey)) {
+        table.byMatchKey.set(matchKey, key);
+        table.matchKeys.push({ key, matchKey, length: Array.from(matchKey).length });
+      }
+    }
+
+    table.keyLengths = [...new Set(table.matchKeys.map((item) => item.length))].sort((a, b) => b - a);
+    return table;
+  }
+
+  _log(level, message) {
+    const logLevels = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+    if ((logLevels[level] ?? 1) >= (logLevels[this.options.logLevel] ?? 1)) {
+      console[level](`[PROMPT_INDEX] ${message}`);
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PromptIndex;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.PromptIndex = PromptIndex;
+}
@@ -1,860 +1,2513 @@
-/**
- * 声网Web端显式订阅管理器
- * 基于声网技术支持的专业建议实现
- */
-
-/**
- * UID 处理辅助函数
- * 解决后端返回的 UID 可能是字符串或数字，而 Agora SDK 中的 UID 类型不一致的问题
- */
-function normalizeUID(uid) {
-  return String(uid);
-}
-
-/**
- * 在远端用户列表中查找指定 UID 的用户
- * 使用字符串化比较避免类型不匹配问题
- */
-function findRemoteUser(client, targetUid) {
-  const normalizedTarget = normalizeUID(targetUid);
-  return client.remoteUsers.find(u => normalizeUID(u.uid) === normalizedTarget);
-}
-
-/**
- * 比较两个 UID 是否相等
- * 使用字符串化比较避免类型不匹配问题
- */
-function isUIDEqual(uid1, uid2) {
-  return normalizeUID(uid1) === normalizeUID(uid2);
-}
-
-class WebSubscriptionManager {
-  /**
-   * 订阅状态枚举
-   */
-  static SubscriptionState = {
-    NOT_SUBSCRIBED: "not_subscribed",
-    SUBSCRIBING: "subscribing",
-    SUBSCRIBED: "subscribed",
-    SUBSCRIPTION_FAILED: "subscription_failed",
-    UNSUBSCRIBING: "unsubscribing",
-  };
-
-  /**
-   * 订阅类型枚举
-   */
-  static SubscriptionType = {
-    AUDIO: "audio",
-    VIDEO: "video",
-    BOTH: "both",
-  };
-
-  constructor(client, options = {}) {
-    this.client = client;
-    this.options = {
-      maxRetryAttempts: options.maxRetryAttempts || 3,
-      retryDelay: options.retryDelay || 2000,
-      subscriptionTimeout: options.subscriptionTimeout || 10000,
-      enableAutoSubscribe: options.enableAutoSubscribe !== false,
-      logLevel: options.logLevel || "info",
-      ...options,
-    };
-    this._boundHandlers = {
-      userJoined: this._handleUserJoined.bind(this),
-      userPublished: this._handleUserPublished.bind(this),
-      userUnpublished: this._handleUserUnpublished.bind(this),
-      userLeft: this._handleUserLeft.bind(this),
-    };
-
-    // 绑定：
-    this.client.on("user-joined", this._boundHandlers.userJoined);
-    this.client.on("user-published", this._boundHandlers.userPublished);
-    this.client.on("user-unpublished", this._boundHandlers.userUnpublished);
-    this.client.on("user-left", this._boundHandlers.userLeft);
-
-    // 订阅状态跟踪
-    this.subscriptions = new Map(); // uid -> subscription info
-    this.subscriptionHistory = [];
-    this.retryTimers = new Map(); // uid -> timer
-
-    // 回调函数
-    this.onSubscriptionSuccess = null;
-    this.onSubscriptionFailed = null;
-    this.onSubscriptionStateChanged = null;
-
-    
-
-    this._log("info", "显式订阅管理器初始化完成", { options: this.options });
-    
-    // 补种：把 join 之前已经在频道里的远端用户收录进来
-    this._seedExistingRemoteUsers();
-  }
-
-  /**
-   * 补种已存在的远端用户
-   * 解决在 join 后创建订阅管理器时错过已在频道用户的问题
-   */
-  _seedExistingRemoteUsers() {
-    const users = this.client.remoteUsers || [];
-    this._log("info", `开始补种已存在的远端用户，共 ${users.length} 个用户`);
-    
-    for (const u of users) {
-      const uid = normalizeUID(u.uid);
-      if (!this.subscriptions.has(uid)) {
-        this._updateSubscriptionInfo(u.uid, {
-          user: u,
-          hasAudio: u.hasAudio,
-          hasVideo: u.hasVideo,
-          state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
-          joinedAt: new Date(),
-        });
-        this._log("debug", `补种远端用户 ${u.uid}（hasAudio=${u.hasAudio}, hasVideo=${u.hasVideo}）`);
-      } else {
-        this._log("debug", `用户 ${u.uid} 已存在于订阅记录中，跳过补种`);
-      }
-    }
-    
-    this._log("info", `补种完成，当前订阅记录中共有 ${this.subscriptions.size} 个用户`);
-  }
-
-  /**
-   * 绑定事件处理器
-   */
- 
-  /**
-   * 处理用户加入事件
-   */
-  async _handleUserJoined(user) {
-  this._log("info", `用户加入事件: ${user.uid}`, {
-    uid: user.uid,
-    hasAudio: user.hasAudio,
-    hasVideo: user.hasVideo,
-  });
-
-  // 记录用户信息
-  this._updateSubscriptionInfo(user.uid, {
-    state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
-    user: user,
-    joinedAt: new Date(),
-    hasAudio: user.hasAudio,
-    hasVideo: user.hasVideo,
-  });
-
-  // 如果启用自动订阅且用户有媒体流，则尝试订阅
-  if (this.options.enableAutoSubscribe) {
-    if (user.hasAudio || user.hasVideo) {
-      await this._attemptAutoSubscription(user);
-    } else {
-      this._log("debug", `用户 ${user.uid} 暂无媒体流，等待发布事件`);
-    }
-  }
-
-  // === [扩展1] 兜底扫描（只针对 Bot 用户） ===
-  if (user.hasAudio && window.WebUIDValidator?.isBotUser(user.uid)) {
-    try {
-      const success = await this.subscribeToUser(user.uid, "audio");
-      if (success && user.audioTrack) {
-        user.audioTrack.play("remoteAudio");
-        this._log("info", `🔄 兜底订阅 Bot 用户 ${user.uid} 成功`);
-      }
-    } catch (err) {
-      this._log("error", `兜底订阅 Bot 用户失败: ${err.message}`);
-    }
-  }
-
-}
-
-
-  /**
-   * 处理用户发布事件
-   */
-  async _handleUserPublished(user, mediaType) {
-    this._log("info", `用户发布事件: ${user.uid}, 媒体类型: ${mediaType}`, {
-      uid: user.uid,
-      mediaType: mediaType,
-      hasAudio: user.hasAudio,
-      hasVideo: user.hasVideo,
-    });
-
-    // 更新用户媒体状态
-    const normalizedUID = normalizeUID(user.uid);
-    const subscriptionInfo = this.subscriptions.get(normalizedUID);
-    if (subscriptionInfo) {
-      subscriptionInfo.hasAudio = user.hasAudio;
-      subscriptionInfo.hasVideo = user.hasVideo;
-      subscriptionInfo.user = user;
-    } else {
-      // 如果 _handleUserJoined 没有及时更新，这里也尝试更新
-      this._updateSubscriptionInfo(user.uid, {
-        user: user,
-        hasAudio: user.hasAudio,
-        hasVideo: user.hasVideo,
-        state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
-        joinedAt: subscriptionInfo?.joinedAt || new Date(), // 尽可能保留加入时间
-        updatedAt: new Date(),
-      });
-    }
-
-    // 如果启用自动订阅，只订阅音频流，避免视频订阅
-    if (this.options.enableAutoSubscribe && mediaType === "audio") {
-      await this.subscribeToUser(user.uid, mediaType);
-    }
-
-    // === [增强] 针对 Bot 用户的订阅状态检查和重试机制 ===
-    if (mediaType === "audio" && window.WebUIDValidator?.isBotUser(user.uid)) {
-      // 检查当前状态：如果订阅失败或 user.hasAudio 为 false
-      const isSubscribed = this._isAlreadySubscribed(user.uid, mediaType);
-      const hasAudioTrack = user.hasAudio;
-
-      if (!isSubscribed && !hasAudioTrack) {
-        this._log("warn", `Bot用户 ${user.uid} 发布音频，但 Agora SDK 状态显示 hasAudio 为 false，启动重试机制...`);
-        // 立即尝试一次订阅，以防万一
-        // await this.subscribeToUser(user.uid, mediaType); // 可选：先尝试一次
-        this._scheduleBotSubscriptionRetry(user.uid, mediaType);
-      } else if (!isSubscribed && hasAudioTrack) {
-        // 如果 hasAudio 为 true，但尚未订阅，则尝试订阅
-        this._log("info", `Bot用户 ${user.uid} hasAudio 为 true，但尚未订阅，尝试订阅...`);
-        try {
-          await this.subscribeToUser(user.uid, mediaType);
-        } catch (error) {
-          this._log("warn", `Bot用户 ${user.uid} 初始订阅失败，启动重试机制...`, error);
-          this._scheduleBotSubscriptionRetry(user.uid, mediaType);
-        }
-      }
-      // 如果已经订阅，则不需要重试
-    }
-  }
-
- /**
-   * 新增：为 Bot 用户安排订阅重试
-   * @param {string|number} uid - Bot 用户的 UID
-   * @param {string} mediaType - 媒体类型，通常是 "audio"
-   */
-  _scheduleBotSubscriptionRetry(uid, mediaType) {
-    // 清除可能存在的旧重试任务
-    this._clearBotSubscriptionRetry(uid);
-
-    const maxAttempts = this.options.maxRetryAttempts || 5; // 增加重试次数
-    const retryDelay = this.options.retryDelay || 1000; // 重试间隔 1 秒
-
-    let attempts = 0;
-
-    const retry = async () => {
-      attempts++;
-      this._log("info", `重试订阅Bot用户 ${uid} 的 ${mediaType} (尝试 ${attempts}/${maxAttempts})`);
-
-      // 从 Agora 客户端重新获取用户信息
-      const agoraUser = findRemoteUser(this.client, uid);
-      if (agoraUser) {
-        const hasAudioTrack = agoraUser.hasAudio;
-        const isSubscribed = this._isAlreadySubscribed(uid, mediaType);
-
-        this._log("debug", `Bot用户 ${uid} Agora SDK 状态: hasAudio=${hasAudioTrack}, 本地订阅状态=${isSubscribed}`);
-
-        if (hasAudioTrack && !isSubscribed) {
-          this._log("info", `Bot用户 ${uid} Agora SDK 显示音频轨道可用，尝试订阅...`);
-          try {
-            const success = await this.subscribeToUser(uid, mediaType);
-            if (success) {
-              this._log("info", `✅ Bot用户 ${uid} 的 ${mediaType} 重试订阅成功！`);
-              // 订阅成功后，清除重试任务
-              this._clearBotSubscriptionRetry(uid);
-              return; // 成功后退出
-            } else {
-              this._log("warn", `Bot用户 ${uid} 重试订阅失败 (API返回false)`);
-            }
-          } catch (error) {
-            this._log("error", `Bot用户 ${uid} 重试订阅失败 (捕获异常): ${error.message}`);
-          }
-        } else {
-          if (!hasAudioTrack) {
-            this._log("debug", `Bot用户 ${uid} Agora SDK 音频轨道仍不可用 (hasAudio=${hasAudioTrack})`);
-          } else if (isSubscribed) {
-            this._log("info", `Bot用户 ${uid} 已经订阅，停止重试。`);
-            this._clearBotSubscriptionRetry(uid); // 清理，以防万一
-            return; // 已订阅，退出
-          }
-        }
-      } else {
-        this._log("warn", `Bot用户 ${uid} 在重试时已不在频道内，停止重试。`);
-        this._clearBotSubscriptionRetry(uid); // 清理
-        return; // 用户已离开，退出
-      }
-
-      // 如果未达到最大重试次数，安排下一次重试
-      if (attempts < maxAttempts) {
-        const timerId = setTimeout(retry, retryDelay);
-        this.retryTimers.set(uid, timerId);
-        this._log("debug", `为Bot用户 ${uid} 设置下次重试定时器 (ID: ${timerId})`);
-      } else {
-        this._log("error", `Bot用户 ${uid} 达到最大重试次数 (${maxAttempts})，放弃订阅。`);
-        this._clearBotSubscriptionRetry(uid); // 清理
-      }
-    };
-
-    // 立即执行第一次重试（或稍后执行，取决于 delay）
-    // 给 Agora SDK 一点时间来同步状态，所以第一次也延迟一下
-    const initialTimerId = setTimeout(retry, retryDelay);
-    this.retryTimers.set(uid, initialTimerId);
-    this._log("debug", `为Bot用户 ${uid} 启动初始重试定时器 (ID: ${initialTimerId})`);
-  }
-
-   /**
-   * 新增：清除 Bot 用户的订阅重试任务
-   * @param {string|number} uid - Bot 用户的 UID
-   */
-  _clearBotSubscriptionRetry(uid) {
-    const timerId = this.retryTimers.get(uid);
-    if (timerId) {
-      clearTimeout(timerId);
-      this.retryTimers.delete(uid);
-      this._log("debug", `清除Bot用户 ${uid} 的重试定时器 (ID: ${timerId})`);
-    }
-  }
-
-  /**
-   * 处理用户取消发布事件
-   */
-  _handleUserUnpublished(user, mediaType) {
-    this._log("info", `用户取消发布事件: ${user.uid}, 媒体类型: ${mediaType}`, {
-      uid: user.uid,
-      mediaType: mediaType,
-    });
-
-    // 更新订阅状态
-    const normalizedUID = normalizeUID(user.uid);
-    const subscriptionInfo = this.subscriptions.get(normalizedUID);
-    if (subscriptionInfo) {
-      if (mediaType === "audio") {
-        subscriptionInfo.hasAudio = false;
-        subscriptionInfo.audioSubscribed = false;
-      } else if (mediaType === "video") {
-        subscriptionInfo.hasVideo = false;
-        subscriptionInfo.videoSubscribed = false;
-      }
-    }
-  }
-/**
-   * 新增：检查频道内用户，对Bot用户启动重试（用于加入后立即检查）
-   * 这个方法可以由外部调用，例如在 join 成功后
-   */
-  checkBotUsersForRetry() {
-    this._log("info", "检查频道内所有Bot用户，启动可能的订阅重试...");
-    const agoraUsers = this.client.remoteUsers;
-    for (const agoraUser of agoraUsers) {
-      if (agoraUser.hasAudio && window.WebUIDValidator?.isBotUser(agoraUser.uid)) {
-        const normalizedUID = normalizeUID(agoraUser.uid);
-        const subscriptionInfo = this.subscriptions.get(normalizedUID);
-        const isSubscribed = this._isAlreadySubscribed(agoraUser.uid, "audio");
-        // 如果 Bot 用户存在、有音频、但本地未订阅，则启动重试
-        if (!isSubscribed) {
-          this._log("info", `检测到未订阅的Bot用户 ${agoraUser.uid}，启动重试机制...`);
-          this._scheduleBotSubscriptionRetry(agoraUser.uid, "audio");
-        } else {
-          this._log("debug", `Bot用户 ${agoraUser.uid} 已订阅或订阅信息存在，跳过。`);
-        }
-      }
-    }
-  }
-  /**
-   * 处理用户离开事件
-   */
-  _handleUserLeft(user) {
-    this._log("info", `用户离开事件: ${user.uid}`);
-
-    // 清理订阅信息
-    this._cleanupUserSubscription(user.uid);
-  }
-
-  /**
-   * 尝试自动订阅
-   */
-  async _attemptAutoSubscription(user) {
-    const subscriptionTypes = [];
-
-    // 只订阅音频流，避免视频订阅
-    if (user.hasAudio) {
-      subscriptionTypes.push("audio");
-    }
-    // 注释掉视频订阅以避免摄像头权限请求
-    // if (user.hasVideo) {
-    //   subscriptionTypes.push("video");
-    // }
-
-    if (subscriptionTypes.length > 0) {
-      this._log("info", `自动订阅用户 ${user.uid} (仅音频)`, {
-        types: subscriptionTypes,
-      });
-
-      for (const type of subscriptionTypes) {
-        await this.subscribeToUser(user.uid, type);
-      }
-    }
-  }
-
-  /**
-   * 订阅用户媒体流
-   */
-  async subscribeToUser(uid, mediaType = "audio", options = {}) {
-    const normalizedUID = normalizeUID(uid);
-    let subscriptionInfo = this.subscriptions.get(normalizedUID);
-    if (!subscriptionInfo) {
-      // 兜底：用 SDK 当前远端列表补登记
-      const userFromSDK = findRemoteUser(this.client, uid);
-      if (userFromSDK) {
-        this._updateSubscriptionInfo(uid, {
-          user: userFromSDK,
-          hasAudio: userFromSDK.hasAudio,
-          hasVideo: userFromSDK.hasVideo,
-          state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
-          joinedAt: new Date(),
-        });
-        subscriptionInfo = this.subscriptions.get(normalizeUID(uid));
-        this._log("debug", `兜底登记用户 ${uid}（来自 client.remoteUsers）`);
-      } else {
-        this._log("error", `用户 ${uid} 不存在，无法订阅`);
-        return false;
-      }
-    }
-
-    const user = subscriptionInfo.user;
-    if (!user) {
-      this._log("error", `用户 ${uid} 对象不存在，无法订阅`);
-      return false;
-    }
-
-    // 检查媒体类型可用性
-    if (mediaType === "audio" && !user.hasAudio) {
-      this._log("warn", `用户 ${uid} 没有音频流，跳过音频订阅`);
-      return false;
-    }
-    if (mediaType === "video" && !user.hasVideo) {
-      this._log("warn", `用户 ${uid} 没有视频流，跳过视频订阅`);
-      return false;
-    }
-
-    // 检查是否已经订阅
-    const isAlreadySubscribed = this._isAlreadySubscribed(uid, mediaType);
-    if (isAlreadySubscribed) {
-      this._log("debug", `用户 ${uid} 的 ${mediaType} 已订阅，跳过`);
-      return true;
-    }
-
-    return await this._subscribeWithRetry(uid, user, mediaType, options);
-  }
-
-  /**
-   * 带重试的订阅
-   */
-  async _subscribeWithRetry(uid, user, mediaType, options = {}) {
-    const maxAttempts =
-      options.maxRetryAttempts || this.options.maxRetryAttempts;
-    const retryDelay = options.retryDelay || this.options.retryDelay;
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        this._log(
-          "info",
-          `订阅用户 ${uid} 的 ${mediaType} - 尝试 ${attempt}/${maxAttempts}`
-        );
-
-        // 更新订阅状态
-        this._updateSubscriptionState(
-          uid,
-          mediaType,
-          WebSubscriptionManager.SubscriptionState.SUBSCRIBING
-        );
-
-        // 执行订阅
-        const result = await this._performSubscription(user, mediaType);
-
-        if (result) {
-          // 订阅成功
-          this._updateSubscriptionState(
-            uid,
-            mediaType,
-            WebSubscriptionManager.SubscriptionState.SUBSCRIBED
-          );
-          this._recordSubscriptionAttempt(uid, mediaType, true, attempt);
-
-          this._log("info", `✅ 用户 ${uid} 的 ${mediaType} 订阅成功`);
-
-          // 调用成功回调
-          if (this.onSubscriptionSuccess) {
-            try {
-              this.onSubscriptionSuccess(uid, mediaType, result);
-            } catch (error) {
-              this._log("error", "订阅成功回调执行失败", {
-                error: error.message,
-              });
-            }
-          }
-
-          return true;
-        }
-      } catch (error) {
-        const errorMessage = `订阅失败 (尝试 ${attempt}/${maxAttempts}): ${error.message}`;
-        this._log("error", `❌ 用户 ${uid} 的 ${mediaType} ${errorMessage}`);
-
-        // 记录失败尝试
-        this._recordSubscriptionAttempt(
-          uid,
-          mediaType,
-          false,
-          attempt,
-          error.message
-        );
-
-        // 如果不是最后一次尝试，等待后重试
-        if (attempt < maxAttempts) {
-          const waitTime = retryDelay * attempt; // 递增等待时间
-          this._log("info", `⏳ ${waitTime}ms 后重试订阅...`);
-          await this._sleep(waitTime);
-        } else {
-          // 最终失败
-          this._updateSubscriptionState(
-            uid,
-            mediaType,
-            WebSubscriptionManager.SubscriptionState.SUBSCRIPTION_FAILED
-          );
-
-          // 调用失败回调
-          if (this.onSubscriptionFailed) {
-            try {
-              this.onSubscriptionFailed(uid, mediaType, error);
-            } catch (callbackError) {
-              this._log("error", "订阅失败回调执行失败", {
-                error: callbackError.message,
-              });
-            }
-          }
-        }
-      }
-    }
-
-    this._log(
-      "error",
-      `❌ 用户 ${uid} 的 ${mediaType} 订阅最终失败，已达到最大重试次数`
-    );
-    return false;
-  }
-
-  /**
-   * 执行实际的订阅操作
-   */
-  async _performSubscription(user, mediaType) {
-    const timeout = this.options.subscriptionTimeout;
-
-    return new Promise(async (resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error(`订阅超时 (${timeout}ms)`));
-      }, timeout);
-
-      try {
-        let result;
-
-        if (mediaType === "audio") {
-          result = await this.client.subscribe(user, "audio");
-        } else if (mediaType === "video") {
-          result = await this.client.subscribe(user, "video");
-        } else {
-          throw new Error(`不支持的媒体类型: ${mediaType}`);
-        }
-
-        clearTimeout(timeoutId);
-        resolve(result);
-      } catch (error) {
-        clearTimeout(timeoutId);
-        reject(error);
-      }
-    });
-  }
-
-  /**
-   * 取消订阅用户媒体流
-   */
-  async unsubscribeFromUser(uid, mediaType = "audio") {
-    const normalizedUID = normalizeUID(uid);
-    const subscriptionInfo = this.subscriptions.get(normalizedUID);
-    if (!subscriptionInfo) {
-      this._log("warn", `用户 ${uid} 不存在，无法取消订阅`);
-      return false;
-    }
-
-    const user = subscriptionInfo.user;
-    if (!user) {
-      this._log("warn", `用户 ${uid} 对象不存在，无法取消订阅`);
-      return false;
-    }
-
-    try {
-      this._log("info", `取消订阅用户 ${uid} 的 ${mediaType}`);
-
-      // 更新状态
-      this._updateSubscriptionState(
-        uid,
-        mediaType,
-        WebSubscriptionManager.SubscriptionState.UNSUBSCRIBING
-      );
-
-      // 执行取消订阅
-      await this.client.unsubscribe(user, mediaType);
-
-      // 更新状态
-      this._updateSubscriptionState(
-        uid,
-        mediaType,
-        WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED
-      );
-
-      this._log("info", `✅ 用户 ${uid} 的 ${mediaType} 取消订阅成功`);
-      return true;
-    } catch (error) {
-      this._log("error", `❌ 取消订阅失败: ${error.message}`);
-      this._updateSubscriptionState(
-        uid,
-        mediaType,
-        WebSubscriptionManager.SubscriptionState.SUBSCRIPTION_FAILED
-      );
-      return false;
-    }
-  }
-
-  /**
-   * 检查是否已经订阅
-   */
-  _isAlreadySubscribed(uid, mediaType) {
-    const normalizedUID = normalizeUID(uid);
-    const subscriptionInfo = this.subscriptions.get(normalizedUID);
-    if (!subscriptionInfo) return false;
-
-    if (mediaType === "audio") {
-      return subscriptionInfo.audioSubscribed === true;
-    } else if (mediaType === "video") {
-      return subscriptionInfo.videoSubscribed === true;
-    }
-
-    return false;
-  }
-
-  /**
-   * 更新订阅信息
-   */
-  _updateSubscriptionInfo(uid, info) {
-    const normalizedUID = normalizeUID(uid);
-    const existing = this.subscriptions.get(normalizedUID) || {};
-    const updated = { ...existing, ...info, updatedAt: new Date() };
-    this.subscriptions.set(normalizedUID, updated);
-  }
-
-  /**
-   * 更新订阅状态
-   */
-  _updateSubscriptionState(uid, mediaType, state) {
-    const normalizedUID = normalizeUID(uid);
-    const subscriptionInfo = this.subscriptions.get(normalizedUID);
-    if (!subscriptionInfo) return;
-
-    if (mediaType === "audio") {
-      subscriptionInfo.audioState = state;
-      subscriptionInfo.audioSubscribed =
-        state === WebSubscriptionManager.SubscriptionState.SUBSCRIBED;
-    } else if (mediaType === "video") {
-      subscriptionInfo.videoState = state;
-      subscriptionInfo.videoSubscribed =
-        state === WebSubscriptionManager.SubscriptionState.SUBSCRIBED;
-    }
-
-    subscriptionInfo.updatedAt = new Date();
-
-    // 调用状态变化回调
-    if (this.onSubscriptionStateChanged) {
-      try {
-        this.onSubscriptionStateChanged(uid, mediaType, state);
-      } catch (error) {
-        this._log("error", "订阅状态变化回调执行失败", {
-          error: error.message,
-        });
-      }
-    }
-  }
-
-  /**
-   * 记录订阅尝试
-   */
-  _recordSubscriptionAttempt(
-    uid,
-    mediaType,
-    success,
-    attempt,
-    errorMessage = null
-  ) {
-    const record = {
-      uid,
-      mediaType,
-      success,
-      attempt,
-      timestamp: new Date(),
-      errorMessage,
-    };
-
-    this.subscriptionHistory.push(record);
-
-    // 限制历史记录长度
-    if (this.subscriptionHistory.length > 100) {
-      this.subscriptionHistory = this.subscriptionHistory.slice(-50);
-    }
-  }
-
-  /**
-   * 清理用户订阅信息
-   */
-  _cleanupUserSubscription(uid) {
-    // 清理重试定时器
-    const timer = this.retryTimers.get(uid);
-    if (timer) {
-      clearTimeout(timer);
-      this.retryTimers.delete(uid);
-    }
-
-    // 移除订阅信息
-    this.subscriptions.delete(uid);
-
-    this._log("debug", `用户 ${uid} 的订阅信息已清理`);
-  }
-
-  /**
-   * 获取订阅统计信息
-   */
-  getSubscriptionStats() {
-    const totalUsers = this.subscriptions.size;
-    let audioSubscribed = 0;
-    let videoSubscribed = 0;
-    let totalAttempts = this.subscriptionHistory.length;
-    let successfulAttempts = this.subscriptionHistory.filter(
-      (record) => record.success
-    ).length;
-
-    for (const [uid, info] of this.subscriptions) {
-      if (info.audioSubscribed) audioSubscribed++;
-      if (info.videoSubscribed) videoSubscribed++;
-    }
-
-    const successRate =
-      totalAttempts > 0 ? (successfulAttempts / totalAttempts) * 100 : 0;
-
-    return {
-      totalUsers,
-      audioSubscribed,
-      videoSubscribed,
-      totalAttempts,
-      successfulAttempts,
-      successRate: `${successRate.toFixed(1)}%`,
-      autoSubscribeEnabled: this.options.enableAutoSubscribe,
-    };
-  }
-
-  /**
-   * 获取用户订阅信息
-   */
-  getUserSubscriptionInfo(uid) {
-    const normalizedUID = normalizeUID(uid);
-    const info = this.subscriptions.get(normalizedUID);
-    if (!info) return null;
-
-    return {
-      uid,
-      hasAudio: info.hasAudio,
-      hasVideo: info.hasVideo,
-      audioSubscribed: info.audioSubscribed || false,
-      videoSubscribed: info.videoSubscribed || false,
-      audioState:
-        info.audioState ||
-        WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
-      videoState:
-        info.videoState ||
-        WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
-      joinedAt: info.joinedAt,
-      updatedAt: info.updatedAt,
-    };
-  }
-
-  /**
-   * 获取所有用户订阅信息
-   */
-  getAllSubscriptionInfo() {
-    const result = [];
-    for (const [uid, info] of this.subscriptions) {
-      result.push(this.getUserSubscriptionInfo(uid));
-    }
-    return result;
-  }
-
-  /**
-   * 启用/禁用自动订阅
-   */
-  setAutoSubscribe(enabled) {
-    this.options.enableAutoSubscribe = enabled;
-    this._log("info", `自动订阅: ${enabled ? "启用" : "禁用"}`);
-  }
-
-  /**
-   * 睡眠函数
-   */
-  _sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
-  /**
-   * 日志记录
-   */
-  _log(level, message, data = null) {
-    const logLevels = { debug: 0, info: 1, warn: 2, error: 3 };
-    const currentLevel = logLevels[this.options.logLevel] || 1;
-    const messageLevel = logLevels[level] || 1;
-
-    if (messageLevel >= currentLevel) {
-      const prefix = "[SUBSCRIPTION_MANAGER]";
-      const timestamp = new Date().toISOString();
-
-      if (data) {
-        console[level](`${prefix} ${timestamp} ${message}`, data);
-      } else {
-        console[level](`${prefix} ${timestamp} ${message}`);
-      }
-    }
-  }
-
-  /**
-   * 销毁订阅管理器
-   */
-  destroy() {
-    // 清理所有定时器
-    for (const [uid, timer] of this.retryTimers) {
-      clearTimeout(timer);
-    }
-    this.retryTimers.clear();
-
-    // 清理订阅信息
-    this.subscriptions.clear();
-    this.subscriptionHistory = [];
-
-    this.client.off("user-joined", this._boundHandlers.userJoined);
-    this.client.off("user-published", this._boundHandlers.userPublished);
-    this.client.off("user-unpublished", this._boundHandlers.userUnpublished);
-    this.client.off("user-left", this._boundHandlers.userLeft);
-    this._boundHandlers = null;
-
-    this._log("info", "订阅管理器已销毁");
-  }
-}
-
-// 导出（如果在模块环境中）
-if (typeof module !== "undefined" && module.exports) {
-  module.exports = WebSubscriptionManager;
-}
-
-// 全局暴露（如果在浏览器环境中）
-if (typeof window !== "undefined") {
-  window.WebSubscriptionManager = WebSubscriptionManager;
-}
+/**
+ * 声网Web端显式订阅管理器
+ * 基于声网技术支持的专业建议实现
+ */
+
+/**
+ * 统一UID模型（定义在 web_uid_validator.js）
+ * 浏览器中为全局 AgoraUID，Node 环境下按模块加载
+ */
+const SubscriptionUID =
+  typeof AgoraUID !== "undefined" ? AgoraUID : require("./web_uid_validator.js").AgoraUID;
+
+/**
+ * UID 处理辅助函数
+ * 解决后端返回的 UID 可能是字符串或数字，而 Agora SDK 中的 UID 类型不一致的问题
+ * 按 AgoraUID 规则得到规范字符串；无法解析的值退回字符串化，仍可作为键使用
+ * null / undefined 返回 null（不针对单个用户的事件，如 resync-completed）
+ */
+function normalizeUID(uid) {
+  if (uid === null || uid === undefined) return null;
+  return SubscriptionUID.format(uid) ?? String(uid);
+}
+
+/**
+ * 在远端用户列表中查找指定 UID 的用户
+ * 使用规范化 UID 比较避免类型不匹配问题
+ */
+function findRemoteUser(client, targetUid) {
+  const normalizedTarget = normalizeUID(targetUid);
+  return client.remoteUsers.find(u => normalizeUID(u.uid) === normalizedTarget);
+}
+
+/**
+ * 默认角色解析：不区分角色
+ * 需要按角色路由时由调用方通过 options.roleResolver 注入（如借助 WebUIDValidator）
+ */
+function defaultRoleResolver() {
+  return null;
+}
+
+/**
+ * 订阅策略决策的默认值
+ * - subscribe: 是否订阅
+ * - priority: 优先级，数值越大越先订阅
+ * - playIn: 订阅成功后自动播放到的 DOM 元素或元素 ID（null 表示不自动播放）
+ * - retry: SDK 状态滞后或订阅失败时是否在后台持续重试
+ */
+const DEFAULT_POLICY_DECISION = {
+  subscribe: false,
+  priority: 0,
+  playIn: null,
+  retry: false,
+};
+
+/**
+ * 把策略返回值规范化为完整的决策对象
+ */
+function normalizePolicyDecision(decision) {
+  if (decision === true) {
+    return { ...DEFAULT_POLICY_DECISION, subscribe: true };
+  }
+  if (!decision || typeof decision !== "object") {
+    return { ...DEFAULT_POLICY_DECISION };
+  }
+  return {
+    ...DEFAULT_POLICY_DECISION,
+    subscribe: decision.subscribe !== false,
+    priority: Number(decision.priority) || 0,
+    playIn: decision.playIn || null,
+    retry: decision.retry === true,
+  };
+}
+
+/**
+ * 判断规则是否匹配订阅上下文
+ */
+function ruleMatches(rule, context) {
+  if (rule.mediaTypes && !rule.mediaTypes.includes(context.mediaType)) {
+    return false;
+  }
+  if (rule.uids && !rule.uids.some((uid) => normalizeUID(uid) === context.uid)) {
+    return false;
+  }
+  if (rule.roles && !rule.roles.includes(context.role)) {
+    return false;
+  }
+  if (typeof rule.match === "function" && !rule.match(context)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 把策略（函数或规则列表）编译为统一的决策函数
+ * 规则列表按顺序匹配，命中第一条即返回；全部未命中则不订阅
+ */
+function compilePolicy(policy) {
+  if (typeof policy === "function") {
+    return (context) => normalizePolicyDecision(policy(context));
+  }
+  if (Array.isArray(policy)) {
+    return (context) => {
+      const rule = policy.find((r) => ruleMatches(r, context));
+      return normalizePolicyDecision(rule || null);
+    };
+  }
+  throw new TypeError("订阅策略必须是函数或规则数组");
+}
+
+/**
+ * 内置策略：只订阅 Bot 音频（按角色识别），并持续重试
+ *
+ * @param {Object} [options]
+ * @param {string} [options.role="bot"] - Bot 角色名（由 roleResolver 给出）
+ * @param {HTMLElement|string} [options.playIn] - 自动播放目标
+ * @param {number} [options.priority=10] - 优先级
+ */
+function botsOnlyPolicy({ role = "bot", playIn = null, priority = 10 } = {}) {
+  return [
+    { roles: [role], mediaTypes: ["audio"], priority, playIn, retry: true },
+  ];
+}
+
+/**
+ * 内置策略：订阅所有人的音频（原默认行为）
+ *
+ * @param {Object} [options]
+ * @param {HTMLElement|string} [options.playIn] - 自动播放目标
+ */
+function everyoneAudioPolicy({ playIn = null } = {}) {
+  return [{ mediaTypes: ["audio"], playIn }];
+}
+
+/**
+ * 内置策略：只订阅白名单中的 UID
+ *
+ * @param {Array<string|number>} uids - 允许订阅的 UID 列表
+ * @param {Object} [options]
+ * @param {Array<string>} [options.mediaTypes=["audio"]] - 允许的媒体类型
+ * @param {HTMLElement|string} [options.playIn] - 自动播放目标
+ * @param {number} [options.priority=0] - 优先级
+ */
+function allowListPolicy(
+  uids,
+  { mediaTypes = ["audio"], playIn = null, priority = 0 } = {}
+) {
+  return [{ uids: [...uids], mediaTypes, playIn, priority }];
+}
+
+/**
+ * 创建可中断的等待
+ * signal 被中断时立即以 AbortError 拒绝
+ */
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(signal));
+      return;
+    }
+    const timerId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timerId);
+      reject(createAbortError(signal));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * 构造中断错误（带上中断原因）
+ */
+function createAbortError(signal) {
+  const error = new Error(`操作已取消: ${signal?.reason || "aborted"}`);
+  error.name = "AbortError";
+  error.reason = signal?.reason || "aborted";
+  return error;
+}
+
+/**
+ * 统一的订阅重试调度器
+ * - 指数退避 + 抖动
+ * - 同一 UID + 媒体类型同时只有一个重试任务（重复请求会复用进行中的任务）
+ * - 每个 UID 的总尝试次数预算
+ * - 基于 AbortController 的取消（用户离开、销毁）
+ */
+class RetryScheduler {
+  constructor(options = {}) {
+    this.options = {
+      baseDelay: options.baseDelay ?? 2000,
+      factor: options.factor ?? 2,
+      maxDelay: options.maxDelay ?? 30000,
+      jitter: options.jitter ?? 0.2,
+      budgetPerUser: options.budgetPerUser ?? 20,
+      random: options.random || Math.random,
+    };
+    this._runs = new Map(); // "uid|mediaType" -> run
+    this._attemptsUsed = new Map(); // uid -> 已消耗的尝试次数
+  }
+
+  /**
+   * 计算第 attempt 次失败后的等待时间
+   */
+  computeDelay(attempt, baseDelay = this.options.baseDelay) {
+    const { factor, maxDelay, jitter, random } = this.options;
+    const raw = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+    const spread = raw * jitter * (random() * 2 - 1);
+    return Math.max(0, Math.round(raw + spread));
+  }
+
+  /**
+   * 执行带重试的任务
+   * task({ attempt, signal }) 返回 { done: true, value } 表示成功，
+   * { done: false, retry: false } 表示放弃，{ done: false, error } 表示本次失败可重试
+   * 同一 UID + 媒体类型已有任务时不重复执行，返回该任务的结果并带上 joined: true
+   *
+   * @returns {Promise<{ok: boolean, value?: any, attempts: number, reason: string, error?: Error, joined?: boolean}>}
+   */
+  run(uid, mediaType, task, runOptions = {}) {
+    const key = `${uid}|${mediaType}`;
+    const existing = this._runs.get(key);
+    if (existing) {
+      return existing.promise.then((outcome) => ({ ...outcome, joined: true }));
+    }
+
+    const controller = new AbortController();
+    const run = {
+      key,
+      uid,
+      mediaType,
+      source: runOptions.source || "subscribe",
+      attempt: 0,
+      maxAttempts: runOptions.maxAttempts || 3,
+      startedAt: Date.now(),
+      nextAttemptAt: null,
+      controller,
+      promise: null,
+    };
+    this._runs.set(key, run);
+
+    run.promise = this._loop(run, task, runOptions).finally(() => {
+      if (this._runs.get(key) === run) {
+        this._runs.delete(key);
+      }
+    });
+    return run.promise;
+  }
+
+  async _loop(run, task, { initialDelay = 0, baseDelay, onRetry } = {}) {
+    const signal = run.controller.signal;
+    let lastError = null;
+
+    try {
+      if (initialDelay > 0) {
+        run.nextAttemptAt = Date.now() + initialDelay;
+        onRetry?.({ attempt: 1, maxAttempts: run.maxAttempts, delay: initialDelay, error: null });
+        await abortableSleep(initialDelay, signal);
+      }
+
+      while (true) {
+        const used = this._attemptsUsed.get(run.uid) || 0;
+        if (used >= this.options.budgetPerUser) {
+          return { ok: false, attempts: run.attempt, reason: "budget-exhausted", error: lastError };
+        }
+        this._attemptsUsed.set(run.uid, used + 1);
+
+        run.attempt++;
+        run.nextAttemptAt = null;
+
+        let outcome;
+        try {
+          outcome = await task({ attempt: run.attempt, signal });
+        } catch (error) {
+          if (signal.aborted) throw error;
+          outcome = { done: false, error };
+        }
+        if (signal.aborted) {
+          throw createAbortError(signal);
+        }
+
+        if (outcome.done) {
+          return { ok: true, value: outcome.value, attempts: run.attempt, reason: "succeeded" };
+        }
+        lastError = outcome.error || lastError;
+        if (outcome.retry === false) {
+          return { ok: false, attempts: run.attempt, reason: outcome.reason || "stopped", error: lastError };
+        }
+        if (run.attempt >= run.maxAttempts) {
+          return { ok: false, attempts: run.attempt, reason: "max-attempts", error: lastError };
+        }
+
+        const delay = this.computeDelay(run.attempt, baseDelay);
+        run.nextAttemptAt = Date.now() + delay;
+        onRetry?.({ attempt: run.attempt + 1, maxAttempts: run.maxAttempts, delay, error: outcome.error || null });
+        await abortableSleep(delay, signal);
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        return { ok: false, attempts: run.attempt, reason: "aborted", error };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 取消某个 UID（可指定媒体类型）的重试任务
+   */
+  cancel(uid, mediaType = null, reason = "cancelled") {
+    let cancelled = 0;
+    for (const run of [...this._runs.values()]) {
+      if (run.uid === uid && (!mediaType || run.mediaType === mediaType)) {
+        run.controller.abort(reason);
+        this._runs.delete(run.key);
+        cancelled++;
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * 取消全部重试任务
+   */
+  cancelAll(reason = "cancelled") {
+    for (const run of this._runs.values()) {
+      run.controller.abort(reason);
+    }
+    this._runs.clear();
+  }
+
+  /**
+   * 重置某个 UID 的尝试预算（订阅成功或用户离开后）
+   */
+  resetBudget(uid) {
+    this._attemptsUsed.delete(uid);
+  }
+
+  /**
+   * 当前进行中的重试任务快照
+   */
+  pending() {
+    return [...this._runs.values()].map((run) => ({
+      uid: run.uid,
+      mediaType: run.mediaType,
+      source: run.source,
+      attempt: run.attempt,
+      maxAttempts: run.maxAttempts,
+      attemptsUsed: this._attemptsUsed.get(run.uid) || 0,
+      budget: this.options.budgetPerUser,
+      startedAt: run.startedAt,
+      nextAttemptAt: run.nextAttemptAt,
+    }));
+  }
+
+  has(uid, mediaType) {
+    return this._runs.has(`${uid}|${mediaType}`);
+  }
+}
+
+/**
+ * 远端音频健康看门狗
+ * 定期检查已订阅音频轨道的播放状态、音量电平和接收统计，发现异常后按策略逐级恢复：
+ * - not-playing：订阅后轨道迟迟未播放（常见于 autoplay 限制）→ 重新播放 → 提示用户恢复
+ * - receive-stalled：远端仍在发布但接收字节数不再增长 → 重新订阅
+ * - silent：电平持续低于阈值（Bot 本身可能只是没说话，默认只上报不恢复）
+ * 所有异常和恢复动作都通过订阅管理器的事件 API 上报
+ */
+class AudioHealthWatchdog {
+  static IncidentKind = {
+    NOT_PLAYING: "not-playing",
+    RECEIVE_STALLED: "receive-stalled",
+    SILENT: "silent",
+  };
+
+  static RecoveryAction = {
+    REPLAY: "replay",
+    RESUBSCRIBE: "resubscribe",
+    AUTOPLAY_PROMPT: "autoplay-prompt",
+  };
+
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.options = {
+      interval: options.interval ?? 2000,
+      notPlayingTimeout: options.notPlayingTimeout ?? 3000,
+      stallTimeout: options.stallTimeout ?? 6000,
+      // 0 表示不检测静音
+      silenceTimeout: options.silenceTimeout ?? 20000,
+      silenceLevel: options.silenceLevel ?? 0.01,
+      // 每类异常的恢复步骤，每次检查执行一步，异常持续则逐级升级
+      recovery: {
+        "not-playing": ["replay", "autoplay-prompt"],
+        "receive-stalled": ["resubscribe"],
+        silent: [],
+        ...options.recovery,
+      },
+    };
+    this._health = new Map(); // uid -> 健康记录
+    this._timer = null;
+    this._checking = false;
+  }
+
+  get isRunning() {
+    return this._timer !== null;
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.check().catch((error) => {
+        this.manager._log("error", `音频健康检查异常: ${error.message}`);
+      });
+    }, this.options.interval);
+    this.manager._log("info", `音频健康看门狗已启动 (间隔 ${this.options.interval}ms)`);
+  }
+
+  stop() {
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = null;
+    this.manager._log("info", "音频健康看门狗已停止");
+  }
+
+  /**
+   * 执行一轮检查（定时器触发，也可手动调用）
+   */
+  async check() {
+    if (this._checking) return;
+    // 重连期间轨道本就不可用，交给重连后的对账处理
+    const connectionState = this.manager.connectionState;
+    if (connectionState && connectionState !== "CONNECTED") return;
+    this._checking = true;
+
+    try {
+      const now = Date.now();
+      const stats = this._readStats();
+      const seen = new Set();
+
+      for (const [uid, info] of [...this.manager.subscriptions]) {
+        const track = info.user?.audioTrack;
+        if (!info.audioSubscribed || !track) continue;
+        seen.add(uid);
+
+        const record = this._observe(uid, info, track, stats, now);
+        const conditions = this._evaluate(record, info, now);
+
+        for (const kind of Object.values(AudioHealthWatchdog.IncidentKind)) {
+          if (conditions[kind]) {
+            await this._handleIncident(uid, record, kind, now);
+          } else if (record.incidents.has(kind)) {
+            this._resolveIncident(uid, record, kind, now);
+          }
+        }
+      }
+
+      for (const uid of [...this._health.keys()]) {
+        if (!seen.has(uid)) {
+          this._health.delete(uid);
+        }
+      }
+    } finally {
+      this._checking = false;
+    }
+  }
+
+  /**
+   * 用户离开后丢弃其健康记录
+   */
+  forget(uid) {
+    this._health.delete(uid);
+  }
+
+  /**
+   * 健康状态快照
+   *
+   * @param {string} [uid] - 标准化后的 UID，不传时返回全部
+   */
+  snapshot(uid = null) {
+    const toPlain = (record) => ({
+      uid: record.uid,
+      isPlaying: record.isPlaying,
+      level: record.level,
+      receiveBytes: record.receiveBytes,
+      lastPlayingAt: record.lastPlayingAt,
+      lastAudibleAt: record.lastAudibleAt,
+      lastReceiveAt: record.lastReceiveAt,
+      totalIncidents: record.totalIncidents,
+      openIncidents: [...record.incidents.values()].map((incident) => ({
+        kind: incident.kind,
+        since: incident.since,
+        actions: [...incident.actions],
+      })),
+    });
+
+    if (uid !== null) {
+      const record = this._health.get(uid);
+      return record ? toPlain(record) : null;
+    }
+    return [...this._health.values()].map(toPlain);
+  }
+
+  _readStats() {
+    const client = this.manager.client;
+    if (typeof client.getRemoteAudioStats !== "function") return null;
+    try {
+      return client.getRemoteAudioStats() || null;
+    } catch (error) {
+      this.manager._log("debug", `读取远端音频统计失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 更新健康记录；轨道被替换（如重新订阅）时重置时间戳，但保留未关闭的异常
+   */
+  _observe(uid, info, track, stats, now) {
+    let record = this._health.get(uid);
+    if (!record || record.track !== track) {
+      record = {
+        uid,
+        track,
+        isPlaying: false,
+        level: null,
+        receiveBytes: null,
+        lastPlayingAt: now,
+        lastAudibleAt: now,
+        lastReceiveAt: now,
+        totalIncidents: record?.totalIncidents || 0,
+        incidents: record?.incidents || new Map(),
+      };
+      this._health.set(uid, record);
+    }
+
+    record.isPlaying = track.isPlaying === true;
+    if (record.isPlaying) {
+      record.lastPlayingAt = now;
+    }
+
+    if (typeof track.getVolumeLevel === "function") {
+      record.level = track.getVolumeLevel();
+      if (record.level >= this.options.silenceLevel) {
+        record.lastAudibleAt = now;
+      }
+    }
+
+    const userStats = stats?.[info.user.uid];
+    if (userStats && typeof userStats.receiveBytes === "number") {
+      if (record.receiveBytes === null || userStats.receiveBytes > record.receiveBytes) {
+        record.lastReceiveAt = now;
+      }
+      record.receiveBytes = userStats.receiveBytes;
+    }
+
+    return record;
+  }
+
+  _evaluate(record, info, now) {
+    const { notPlayingTimeout, stallTimeout, silenceTimeout } = this.options;
+    const Kind = AudioHealthWatchdog.IncidentKind;
+    return {
+      [Kind.NOT_PLAYING]: !record.isPlaying && now - record.lastPlayingAt >= notPlayingTimeout,
+      [Kind.RECEIVE_STALLED]:
+        info.hasAudio && record.receiveBytes !== null && now - record.lastReceiveAt >= stallTimeout,
+      [Kind.SILENT]:
+        silenceTimeout > 0 &&
+        record.isPlaying &&
+        record.level !== null &&
+        now - record.lastAudibleAt >= silenceTimeout,
+    };
+  }
+
+  async _handleIncident(uid, record, kind, now) {
+    const Events = WebSubscriptionManager.Events;
+    let incident = record.incidents.get(kind);
+    if (!incident) {
+      incident = { kind, since: now, actions: [], step: 0 };
+      record.incidents.set(kind, incident);
+      record.totalIncidents++;
+
+      this.manager._log("warn", `⚠️ 用户 ${uid} 的音频异常: ${kind}`);
+      this.manager._emit(Events.AUDIO_INCIDENT, uid, "audio", {
+        kind,
+        since: incident.since,
+        isPlaying: record.isPlaying,
+        level: record.level,
+        receiveBytes: record.receiveBytes,
+      });
+    }
+
+    const steps = this.options.recovery[kind] || [];
+    if (incident.step >= steps.length) return;
+
+    const action = steps[incident.step];
+    incident.step++;
+    incident.actions.push(action);
+
+    let success = false;
+    try {
+      success = await this._recover(uid, record, action);
+    } catch (error) {
+      this.manager._log("warn", `用户 ${uid} 的音频恢复动作 ${action} 失败: ${error.message}`);
+    }
+
+    this.manager._emit(Events.AUDIO_RECOVERY_ATTEMPTED, uid, "audio", {
+      kind,
+      action,
+      step: incident.step,
+      success,
+    });
+  }
+
+  _resolveIncident(uid, record, kind, now) {
+    const incident = record.incidents.get(kind);
+    record.incidents.delete(kind);
+
+    this.manager._log("info", `✅ 用户 ${uid} 的音频已恢复: ${kind}`);
+    this.manager._emit(WebSubscriptionManager.Events.AUDIO_RECOVERED, uid, "audio", {
+      kind,
+      since: incident.since,
+      duration: now - incident.since,
+      actions: [...incident.actions],
+    });
+  }
+
+  async _recover(uid, record, action) {
+    const Action = AudioHealthWatchdog.RecoveryAction;
+    switch (action) {
+      case Action.REPLAY:
+        return this.manager._replayAudio(uid);
+      case Action.RESUBSCRIBE:
+        await this.manager.unsubscribeFromUser(uid, "audio", { keepIntent: true });
+        return this.manager.subscribeToUser(uid, "audio");
+      case Action.AUTOPLAY_PROMPT:
+        // 浏览器需要用户手势才能恢复播放，由页面展示提示并调用 resumeAudioPlayback()
+        this.manager._emit(WebSubscriptionManager.Events.AUTOPLAY_BLOCKED, uid, "audio", {
+          source: "watchdog",
+        });
+        return true;
+      default:
+        this.manager._log("warn", `未知的音频恢复动作: ${action}`);
+        return false;
+    }
+  }
+}
+
+/**
+ * 比较两个 UID 是否相等
+ * 使用规范化 UID 比较避免类型不匹配问题
+ */
+function isUIDEqual(uid1, uid2) {
+  return normalizeUID(uid1) === normalizeUID(uid2);
+}
+
+class WebSubscriptionManager {
+  /**
+   * 订阅状态枚举
+   */
+  static SubscriptionState = {
+    NOT_SUBSCRIBED: "not_subscribed",
+    SUBSCRIBING: "subscribing",
+    SUBSCRIBED: "subscribed",
+    SUBSCRIPTION_FAILED: "subscription_failed",
+    UNSUBSCRIBING: "unsubscribing",
+  };
+
+  /**
+   * 合法状态迁移表：当前状态 -> 允许进入的状态
+   * 每个 UID 的每种媒体类型各自维护一份状态机
+   */
+  static StateTransitions = {
+    not_subscribed: ["subscribing"],
+    subscribing: ["subscribed", "subscription_failed", "not_subscribed"],
+    subscribed: ["unsubscribing", "not_subscribed"],
+    subscription_failed: ["subscribing", "not_subscribed"],
+    unsubscribing: ["not_subscribed", "subscribed"],
+  };
+
+  /**
+   * 状态迁移原因
+   */
+  static TransitionReason = {
+    SUBSCRIBE_ATTEMPT: "subscribe-attempt",
+    SUBSCRIBE_SUCCEEDED: "subscribe-succeeded",
+    SUBSCRIBE_FAILED: "subscribe-failed",
+    UNSUBSCRIBE_REQUESTED: "unsubscribe-requested",
+    UNSUBSCRIBE_SUCCEEDED: "unsubscribe-succeeded",
+    UNSUBSCRIBE_FAILED: "unsubscribe-failed",
+    REMOTE_UNPUBLISHED: "remote-unpublished",
+    USER_LEFT: "user-left",
+    RESYNC: "resync",
+  };
+
+  /**
+   * snapshot() 的格式版本
+   */
+  static SNAPSHOT_VERSION = 1;
+
+  /**
+   * 每个用户保留的状态迁移记录上限
+   */
+  static MAX_TRANSITION_HISTORY = 50;
+
+  /**
+   * 订阅类型枚举
+   */
+  static SubscriptionType = {
+    AUDIO: "audio",
+    VIDEO: "video",
+    BOTH: "both",
+  };
+
+  /**
+   * 内置自动订阅策略
+   */
+  static Policies = {
+    botsOnly: botsOnlyPolicy,
+    everyoneAudio: everyoneAudioPolicy,
+    allowList: allowListPolicy,
+  };
+
+  /**
+   * 重试调度器（可单独用于其他需要退避重试的场景）
+   */
+  static RetryScheduler = RetryScheduler;
+
+  /**
+   * 视为订阅最终失败的重试结束原因（触发 SUBSCRIPTION_FAILED / RETRY_EXHAUSTED）
+   */
+  static RETRY_FAILURE_REASONS = ["max-attempts", "budget-exhausted"];
+
+  /**
+   * 事件名称枚举
+   * 所有事件的 payload 至少包含 uid（标准化后）、mediaType、attempt、timestamp
+   */
+  static Events = {
+    SUBSCRIPTION_SUCCESS: "subscription-success",
+    SUBSCRIPTION_FAILED: "subscription-failed",
+    STATE_CHANGED: "state-changed",
+    USER_TRACKED: "user-tracked",
+    USER_REMOVED: "user-removed",
+    RETRY_SCHEDULED: "retry-scheduled",
+    RETRY_EXHAUSTED: "retry-exhausted",
+    MEDIA_AVAILABILITY_CHANGED: "media-availability-changed",
+    VIDEO_RENDER_STARTED: "video-render-started",
+    VIDEO_RENDER_STOPPED: "video-render-stopped",
+    AUDIO_INCIDENT: "audio-incident",
+    AUDIO_RECOVERY_ATTEMPTED: "audio-recovery-attempted",
+    AUDIO_RECOVERED: "audio-recovered",
+    AUTOPLAY_BLOCKED: "autoplay-blocked",
+    RESYNC_COMPLETED: "resync-completed",
+  };
+
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = {
+      maxRetryAttempts: options.maxRetryAttempts ?? 3,
+      retryDelay: options.retryDelay ?? 2000,
+      subscriptionTimeout: options.subscriptionTimeout ?? 10000,
+      // 退避参数：{ factor, maxDelay, jitter }，基础延迟取 retryDelay
+      retryBackoff: options.retryBackoff || {},
+      // 单个 UID 在用户离开或订阅成功前可消耗的总尝试次数
+      retryBudget: options.retryBudget ?? 20,
+      enableAutoSubscribe: options.enableAutoSubscribe !== false,
+      // 视频订阅需显式开启，默认仅音频，避免现有流程出现摄像头相关提示
+      enableVideo: options.enableVideo === true,
+      autoPlayVideo: options.autoPlayVideo !== false,
+      roleResolver: options.roleResolver || defaultRoleResolver,
+      policy: options.policy || everyoneAudioPolicy(),
+      // 远端音频健康看门狗：false 关闭，true 或参数对象开启（见 AudioHealthWatchdog）
+      healthWatchdog: options.healthWatchdog || false,
+      logLevel: options.logLevel || "info",
+      ...options,
+    };
+    this._policy = compilePolicy(this.options.policy || everyoneAudioPolicy());
+    this._boundHandlers = {
+      userJoined: this._handleUserJoined.bind(this),
+      userPublished: this._handleUserPublished.bind(this),
+      userUnpublished: this._handleUserUnpublished.bind(this),
+      userLeft: this._handleUserLeft.bind(this),
+      connectionStateChange: this._handleConnectionStateChange.bind(this),
+    };
+
+    // 绑定：
+    this.client.on("user-joined", this._boundHandlers.userJoined);
+    this.client.on("user-published", this._boundHandlers.userPublished);
+    this.client.on("user-unpublished", this._boundHandlers.userUnpublished);
+    this.client.on("user-left", this._boundHandlers.userLeft);
+    this.client.on("connection-state-change", this._boundHandlers.connectionStateChange);
+
+    // 连接状态（重连完成后触发对账）
+    this.connectionState = this.client.connectionState || null;
+    this._reconnecting = false;
+    this._resyncPromise = null;
+    this.lastResyncReport = null;
+
+    // 订阅意图：uid -> Set<mediaType>，记录成功订阅过的媒体，用户离开后仍保留
+    this.subscriptionIntents = new Map();
+
+    // 订阅状态跟踪
+    this.subscriptions = new Map(); // uid -> subscription info
+    this.subscriptionHistory = [];
+    this.transitionHistory = []; // 全局状态迁移记录（用户离开后仍可追溯）
+    this.retryScheduler = new RetryScheduler({
+      ...this.options.retryBackoff,
+      baseDelay: this.options.retryDelay,
+      budgetPerUser: this.options.retryBudget,
+    });
+
+    // 视频渲染目标："uid:<uid>" / "role:<role>" -> DOM 容器或元素 ID
+    this.renderTargets = new Map();
+    this.activeVideoRenders = new Map(); // uid -> { track, container }
+
+    // 事件监听器：event -> Set<listener>
+    this._listeners = new Map();
+
+    // 远端音频健康看门狗
+    const watchdogOptions = this.options.healthWatchdog;
+    this.healthWatchdog = new AudioHealthWatchdog(
+      this,
+      typeof watchdogOptions === "object" ? watchdogOptions : {}
+    );
+
+    // 旧版单回调属性（兼容保留，推荐改用 on/off/once）
+    this.onSubscriptionSuccess = null;
+    this.onSubscriptionFailed = null;
+    this.onSubscriptionStateChanged = null;
+
+    this._log("info", "显式订阅管理器初始化完成", { options: this.options });
+    
+    // 补种：把 join 之前已经在频道里的远端用户收录进来
+    this._seedExistingRemoteUsers();
+
+    if (watchdogOptions) {
+      this.healthWatchdog.start();
+    }
+  }
+
+  /**
+   * 补种已存在的远端用户
+   * 解决在 join 后创建订阅管理器时错过已在频道用户的问题
+   */
+  _seedExistingRemoteUsers() {
+    const users = this.client.remoteUsers || [];
+    this._log("info", `开始补种已存在的远端用户，共 ${users.length} 个用户`);
+    
+    for (const u of users) {
+      const uid = normalizeUID(u.uid);
+      if (!this.subscriptions.has(uid)) {
+        this._updateSubscriptionInfo(u.uid, {
+          user: u,
+          hasAudio: u.hasAudio,
+          hasVideo: u.hasVideo,
+          state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+          joinedAt: new Date(),
+        });
+        this._log("debug", `补种远端用户 ${u.uid}（hasAudio=${u.hasAudio}, hasVideo=${u.hasVideo}）`);
+      } else {
+        this._log("debug", `用户 ${u.uid} 已存在于订阅记录中，跳过补种`);
+      }
+    }
+    
+    this._log("info", `补种完成，当前订阅记录中共有 ${this.subscriptions.size} 个用户`);
+  }
+
+  /**
+   * 注册事件监听器
+   * 同一事件可注册多个监听器，UI、诊断、统计等模块可以同时观察
+   *
+   * @param {string} event - 事件名称，见 WebSubscriptionManager.Events
+   * @param {Function} listener - 监听函数，参数为事件 payload
+   * @returns {Function} 取消监听函数
+   */
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`监听器必须是函数: ${event}`);
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * 注册一次性事件监听器，触发一次后自动移除
+   *
+   * @param {string} event - 事件名称
+   * @param {Function} listener - 监听函数
+   * @returns {Function} 取消监听函数
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper._original = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * 移除事件监听器
+   * 不传 listener 时移除该事件的全部监听器
+   *
+   * @param {string} event - 事件名称
+   * @param {Function} [listener] - 要移除的监听函数（支持 once 注册的原函数）
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+
+    if (!listener) {
+      this._listeners.delete(event);
+      return;
+    }
+
+    for (const registered of listeners) {
+      if (registered === listener || registered._original === listener) {
+        listeners.delete(registered);
+      }
+    }
+    if (listeners.size === 0) {
+      this._listeners.delete(event);
+    }
+  }
+
+  /**
+   * 派发事件
+   * 统一构造 payload，并兼容调用旧版单回调属性
+   */
+  _emit(event, uid, mediaType = null, extra = {}) {
+    const payload = {
+      event,
+      uid: normalizeUID(uid),
+      mediaType,
+      attempt: null,
+      timestamp: Date.now(),
+      ...extra,
+    };
+
+    const listeners = this._listeners.get(event);
+    if (listeners) {
+      // 复制一份，避免监听器内部 off/once 影响本轮遍历
+      for (const listener of [...listeners]) {
+        try {
+          listener(payload);
+        } catch (error) {
+          this._log("error", `事件监听器执行失败: ${event}`, {
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    this._invokeLegacyCallback(event, payload);
+    return payload;
+  }
+
+  /**
+   * 兼容旧版回调属性（onSubscriptionSuccess 等）
+   */
+  _invokeLegacyCallback(event, payload) {
+    const Events = WebSubscriptionManager.Events;
+    try {
+      if (event === Events.SUBSCRIPTION_SUCCESS && this.onSubscriptionSuccess) {
+        this.onSubscriptionSuccess(payload.uid, payload.mediaType, payload.result);
+      } else if (event === Events.SUBSCRIPTION_FAILED && this.onSubscriptionFailed) {
+        this.onSubscriptionFailed(payload.uid, payload.mediaType, payload.error);
+      } else if (event === Events.STATE_CHANGED && this.onSubscriptionStateChanged) {
+        this.onSubscriptionStateChanged(payload.uid, payload.mediaType, payload.state);
+      }
+    } catch (error) {
+      this._log("error", `旧版回调执行失败: ${event}`, {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * 处理用户加入事件
+   */
+  async _handleUserJoined(user) {
+  this._log("info", `用户加入事件: ${user.uid}`, {
+    uid: user.uid,
+    hasAudio: user.hasAudio,
+    hasVideo: user.hasVideo,
+  });
+
+  // 记录用户信息
+  this._updateSubscriptionInfo(user.uid, {
+    state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+    user: user,
+    joinedAt: new Date(),
+    hasAudio: user.hasAudio,
+    hasVideo: user.hasVideo,
+  });
+
+  // 如果启用自动订阅且用户有媒体流，则按策略尝试订阅
+  if (this.options.enableAutoSubscribe) {
+    if (user.hasAudio || user.hasVideo) {
+      await this._attemptAutoSubscription(user);
+    } else {
+      this._log("debug", `用户 ${user.uid} 暂无媒体流，等待发布事件`);
+    }
+  }
+}
+
+
+  /**
+   * 处理用户发布事件
+   */
+  async _handleUserPublished(user, mediaType) {
+    this._log("info", `用户发布事件: ${user.uid}, 媒体类型: ${mediaType}`, {
+      uid: user.uid,
+      mediaType: mediaType,
+      hasAudio: user.hasAudio,
+      hasVideo: user.hasVideo,
+    });
+
+    // 更新用户媒体状态
+    const normalizedUID = normalizeUID(user.uid);
+    const subscriptionInfo = this.subscriptions.get(normalizedUID);
+    if (subscriptionInfo) {
+      this._updateSubscriptionInfo(user.uid, {
+        hasAudio: user.hasAudio,
+        hasVideo: user.hasVideo,
+        user: user,
+      });
+    } else {
+      // 如果 _handleUserJoined 没有及时更新，这里也尝试更新
+      this._updateSubscriptionInfo(user.uid, {
+        user: user,
+        hasAudio: user.hasAudio,
+        hasVideo: user.hasVideo,
+        state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+        joinedAt: subscriptionInfo?.joinedAt || new Date(), // 尽可能保留加入时间
+        updatedAt: new Date(),
+      });
+    }
+
+    // 之前持有（或从快照恢复）的订阅意图优先于自动订阅开关和策略
+    const intended = this._hasIntent(user.uid, mediaType);
+    if (!intended && (!this.options.enableAutoSubscribe || !this._isAutoMediaType(mediaType))) {
+      return;
+    }
+
+    const decision = this._evaluatePolicy(user.uid, mediaType, user);
+    if (!decision.subscribe && !intended) {
+      this._log("debug", `策略跳过用户 ${user.uid} 的 ${mediaType}`);
+      return;
+    }
+    const retry = decision.retry || intended;
+
+    // 检查当前状态：SDK 的 hasX 可能滞后于发布事件
+    const hasTrack = mediaType === "audio" ? user.hasAudio : user.hasVideo;
+    if (!hasTrack) {
+      if (retry) {
+        this._log("warn", `用户 ${user.uid} 发布 ${mediaType}，但 Agora SDK 状态尚未同步，启动重试机制...`);
+        this._scheduleBotSubscriptionRetry(user.uid, mediaType);
+      }
+      return;
+    }
+
+    const success = await this.subscribeToUser(user.uid, mediaType);
+    if (!success && retry && !this._isAlreadySubscribed(user.uid, mediaType)) {
+      this._log("warn", `用户 ${user.uid} 初始订阅失败，启动重试机制...`);
+      this._scheduleBotSubscriptionRetry(user.uid, mediaType);
+    }
+  }
+
+  /**
+   * 判断媒体类型是否参与自动订阅（视频需 enableVideo 显式开启）
+   */
+  _isAutoMediaType(mediaType) {
+    return mediaType === "audio" || (mediaType === "video" && this.options.enableVideo);
+  }
+
+  /**
+   * 对用户的某种媒体执行订阅策略，并记录决策供自动播放使用
+   *
+   * @returns {{subscribe: boolean, priority: number, playIn: any, retry: boolean}}
+   */
+  _evaluatePolicy(uid, mediaType, user = null) {
+    const normalizedUID = normalizeUID(uid);
+    let role = null;
+    try {
+      role = this.options.roleResolver(uid);
+    } catch (error) {
+      this._log("warn", `角色解析失败: ${uid}`, { error: error.message });
+    }
+
+    let decision;
+    try {
+      decision = this._policy({
+        uid: normalizedUID,
+        rawUid: uid,
+        mediaType,
+        role,
+        user: user || this.subscriptions.get(normalizedUID)?.user || null,
+      });
+    } catch (error) {
+      this._log("error", `订阅策略执行失败: ${uid}`, { error: error.message });
+      decision = normalizePolicyDecision(null);
+    }
+
+    const info = this.subscriptions.get(normalizedUID);
+    if (info) {
+      info.policyDecisions = { ...info.policyDecisions, [mediaType]: decision };
+    }
+    return decision;
+  }
+
+  /**
+   * 替换自动订阅策略（只影响之后的事件）
+   *
+   * @param {Function|Array<Object>} policy - 策略函数或规则列表
+   */
+  setPolicy(policy) {
+    this._policy = compilePolicy(policy);
+    this.options.policy = policy;
+    this._log("info", "自动订阅策略已更新");
+  }
+
+  /**
+   * 为用户安排后台订阅重试（等待 SDK 媒体状态同步）
+   * 与 _subscribeWithRetry 共用同一个重试调度器
+   *
+   * @param {string|number} uid - 用户 UID
+   * @param {string} mediaType - 媒体类型，通常是 "audio"
+   * @returns {Promise<boolean>} 最终是否订阅成功
+   */
+  _scheduleBotSubscriptionRetry(uid, mediaType) {
+    return this._runSubscriptionRetry(uid, mediaType, {
+      source: "bot-retry",
+      waitForMedia: true,
+      // 给 Agora SDK 一点时间来同步状态，所以第一次也延迟一下
+      initialDelay: this.options.retryDelay,
+    });
+  }
+
+  /**
+   * 取消用户的订阅重试任务
+   *
+   * @param {string|number} uid - 用户 UID
+   * @param {string} [mediaType] - 只取消该媒体类型
+   * @param {string} [reason] - 取消原因
+   */
+  _clearBotSubscriptionRetry(uid, mediaType = null, reason = "cancelled") {
+    const cancelled = this.retryScheduler.cancel(normalizeUID(uid), mediaType, reason);
+    if (cancelled > 0) {
+      this._log("debug", `取消用户 ${uid} 的 ${cancelled} 个重试任务 (${reason})`);
+    }
+  }
+
+  /**
+   * 获取进行中的重试任务
+   *
+   * @returns {Array<Object>} { uid, mediaType, source, attempt, maxAttempts, attemptsUsed, budget, startedAt, nextAttemptAt }
+   */
+  getPendingRetries() {
+    return this.retryScheduler.pending();
+  }
+
+  /**
+   * 处理用户取消发布事件
+   */
+  _handleUserUnpublished(user, mediaType) {
+    this._log("info", `用户取消发布事件: ${user.uid}, 媒体类型: ${mediaType}`, {
+      uid: user.uid,
+      mediaType: mediaType,
+    });
+
+    // 更新订阅状态
+    const normalizedUID = normalizeUID(user.uid);
+    const subscriptionInfo = this.subscriptions.get(normalizedUID);
+    if (subscriptionInfo) {
+      this._resetSubscriptionState(
+        user.uid,
+        mediaType,
+        WebSubscriptionManager.TransitionReason.REMOTE_UNPUBLISHED
+      );
+      if (mediaType === "audio") {
+        this._updateSubscriptionInfo(user.uid, { hasAudio: false });
+      } else if (mediaType === "video") {
+        this._stopVideoRender(user.uid, "remote-unpublished");
+        this._updateSubscriptionInfo(user.uid, { hasVideo: false });
+      }
+    }
+  }
+  /**
+   * 检查频道内用户，对策略要求重试（retry: true）的用户启动订阅重试
+   * 这个方法可以由外部调用，例如在 join 成功后
+   */
+  checkBotUsersForRetry() {
+    this._log("info", "检查频道内需要重试的用户，启动可能的订阅重试...");
+    for (const { user, mediaType, decision } of this._collectPolicyCandidates()) {
+      if (!decision.retry) continue;
+
+      // 如果用户存在、有媒体、但本地未订阅，则启动重试
+      if (!this._isAlreadySubscribed(user.uid, mediaType)) {
+        this._log("info", `检测到未订阅的用户 ${user.uid} (${mediaType})，启动重试机制...`);
+        this._scheduleBotSubscriptionRetry(user.uid, mediaType);
+      } else {
+        this._log("debug", `用户 ${user.uid} 的 ${mediaType} 已订阅，跳过。`);
+      }
+    }
+  }
+
+  /**
+   * 按策略补订频道内已存在的远端用户（优先级高的先订阅）
+   * 用于管理器在 join 之后才创建、错过了发布事件的情况
+   *
+   * @returns {Promise<Array<{uid: string, mediaType: string, success: boolean}>>}
+   */
+  async subscribeExistingUsers() {
+    const candidates = this._collectPolicyCandidates();
+    this._log("info", `按策略补订已存在的远端用户，共 ${candidates.length} 项`);
+
+    const results = [];
+    for (const { user, mediaType, decision } of candidates) {
+      const success = await this.subscribeToUser(user.uid, mediaType);
+      if (!success && decision.retry && !this._isAlreadySubscribed(user.uid, mediaType)) {
+        this._scheduleBotSubscriptionRetry(user.uid, mediaType);
+      }
+      results.push({ uid: normalizeUID(user.uid), mediaType, success });
+    }
+    return results;
+  }
+
+  /**
+   * 收集频道内需要订阅的（用户, 媒体）组合，按优先级降序排列
+   */
+  _collectPolicyCandidates() {
+    const candidates = [];
+    for (const user of this.client.remoteUsers || []) {
+      for (const mediaType of ["audio", "video"]) {
+        const hasTrack = mediaType === "audio" ? user.hasAudio : user.hasVideo;
+        if (!hasTrack || !this._isAutoMediaType(mediaType)) continue;
+
+        const decision = this._evaluatePolicy(user.uid, mediaType, user);
+        if (decision.subscribe) {
+          candidates.push({ user, mediaType, decision });
+        }
+      }
+    }
+    return candidates.sort((a, b) => b.decision.priority - a.decision.priority);
+  }
+
+  /**
+   * 处理连接状态变化
+   * RECONNECTING -> CONNECTED 后与 client.remoteUsers 对账，恢复之前持有的订阅
+   */
+  async _handleConnectionStateChange(currentState, previousState, reason) {
+    this.connectionState = currentState;
+    this._log("info", `连接状态: ${previousState} -> ${currentState} (${reason || "-"})`);
+
+    if (currentState === "RECONNECTING") {
+      this._reconnecting = true;
+      return;
+    }
+
+    if (currentState === "CONNECTED" && this._reconnecting) {
+      this._reconnecting = false;
+      await this.resync("reconnected");
+      return;
+    }
+
+    if (currentState === "DISCONNECTED") {
+      this._reconnecting = false;
+    }
+  }
+
+  /**
+   * 与 client.remoteUsers 对账
+   * - 补录重连期间加入的用户、移除已不在频道的用户、刷新 SDK 用户对象
+   * - 重新订阅之前持有（或从快照恢复）的媒体
+   * - 按策略为新用户自动订阅
+   * 完成后派发 resync-completed 事件
+   *
+   * @param {string} [reason="manual"] - 对账原因
+   * @returns {Promise<Object>} 对账报告 { reason, startedAt, finishedAt, added, removed, resubscribed, pending }
+   */
+  resync(reason = "manual") {
+    if (this._resyncPromise) {
+      return this._resyncPromise;
+    }
+    this._resyncPromise = this._performResync(reason).finally(() => {
+      this._resyncPromise = null;
+    });
+    return this._resyncPromise;
+  }
+
+  async _performResync(reason) {
+    const report = {
+      reason,
+      startedAt: Date.now(),
+      finishedAt: null,
+      added: [],
+      removed: [],
+      resubscribed: [],
+      pending: [],
+    };
+    this._log("info", `开始订阅对账 (${reason})`);
+
+    const remoteUsers = this.client.remoteUsers || [];
+    const present = new Set(remoteUsers.map((u) => normalizeUID(u.uid)));
+
+    // 已不在频道的用户：按离开处理（订阅意图保留，重新加入后可恢复）
+    for (const [uid, info] of [...this.subscriptions]) {
+      if (!present.has(uid)) {
+        report.removed.push(uid);
+        this._handleUserLeft(info.user || { uid });
+      }
+    }
+
+    const newUsers = [];
+    for (const user of remoteUsers) {
+      const uid = normalizeUID(user.uid);
+      if (!this.subscriptions.has(uid)) {
+        report.added.push(uid);
+        newUsers.push(user);
+      }
+      this._updateSubscriptionInfo(user.uid, {
+        user,
+        hasAudio: user.hasAudio,
+        hasVideo: user.hasVideo,
+        joinedAt: this.subscriptions.get(uid)?.joinedAt || new Date(),
+      });
+    }
+
+    // 恢复订阅意图：SDK 中轨道已丢失的重新订阅，尚未发布的等待 user-published
+    for (const user of remoteUsers) {
+      const uid = normalizeUID(user.uid);
+      for (const mediaType of this.subscriptionIntents.get(uid) || []) {
+        const hasTrack = mediaType === "audio" ? user.hasAudio : user.hasVideo;
+        if (!hasTrack) {
+          report.pending.push({ uid, mediaType });
+          continue;
+        }
+
+        const track = mediaType === "audio" ? user.audioTrack : user.videoTrack;
+        if (this._isAlreadySubscribed(uid, mediaType) && track) {
+          continue;
+        }
+        // 仍在重试中的订阅由重试调度器继续处理
+        if (this.retryScheduler.has(uid, mediaType)) {
+          report.pending.push({ uid, mediaType });
+          continue;
+        }
+
+        this._resetSubscriptionState(uid, mediaType, WebSubscriptionManager.TransitionReason.RESYNC);
+        const success = await this.subscribeToUser(uid, mediaType);
+        report.resubscribed.push({ uid, mediaType, success });
+      }
+    }
+
+    // 重连期间新加入的用户按策略处理
+    if (this.options.enableAutoSubscribe) {
+      for (const user of newUsers) {
+        await this._attemptAutoSubscription(user);
+      }
+    }
+
+    report.finishedAt = Date.now();
+    this.lastResyncReport = report;
+
+    this._log(
+      "info",
+      `订阅对账完成 (${reason}): 新增 ${report.added.length}，移除 ${report.removed.length}，重新订阅 ${report.resubscribed.length}，等待发布 ${report.pending.length}`
+    );
+    this._emit(WebSubscriptionManager.Events.RESYNC_COMPLETED, null, null, { report });
+    return report;
+  }
+
+  /**
+   * 导出订阅意图快照（可 JSON 序列化）
+   * 重新加入频道后新建的管理器可通过 restore() 继承之前的订阅意图
+   *
+   * @returns {Object} { version, takenAt, settings, intents, users }
+   */
+  snapshot() {
+    return {
+      version: WebSubscriptionManager.SNAPSHOT_VERSION,
+      takenAt: Date.now(),
+      settings: {
+        enableAutoSubscribe: this.options.enableAutoSubscribe,
+        enableVideo: this.options.enableVideo,
+      },
+      intents: [...this.subscriptionIntents].map(([uid, mediaTypes]) => ({
+        uid,
+        mediaTypes: [...mediaTypes],
+      })),
+      users: [...this.subscriptions].map(([uid, info]) => ({
+        uid,
+        hasAudio: info.hasAudio,
+        hasVideo: info.hasVideo,
+        audioState: info.audioState,
+        videoState: info.videoState,
+      })),
+    };
+  }
+
+  /**
+   * 从快照恢复订阅意图，并立即与当前频道对账
+   * 默认保留构造参数中的 enableAutoSubscribe / enableVideo；applySettings 为 true 时改用快照中的设置
+   *
+   * @param {Object} snapshot - snapshot() 的返回值
+   * @param {Object} [options]
+   * @param {boolean} [options.applySettings=false] - 是否应用快照中的设置
+   * @returns {Promise<Object>} 对账报告
+   */
+  async restore(snapshot, { applySettings = false } = {}) {
+    if (!snapshot || snapshot.version !== WebSubscriptionManager.SNAPSHOT_VERSION) {
+      throw new Error(`不支持的订阅快照版本: ${snapshot?.version}`);
+    }
+
+    if (applySettings && snapshot.settings) {
+      this.setAutoSubscribe(snapshot.settings.enableAutoSubscribe !== false);
+      this.setVideoEnabled(snapshot.settings.enableVideo === true);
+    }
+    for (const { uid, mediaTypes } of snapshot.intents || []) {
+      for (const mediaType of mediaTypes) {
+        this._addIntent(uid, mediaType);
+      }
+    }
+
+    this._log("info", `已从快照恢复 ${this.subscriptionIntents.size} 个用户的订阅意图`);
+    return this.resync("restored");
+  }
+
+  /**
+   * 记录订阅意图：成功订阅过的媒体在重连/重建后需要恢复
+   */
+  _addIntent(uid, mediaType) {
+    const normalizedUID = normalizeUID(uid);
+    if (!this.subscriptionIntents.has(normalizedUID)) {
+      this.subscriptionIntents.set(normalizedUID, new Set());
+    }
+    this.subscriptionIntents.get(normalizedUID).add(mediaType);
+  }
+
+  _removeIntent(uid, mediaType) {
+    const normalizedUID = normalizeUID(uid);
+    const mediaTypes = this.subscriptionIntents.get(normalizedUID);
+    if (!mediaTypes) return;
+    mediaTypes.delete(mediaType);
+    if (mediaTypes.size === 0) {
+      this.subscriptionIntents.delete(normalizedUID);
+    }
+  }
+
+  _hasIntent(uid, mediaType) {
+    return this.subscriptionIntents.get(normalizeUID(uid))?.has(mediaType) === true;
+  }
+
+  /**
+   * 处理用户离开事件
+   */
+  _handleUserLeft(user) {
+    this._log("info", `用户离开事件: ${user.uid}`);
+
+    this._stopVideoRender(user.uid, "user-left");
+
+    // 先把各媒体状态迁回未订阅，记录离开原因
+    for (const mediaType of ["audio", "video"]) {
+      this._resetSubscriptionState(
+        user.uid,
+        mediaType,
+        WebSubscriptionManager.TransitionReason.USER_LEFT
+      );
+    }
+
+    // 清理订阅信息
+    this._cleanupUserSubscription(user.uid);
+  }
+
+  /**
+   * 尝试自动订阅
+   */
+  async _attemptAutoSubscription(user) {
+    const subscriptionTypes = [];
+
+    if (user.hasAudio) {
+      subscriptionTypes.push("audio");
+    }
+    // 视频为可选项，默认关闭以避免摄像头权限相关提示
+    if (this.options.enableVideo && user.hasVideo) {
+      subscriptionTypes.push("video");
+    }
+
+    // 由策略决定是否订阅及先后顺序
+    const planned = subscriptionTypes
+      .map((type) => ({ type, decision: this._evaluatePolicy(user.uid, type, user) }))
+      .filter(({ decision }) => decision.subscribe)
+      .sort((a, b) => b.decision.priority - a.decision.priority);
+
+    if (planned.length > 0) {
+      this._log("info", `自动订阅用户 ${user.uid}`, {
+        types: planned.map(({ type }) => type),
+      });
+
+      for (const { type, decision } of planned) {
+        const success = await this.subscribeToUser(user.uid, type);
+        if (!success && decision.retry && !this._isAlreadySubscribed(user.uid, type)) {
+          this._scheduleBotSubscriptionRetry(user.uid, type);
+        }
+      }
+    }
+  }
+
+  /**
+   * 订阅用户媒体流
+   */
+  async subscribeToUser(uid, mediaType = "audio", options = {}) {
+    // "both"：依次订阅音频和视频（用户未发布的媒体跳过）
+    if (mediaType === WebSubscriptionManager.SubscriptionType.BOTH) {
+      return this._subscribeBoth(uid, options);
+    }
+
+    const normalizedUID = normalizeUID(uid);
+    let subscriptionInfo = this.subscriptions.get(normalizedUID);
+    if (!subscriptionInfo) {
+      // 兜底：用 SDK 当前远端列表补登记
+      const userFromSDK = findRemoteUser(this.client, uid);
+      if (userFromSDK) {
+        this._updateSubscriptionInfo(uid, {
+          user: userFromSDK,
+          hasAudio: userFromSDK.hasAudio,
+          hasVideo: userFromSDK.hasVideo,
+          state: WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+          joinedAt: new Date(),
+        });
+        subscriptionInfo = this.subscriptions.get(normalizeUID(uid));
+        this._log("debug", `兜底登记用户 ${uid}（来自 client.remoteUsers）`);
+      } else {
+        this._log("error", `用户 ${uid} 不存在，无法订阅`);
+        return false;
+      }
+    }
+
+    const user = subscriptionInfo.user;
+    if (!user) {
+      this._log("error", `用户 ${uid} 对象不存在，无法订阅`);
+      return false;
+    }
+
+    // 检查媒体类型可用性
+    if (mediaType === "audio" && !user.hasAudio) {
+      this._log("warn", `用户 ${uid} 没有音频流，跳过音频订阅`);
+      return false;
+    }
+    if (mediaType === "video" && !user.hasVideo) {
+      this._log("warn", `用户 ${uid} 没有视频流，跳过视频订阅`);
+      return false;
+    }
+
+    // 检查是否已经订阅
+    const isAlreadySubscribed = this._isAlreadySubscribed(uid, mediaType);
+    if (isAlreadySubscribed) {
+      this._log("debug", `用户 ${uid} 的 ${mediaType} 已订阅，跳过`);
+      return true;
+    }
+
+    return await this._subscribeWithRetry(uid, user, mediaType, options);
+  }
+
+  /**
+   * 同时订阅音频和视频
+   * 只要求已发布的媒体全部订阅成功；两种都未发布时返回 false
+   */
+  async _subscribeBoth(uid, options = {}) {
+    const user =
+      this.subscriptions.get(normalizeUID(uid))?.user ||
+      findRemoteUser(this.client, uid);
+    if (!user) {
+      this._log("error", `用户 ${uid} 不存在，无法订阅`);
+      return false;
+    }
+
+    const types = ["audio", "video"].filter((type) =>
+      type === "audio" ? user.hasAudio : user.hasVideo
+    );
+    if (types.length === 0) {
+      this._log("warn", `用户 ${uid} 没有已发布的媒体流，跳过订阅`);
+      return false;
+    }
+
+    let allSucceeded = true;
+    for (const type of types) {
+      const success = await this.subscribeToUser(uid, type, options);
+      allSucceeded = allSucceeded && success;
+    }
+    return allSucceeded;
+  }
+
+  /**
+   * 带重试的订阅
+   */
+  async _subscribeWithRetry(uid, user, mediaType, options = {}) {
+    return this._runSubscriptionRetry(uid, mediaType, {
+      source: "subscribe",
+      user,
+      maxAttempts: options.maxRetryAttempts,
+      baseDelay: options.retryDelay,
+    });
+  }
+
+  /**
+   * 通过重试调度器执行订阅，并在结束时派发失败/耗尽事件
+   */
+  async _runSubscriptionRetry(uid, mediaType, runOptions) {
+    const normalizedUID = normalizeUID(uid);
+    const maxAttempts = runOptions.maxAttempts || this.options.maxRetryAttempts;
+
+    const outcome = await this.retryScheduler.run(
+      normalizedUID,
+      mediaType,
+      ({ attempt, signal }) =>
+        this._attemptSubscription(uid, mediaType, {
+          attempt,
+          maxAttempts,
+          signal,
+          user: runOptions.user,
+          waitForMedia: runOptions.waitForMedia === true,
+        }),
+      {
+        source: runOptions.source,
+        maxAttempts,
+        initialDelay: runOptions.initialDelay || 0,
+        baseDelay: runOptions.baseDelay || this.options.retryDelay,
+        onRetry: ({ attempt, delay, error }) => {
+          this._log("info", `⏳ ${delay}ms 后重试订阅用户 ${uid} 的 ${mediaType}...`);
+          this._emit(WebSubscriptionManager.Events.RETRY_SCHEDULED, uid, mediaType, {
+            attempt,
+            maxAttempts,
+            delay,
+            source: runOptions.source,
+            error,
+          });
+        },
+      }
+    );
+
+    if (outcome.ok || outcome.reason === "already-subscribed") {
+      if (!outcome.joined) this.retryScheduler.resetBudget(normalizedUID);
+      return true;
+    }
+    // 并发调用共用同一个任务，结果事件只由发起任务的调用方发出
+    if (outcome.joined) {
+      return false;
+    }
+    // 主动结束（取消、用户离开、未发布、状态冲突等 retry: false）不算失败
+    if (!WebSubscriptionManager.RETRY_FAILURE_REASONS.includes(outcome.reason)) {
+      this._log("debug", `用户 ${uid} 的 ${mediaType} 重试已结束 (${outcome.reason})`);
+      return false;
+    }
+
+    // 最终失败：最大次数或 UID 预算耗尽
+    const error = outcome.error || new Error(`订阅重试结束: ${outcome.reason}`);
+    this._updateSubscriptionState(
+      uid,
+      mediaType,
+      WebSubscriptionManager.SubscriptionState.SUBSCRIPTION_FAILED,
+      {
+        reason: WebSubscriptionManager.TransitionReason.SUBSCRIBE_FAILED,
+        attempt: outcome.attempts,
+        error: error.message,
+      }
+    );
+
+    if (outcome.error) {
+      this._emit(WebSubscriptionManager.Events.SUBSCRIPTION_FAILED, uid, mediaType, {
+        attempt: outcome.attempts,
+        maxAttempts,
+        error,
+      });
+    }
+    this._emit(WebSubscriptionManager.Events.RETRY_EXHAUSTED, uid, mediaType, {
+      attempt: outcome.attempts,
+      maxAttempts,
+      source: runOptions.source,
+      reason: outcome.reason,
+      error,
+    });
+
+    this._log(
+      "error",
+      `❌ 用户 ${uid} 的 ${mediaType} 订阅最终失败 (${outcome.reason})`
+    );
+    return false;
+  }
+
+  /**
+   * 单次订阅尝试（由重试调度器调用）
+   *
+   * @returns {Promise<{done: boolean, value?: any, retry?: boolean, reason?: string, error?: Error}>}
+   */
+  async _attemptSubscription(uid, mediaType, { attempt, maxAttempts, signal, user, waitForMedia }) {
+    const info = this.subscriptions.get(normalizeUID(uid));
+
+    // 后台重试需确认用户仍在频道内
+    const remoteUser = waitForMedia ? findRemoteUser(this.client, uid) : user || info?.user;
+    if (!remoteUser) {
+      this._log("warn", `用户 ${uid} 已不在频道内，停止重试。`);
+      return { done: false, retry: false, reason: "user-gone" };
+    }
+
+    if (this._isAlreadySubscribed(uid, mediaType)) {
+      this._log("info", `用户 ${uid} 的 ${mediaType} 已经订阅，停止重试。`);
+      return { done: false, retry: false, reason: "already-subscribed" };
+    }
+
+    const hasTrack = mediaType === "audio" ? remoteUser.hasAudio : remoteUser.hasVideo;
+    if (!hasTrack) {
+      if (waitForMedia) {
+        this._log("debug", `用户 ${uid} 的 ${mediaType} 在 Agora SDK 中仍不可用 (尝试 ${attempt}/${maxAttempts})`);
+        return { done: false, error: new Error(`${mediaType} 轨道尚不可用`) };
+      }
+      return { done: false, retry: false, reason: "no-media" };
+    }
+
+    // 兜底登记（管理器尚未记录该用户）
+    if (!info) {
+      this._updateSubscriptionInfo(uid, {
+        user: remoteUser,
+        hasAudio: remoteUser.hasAudio,
+        hasVideo: remoteUser.hasVideo,
+        joinedAt: new Date(),
+      });
+    }
+
+    this._log("info", `订阅用户 ${uid} 的 ${mediaType} - 尝试 ${attempt}/${maxAttempts}`);
+
+    // 更新订阅状态（非法迁移说明状态已被其他流程改写）
+    const accepted = this._updateSubscriptionState(
+      uid,
+      mediaType,
+      WebSubscriptionManager.SubscriptionState.SUBSCRIBING,
+      { reason: WebSubscriptionManager.TransitionReason.SUBSCRIBE_ATTEMPT, attempt }
+    );
+    if (!accepted) {
+      return this._isAlreadySubscribed(uid, mediaType)
+        ? { done: false, retry: false, reason: "already-subscribed" }
+        : { done: false, retry: false, reason: "state-conflict" };
+    }
+
+    try {
+      const result = await this._performSubscription(remoteUser, mediaType, signal);
+
+      this._updateSubscriptionState(
+        uid,
+        mediaType,
+        WebSubscriptionManager.SubscriptionState.SUBSCRIBED,
+        { reason: WebSubscriptionManager.TransitionReason.SUBSCRIBE_SUCCEEDED, attempt }
+      );
+      this._recordSubscriptionAttempt(uid, mediaType, true, attempt);
+      this._addIntent(uid, mediaType);
+
+      this._log("info", `✅ 用户 ${uid} 的 ${mediaType} 订阅成功`);
+
+      if (mediaType === "video" && this.options.autoPlayVideo) {
+        this._startVideoRender(uid);
+      } else if (mediaType === "audio") {
+        this._autoPlayAudio(uid, result);
+      }
+
+      this._emit(WebSubscriptionManager.Events.SUBSCRIPTION_SUCCESS, uid, mediaType, {
+        attempt,
+        maxAttempts,
+        result,
+      });
+      return { done: true, value: result };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      this._log("error", `❌ 用户 ${uid} 的 ${mediaType} 订阅失败 (尝试 ${attempt}/${maxAttempts}): ${error.message}`);
+      this._recordSubscriptionAttempt(uid, mediaType, false, attempt, error.message);
+      return { done: false, error };
+    }
+  }
+
+  /**
+   * 执行实际的订阅操作
+   * 超时或被取消时立即返回；底层 subscribe 之后若仍然完成，会被撤销，避免残留订阅
+   */
+  async _performSubscription(user, mediaType, signal = null) {
+    const timeout = this.options.subscriptionTimeout;
+    if (mediaType !== "audio" && mediaType !== "video") {
+      throw new Error(`不支持的媒体类型: ${mediaType}`);
+    }
+    if (signal?.aborted) {
+      throw createAbortError(signal);
+    }
+
+    let abandoned = false;
+    const subscribePromise = this.client.subscribe(user, mediaType);
+
+    // 放弃后底层订阅才完成：若此时没有其他尝试在进行且未订阅，撤销这次订阅
+    subscribePromise.then(
+      () => {
+        if (!abandoned) return;
+        const info = this.subscriptions.get(normalizeUID(user.uid));
+        const state = info?.[mediaType === "audio" ? "audioState" : "videoState"];
+        if (
+          state !== WebSubscriptionManager.SubscriptionState.SUBSCRIBED &&
+          state !== WebSubscriptionManager.SubscriptionState.SUBSCRIBING
+        ) {
+          this._log("debug", `撤销已放弃的订阅: 用户 ${user.uid} 的 ${mediaType}`);
+          Promise.resolve(this.client.unsubscribe(user, mediaType)).catch(() => {});
+        }
+      },
+      () => {}
+    );
+
+    return new Promise((resolve, reject) => {
+      const settle = (fn, value) => {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+      const onAbort = () => {
+        abandoned = true;
+        settle(reject, createAbortError(signal));
+      };
+      const timeoutId = setTimeout(() => {
+        abandoned = true;
+        settle(reject, new Error(`订阅超时 (${timeout}ms)`));
+      }, timeout);
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      subscribePromise.then(
+        (result) => settle(resolve, result),
+        (error) => settle(reject, error)
+      );
+    });
+  }
+
+  /**
+   * 取消订阅用户媒体流
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.keepIntent=false] - 保留订阅意图（内部重新订阅时使用，失败后仍可由重连对账 / restore 恢复）
+   */
+  async unsubscribeFromUser(uid, mediaType = "audio", { keepIntent = false } = {}) {
+    const normalizedUID = normalizeUID(uid);
+    const subscriptionInfo = this.subscriptions.get(normalizedUID);
+    if (!subscriptionInfo) {
+      this._log("warn", `用户 ${uid} 不存在，无法取消订阅`);
+      return false;
+    }
+
+    const user = subscriptionInfo.user;
+    if (!user) {
+      this._log("warn", `用户 ${uid} 对象不存在，无法取消订阅`);
+      return false;
+    }
+
+    // 只有已订阅的媒体才能进入取消订阅流程
+    const accepted = this._updateSubscriptionState(
+      uid,
+      mediaType,
+      WebSubscriptionManager.SubscriptionState.UNSUBSCRIBING,
+      { reason: WebSubscriptionManager.TransitionReason.UNSUBSCRIBE_REQUESTED }
+    );
+    if (!accepted) {
+      this._log("warn", `用户 ${uid} 的 ${mediaType} 当前不可取消订阅`);
+      return false;
+    }
+
+    try {
+      this._log("info", `取消订阅用户 ${uid} 的 ${mediaType}`);
+
+      // 执行取消订阅
+      await this.client.unsubscribe(user, mediaType);
+
+      // 更新状态
+      this._updateSubscriptionState(
+        uid,
+        mediaType,
+        WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+        { reason: WebSubscriptionManager.TransitionReason.UNSUBSCRIBE_SUCCEEDED }
+      );
+
+      if (mediaType === "video") {
+        this._stopVideoRender(uid, "unsubscribed");
+      }
+      if (!keepIntent) {
+        this._removeIntent(uid, mediaType);
+      }
+
+      this._log("info", `✅ 用户 ${uid} 的 ${mediaType} 取消订阅成功`);
+      return true;
+    } catch (error) {
+      this._log("error", `❌ 取消订阅失败: ${error.message}`);
+      // 取消订阅失败时远端流仍在，回到已订阅而不是订阅失败
+      this._updateSubscriptionState(
+        uid,
+        mediaType,
+        WebSubscriptionManager.SubscriptionState.SUBSCRIBED,
+        { reason: WebSubscriptionManager.TransitionReason.UNSUBSCRIBE_FAILED, error: error.message }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * 注册视频渲染目标
+   * 可按 UID 或角色注册；同一用户两者都有时 UID 优先
+   * 若该用户的视频已订阅，会立即在新容器中播放
+   *
+   * @param {{uid?: string|number, role?: string}} target - 渲染目标键
+   * @param {HTMLElement|string} container - DOM 容器或元素 ID
+   * @returns {Function} 注销函数
+   */
+  registerRenderTarget(target, container) {
+    const key = this._renderTargetKey(target);
+    if (!key) {
+      throw new TypeError("渲染目标需要提供 uid 或 role");
+    }
+    if (!container) {
+      throw new TypeError(`渲染目标 ${key} 缺少容器`);
+    }
+
+    this.renderTargets.set(key, container);
+    this._log("info", `注册视频渲染目标 ${key}`);
+
+    // 已订阅的视频立即切换到（新）容器
+    for (const [uid, info] of this.subscriptions) {
+      if (info.videoSubscribed && this._resolveRenderTarget(uid) === container) {
+        this._startVideoRender(uid);
+      }
+    }
+
+    return () => this.unregisterRenderTarget(target);
+  }
+
+  /**
+   * 注销视频渲染目标，并停止在该容器中播放的视频
+   *
+   * @param {{uid?: string|number, role?: string}} target - 渲染目标键
+   */
+  unregisterRenderTarget(target) {
+    const key = this._renderTargetKey(target);
+    const container = this.renderTargets.get(key);
+    if (!container) return;
+
+    this.renderTargets.delete(key);
+    for (const [uid, render] of [...this.activeVideoRenders]) {
+      if (render.container === container) {
+        this._stopVideoRender(uid, "target-unregistered");
+        // 可能还有角色级的兜底容器
+        this._startVideoRender(uid);
+      }
+    }
+    this._log("info", `注销视频渲染目标 ${key}`);
+  }
+
+  /**
+   * 生成渲染目标键
+   */
+  _renderTargetKey(target) {
+    if (target == null) return null;
+    if (typeof target !== "object") return `uid:${normalizeUID(target)}`;
+    if (target.uid != null) return `uid:${normalizeUID(target.uid)}`;
+    if (target.role) return `role:${target.role}`;
+    return null;
+  }
+
+  /**
+   * 查找用户对应的渲染容器（UID 优先，其次角色）
+   */
+  _resolveRenderTarget(uid) {
+    const byUid = this.renderTargets.get(`uid:${normalizeUID(uid)}`);
+    if (byUid) return byUid;
+
+    let role = null;
+    try {
+      role = this.options.roleResolver(uid);
+    } catch (error) {
+      this._log("warn", `角色解析失败: ${uid}`, { error: error.message });
+    }
+    const byRole = role ? this.renderTargets.get(`role:${role}`) : null;
+    if (byRole) return byRole;
+
+    // 最后退回策略给出的播放目标
+    const info = this.subscriptions.get(normalizeUID(uid));
+    return info?.policyDecisions?.video?.playIn || null;
+  }
+
+  /**
+   * 按策略决策把订阅到的音频自动播放到指定元素
+   */
+  _autoPlayAudio(uid, track) {
+    const info = this.subscriptions.get(normalizeUID(uid));
+    const playIn = info?.policyDecisions?.audio?.playIn;
+    const audioTrack = track || info?.user?.audioTrack;
+    if (!playIn || !audioTrack || typeof audioTrack.play !== "function") return;
+
+    try {
+      audioTrack.play(playIn);
+      this._log("info", `🔊 用户 ${uid} 的音频已自动播放`);
+    } catch (error) {
+      this._log("warn", `用户 ${uid} 的音频自动播放失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 在渲染目标中播放用户的远端视频
+   */
+  _startVideoRender(uid) {
+    const normalizedUID = normalizeUID(uid);
+    const info = this.subscriptions.get(normalizedUID);
+    const track = info?.user?.videoTrack;
+    const container = this._resolveRenderTarget(uid);
+    if (!track || !container) {
+      this._log("debug", `用户 ${uid} 暂无视频轨道或渲染目标，跳过播放`);
+      return false;
+    }
+
+    const current = this.activeVideoRenders.get(normalizedUID);
+    if (current && current.track === track && current.container === container) {
+      return true;
+    }
+    if (current) {
+      this._stopVideoRender(uid, "target-changed");
+    }
+
+    try {
+      track.play(container);
+      this.activeVideoRenders.set(normalizedUID, { track, container });
+      this._log("info", `▶️ 用户 ${uid} 的视频已开始渲染`);
+      this._emit(WebSubscriptionManager.Events.VIDEO_RENDER_STARTED, uid, "video", {
+        container,
+      });
+      return true;
+    } catch (error) {
+      this._log("error", `用户 ${uid} 的视频播放失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 停止用户的远端视频渲染
+   */
+  _stopVideoRender(uid, reason) {
+    const normalizedUID = normalizeUID(uid);
+    const render = this.activeVideoRenders.get(normalizedUID);
+    if (!render) return;
+
+    try {
+      render.track.stop();
+    } catch (error) {
+      this._log("warn", `停止用户 ${uid} 的视频失败: ${error.message}`);
+    }
+    this.activeVideoRenders.delete(normalizedUID);
+    this._log("info", `⏹️ 用户 ${uid} 的视频已停止渲染 (${reason})`);
+    this._emit(WebSubscriptionManager.Events.VIDEO_RENDER_STOPPED, uid, "video", {
+      container: render.container,
+      reason,
+    });
+  }
+
+  /**
+   * 检查是否已经订阅
+   */
+  _isAlreadySubscribed(uid, mediaType) {
+    const normalizedUID = normalizeUID(uid);
+    const subscriptionInfo = this.subscriptions.get(normalizedUID);
+    if (!subscriptionInfo) return false;
+
+    if (mediaType === "audio") {
+      return subscriptionInfo.audioSubscribed === true;
+    } else if (mediaType === "video") {
+      return subscriptionInfo.videoSubscribed === true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 更新订阅信息
+   */
+  _updateSubscriptionInfo(uid, info) {
+    const normalizedUID = normalizeUID(uid);
+    const previous = this.subscriptions.get(normalizedUID);
+    const existing = previous || {};
+    const updated = { ...existing, ...info, updatedAt: new Date() };
+    this.subscriptions.set(normalizedUID, updated);
+
+    if (!previous) {
+      this._emit(WebSubscriptionManager.Events.USER_TRACKED, uid, null, {
+        hasAudio: updated.hasAudio,
+        hasVideo: updated.hasVideo,
+        joinedAt: updated.joinedAt,
+      });
+      return;
+    }
+
+    // 媒体可用性变化（发布/取消发布导致 hasAudio/hasVideo 翻转）
+    for (const [mediaType, key] of [
+      ["audio", "hasAudio"],
+      ["video", "hasVideo"],
+    ]) {
+      if (key in info && Boolean(previous[key]) !== Boolean(updated[key])) {
+        this._emit(
+          WebSubscriptionManager.Events.MEDIA_AVAILABILITY_CHANGED,
+          uid,
+          mediaType,
+          {
+            available: Boolean(updated[key]),
+            joinedAt: updated.joinedAt,
+          }
+        );
+      }
+    }
+  }
+
+  /**
+   * 判断状态迁移是否合法
+   */
+  _isLegalTransition(from, to) {
+    const allowed = WebSubscriptionManager.StateTransitions[from] || [];
+    return allowed.includes(to);
+  }
+
+  /**
+   * 更新订阅状态（状态机）
+   * 非法迁移会被拒绝并记录；同状态迁移视为无变化
+   *
+   * @param {string|number} uid - 用户 UID
+   * @param {string} mediaType - "audio" 或 "video"
+   * @param {string} state - 目标状态
+   * @param {Object} [context] - 迁移上下文 { reason, attempt, error }
+   * @returns {boolean} 迁移是否被接受
+   */
+  _updateSubscriptionState(uid, mediaType, state, context = {}) {
+    const normalizedUID = normalizeUID(uid);
+    const subscriptionInfo = this.subscriptions.get(normalizedUID);
+    if (!subscriptionInfo) return false;
+    if (mediaType !== "audio" && mediaType !== "video") return false;
+
+    const stateKey = mediaType === "audio" ? "audioState" : "videoState";
+    const previousState =
+      subscriptionInfo[stateKey] ||
+      WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED;
+
+    if (previousState === state) {
+      return true;
+    }
+
+    const transition = {
+      uid: normalizedUID,
+      mediaType,
+      from: previousState,
+      to: state,
+      reason: context.reason || null,
+      attempt: context.attempt ?? null,
+      error: context.error || null,
+      accepted: this._isLegalTransition(previousState, state),
+      timestamp: Date.now(),
+    };
+    this._recordTransition(subscriptionInfo, transition);
+
+    if (!transition.accepted) {
+      this._log(
+        "warn",
+        `拒绝非法状态迁移: 用户 ${uid} 的 ${mediaType} ${previousState} -> ${state}`,
+        { reason: transition.reason }
+      );
+      return false;
+    }
+
+    subscriptionInfo[stateKey] = state;
+    if (mediaType === "audio") {
+      subscriptionInfo.audioSubscribed =
+        state === WebSubscriptionManager.SubscriptionState.SUBSCRIBED;
+    } else {
+      subscriptionInfo.videoSubscribed =
+        state === WebSubscriptionManager.SubscriptionState.SUBSCRIBED;
+    }
+
+    subscriptionInfo.updatedAt = new Date();
+
+    this._emit(WebSubscriptionManager.Events.STATE_CHANGED, uid, mediaType, {
+      state,
+      previousState,
+      reason: transition.reason,
+      attempt: transition.attempt,
+      error: transition.error,
+      joinedAt: subscriptionInfo.joinedAt,
+    });
+    return true;
+  }
+
+  /**
+   * 由外部事件（取消发布、离开）把媒体状态迁回未订阅
+   * 进行中的订阅/取消订阅也一并归位
+   */
+  _resetSubscriptionState(uid, mediaType, reason) {
+    const info = this.subscriptions.get(normalizeUID(uid));
+    if (!info) return;
+
+    const current =
+      info[mediaType === "audio" ? "audioState" : "videoState"] ||
+      WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED;
+    if (current === WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED) {
+      return;
+    }
+
+    this._updateSubscriptionState(
+      uid,
+      mediaType,
+      WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+      { reason }
+    );
+  }
+
+  /**
+   * 记录状态迁移（用户级 + 全局）
+   */
+  _recordTransition(subscriptionInfo, transition) {
+    const limit = WebSubscriptionManager.MAX_TRANSITION_HISTORY;
+
+    subscriptionInfo.transitions = subscriptionInfo.transitions || [];
+    subscriptionInfo.transitions.push(transition);
+    if (subscriptionInfo.transitions.length > limit) {
+      subscriptionInfo.transitions = subscriptionInfo.transitions.slice(-limit);
+    }
+
+    this.transitionHistory.push(transition);
+    if (this.transitionHistory.length > limit * 4) {
+      this.transitionHistory = this.transitionHistory.slice(-limit * 2);
+    }
+  }
+
+  /**
+   * 记录订阅尝试
+   */
+  _recordSubscriptionAttempt(
+    uid,
+    mediaType,
+    success,
+    attempt,
+    errorMessage = null
+  ) {
+    const record = {
+      uid,
+      mediaType,
+      success,
+      attempt,
+      timestamp: new Date(),
+      errorMessage,
+    };
+
+    this.subscriptionHistory.push(record);
+
+    // 限制历史记录长度
+    if (this.subscriptionHistory.length > 100) {
+      this.subscriptionHistory = this.subscriptionHistory.slice(-50);
+    }
+  }
+
+  /**
+   * 清理用户订阅信息
+   */
+  _cleanupUserSubscription(uid) {
+    const normalizedUID = normalizeUID(uid);
+
+    // 取消重试任务（包括进行中的订阅尝试）并归还预算
+    this._clearBotSubscriptionRetry(uid, null, "user-left");
+    this.retryScheduler.resetBudget(normalizedUID);
+    this.healthWatchdog.forget(normalizedUID);
+
+    // 移除订阅信息
+    const info = this.subscriptions.get(normalizedUID);
+    this.subscriptions.delete(normalizedUID);
+
+    this._log("debug", `用户 ${uid} 的订阅信息已清理`);
+    this._emit(WebSubscriptionManager.Events.USER_REMOVED, uid, null, {
+      joinedAt: info?.joinedAt || null,
+    });
+  }
+
+  /**
+   * 获取订阅统计信息
+   */
+  getSubscriptionStats() {
+    const totalUsers = this.subscriptions.size;
+    let audioSubscribed = 0;
+    let videoSubscribed = 0;
+    let totalAttempts = this.subscriptionHistory.length;
+    let successfulAttempts = this.subscriptionHistory.filter(
+      (record) => record.success
+    ).length;
+
+    for (const [uid, info] of this.subscriptions) {
+      if (info.audioSubscribed) audioSubscribed++;
+      if (info.videoSubscribed) videoSubscribed++;
+    }
+
+    const successRate =
+      totalAttempts > 0 ? (successfulAttempts / totalAttempts) * 100 : 0;
+
+    return {
+      totalUsers,
+      audioSubscribed,
+      videoSubscribed,
+      totalAttempts,
+      successfulAttempts,
+      successRate: `${successRate.toFixed(1)}%`,
+      autoSubscribeEnabled: this.options.enableAutoSubscribe,
+      pendingRetries: this.retryScheduler.pending().length,
+      videoEnabled: this.options.enableVideo,
+      activeVideoRenders: this.activeVideoRenders.size,
+    };
+  }
+
+  /**
+   * 获取用户订阅信息
+   */
+  getUserSubscriptionInfo(uid) {
+    const normalizedUID = normalizeUID(uid);
+    const info = this.subscriptions.get(normalizedUID);
+    if (!info) return null;
+
+    return {
+      uid,
+      hasAudio: info.hasAudio,
+      hasVideo: info.hasVideo,
+      audioSubscribed: info.audioSubscribed || false,
+      videoSubscribed: info.videoSubscribed || false,
+      audioState:
+        info.audioState ||
+        WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+      videoState:
+        info.videoState ||
+        WebSubscriptionManager.SubscriptionState.NOT_SUBSCRIBED,
+      joinedAt: info.joinedAt,
+      updatedAt: info.updatedAt,
+      transitions: [...(info.transitions || [])],
+    };
+  }
+
+  /**
+   * 获取用户的状态迁移记录
+   * 用户已离开时从全局记录中回溯
+   *
+   * @param {string|number} uid - 用户 UID
+   * @param {string} [mediaType] - 只返回指定媒体类型
+   * @returns {Array<Object>} 迁移记录（按时间顺序）
+   */
+  getTransitionHistory(uid, mediaType = null) {
+    const normalizedUID = normalizeUID(uid);
+    const info = this.subscriptions.get(normalizedUID);
+    const source = info
+      ? info.transitions || []
+      : this.transitionHistory.filter((t) => t.uid === normalizedUID);
+
+    return source.filter((t) => !mediaType || t.mediaType === mediaType);
+  }
+
+  /**
+   * 获取所有用户订阅信息
+   */
+  getAllSubscriptionInfo() {
+    const result = [];
+    for (const [uid, info] of this.subscriptions) {
+      result.push(this.getUserSubscriptionInfo(uid));
+    }
+    return result;
+  }
+
+  /**
+   * 启用/禁用自动订阅
+   */
+  setAutoSubscribe(enabled) {
+    this.options.enableAutoSubscribe = enabled;
+    this._log("info", `自动订阅: ${enabled ? "启用" : "禁用"}`);
+  }
+
+  /**
+   * 启用/禁用视频自动订阅（仅影响之后的发布事件）
+   */
+  setVideoEnabled(enabled) {
+    this.options.enableVideo = enabled === true;
+    this._log("info", `视频订阅: ${this.options.enableVideo ? "启用" : "禁用"}`);
+  }
+
+  /**
+   * 启动远端音频健康看门狗
+   */
+  startHealthWatchdog() {
+    this.healthWatchdog.start();
+  }
+
+  /**
+   * 停止远端音频健康看门狗
+   */
+  stopHealthWatchdog() {
+    this.healthWatchdog.stop();
+  }
+
+  /**
+   * 获取远端音频健康状态
+   *
+   * @param {string|number} [uid] - 用户 UID，不传时返回全部
+   */
+  getAudioHealth(uid = null) {
+    return this.healthWatchdog.snapshot(uid === null ? null : normalizeUID(uid));
+  }
+
+  /**
+   * 重新播放所有已订阅的远端音频
+   * 浏览器限制自动播放时，由页面在用户点击后调用
+   *
+   * @returns {number} 成功恢复播放的轨道数
+   */
+  resumeAudioPlayback() {
+    let resumed = 0;
+    for (const [uid, info] of this.subscriptions) {
+      if (info.audioSubscribed && this._replayAudio(uid)) {
+        resumed++;
+      }
+    }
+    this._log("info", `已恢复 ${resumed} 个远端音频的播放`);
+    return resumed;
+  }
+
+  /**
+   * 重新播放用户的远端音频（播放到策略指定的目标）
+   *
+   * @returns {boolean} 调用后轨道是否处于播放状态
+   */
+  _replayAudio(uid) {
+    const info = this.subscriptions.get(normalizeUID(uid));
+    const track = info?.user?.audioTrack;
+    if (!track || typeof track.play !== "function") return false;
+
+    const playIn = info.policyDecisions?.audio?.playIn;
+    try {
+      if (playIn) {
+        track.play(playIn);
+      } else {
+        track.play();
+      }
+    } catch (error) {
+      this._log("warn", `用户 ${uid} 的音频重新播放失败: ${error.message}`);
+      return false;
+    }
+    return track.isPlaying !== false;
+  }
+
+  /**
+   * 日志记录
+   */
+  _log(level, message, data = null) {
+    const logLevels = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+    const currentLevel = logLevels[this.options.logLevel] ?? 1;
+    const messageLevel = logLevels[level] ?? 1;
+
+    if (messageLevel >= currentLevel) {
+      const prefix = "[SUBSCRIPTION_MANAGER]";
+      const timestamp = new Date().toISOString();
+
+      if (data) {
+        console[level](`${prefix} ${timestamp} ${message}`, data);
+      } else {
+        console[level](`${prefix} ${timestamp} ${message}`);
+      }
+    }
+  }
+
+  /**
+   * 销毁订阅管理器
+   */
+  destroy() {
+    // 停止所有视频渲染
+    for (const uid of [...this.activeVideoRenders.keys()]) {
+      this._stopVideoRender(uid, "destroyed");
+    }
+    this.renderTargets.clear();
+
+    // 取消所有重试任务，停止健康检查
+    this.retryScheduler.cancelAll("destroyed");
+    this.healthWatchdog.stop();
+
+    // 清理订阅信息
+    this.subscriptions.clear();
+    this.subscriptionIntents.clear();
+    this.subscriptionHistory = [];
+    this.transitionHistory = [];
+
+    this.client.off("user-joined", this._boundHandlers.userJoined);
+    this.client.off("user-published", this._boundHandlers.userPublished);
+    this.client.off("user-unpublished", this._boundHandlers.userUnpublished);
+    this.client.off("user-left", this._boundHandlers.userLeft);
+    this.client.off("connection-state-change", this._boundHandlers.connectionStateChange);
+    this._boundHandlers = null;
+
+    this._log("info", "订阅管理器已销毁");
+    this._listeners.clear();
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WebSubscriptionManager;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.WebSubscriptionManager = WebSubscriptionManager;
+}
@@ -0,0 +1,166 @@
+/**
+ * 提示语文本规范化 - Web端与 Node 工具共用
+ *
+ * 两种形式：
+ * - 后端形式（toBackendForm）：与后端 normalized_text 一致，中文标点替换为英文标点，用于计算缓存 key
+ * - 匹配键（toMatchKey）：全角转半角、小写、去掉所有标点/符号/空白，用于文本匹配和去重
+ *   "拨打96110咨询" 与 "拨打 96110 咨询" 的匹配键相同
+ */
+
+class TextNormalizer {
+  /**
+   * 后端 normalized_text 使用的标点映射
+   */
+  static BACKEND_PUNCTUATION = {
+    "，": ",",
+    "。": ".",
+    "？": "?",
+    "！": "!",
+    "；": ";",
+    "：": ":",
+  };
+
+  /**
+   * 转为后端 normalized_text 形式
+   *
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  static toBackendForm(text) {
+    return String(text || "").replace(/[，。？！；：]/g, (ch) => this.BACKEND_PUNCTUATION[ch]);
+  }
+
+  /**
+   * 转为匹配键
+   *
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  static toMatchKey(text) {
+    return String(text || "")
+      .normalize("NFKC")
+      .toLowerCase()
+      .replace(/[\p{P}\p{S}\s]/gu, "");
+  }
+
+  /**
+   * 推断文本语言：含中日韩统一表意文字为 "zh"，否则为 "en"
+   */
+  static detectLanguage(text) {
+    return /[\u3400-\u9fff]/.test(String(text || "")) ? "zh" : "en";
+  }
+
+  /**
+   * 两段文本的匹配键是否相同
+   */
+  static isEquivalent(text1, text2) {
+    return this.toMatchKey(text1) === this.toMatchKey(text2);
+  }
+
+  /**
+   * 编辑距离（按 Unicode 码点计算）
+   *
+   * @param {string} a
+   * @param {string} b
+   * @param {number} [maxDistance] - 超过该值时提前结束并返回 maxDistance + 1
+   * @returns {number}
+   */
+  static editDistance(a, b, maxDistance = Infinity) {
+    const s = Array.from(a);
+    const t = Array.from(b);
+    if (Math.abs(s.length - t.length) > maxDistance) return maxDistance + 1;
+    if (s.length === 0) return t.length;
+    if (t.length === 0) return s.length;
+
+    let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= s.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= t.length; j++) {
+        const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+    return previous[t.length];
+  }
+
+  /**
+   * 基于匹配键的相似度（0-1，1 表示匹配键相同）
+   */
+  static similarity(text1, text2) {
+    const a = this.toMatchKey(text1);
+    const b = this.toMatchKey(text2);
+    const length = Math.max(Array.from(a).length, Array.from(b).length);
+    if (length === 0) return 1;
+    return 1 - this.editDistance(a, b) / length;
+  }
+
+  /**
+   * 按规范化后的编辑距离把文本聚类为近似重复组
+   * 相似度不低于 threshold 的两条记录归为一组（传递闭包）
+   *
+   * @param {Array<{key: string, text: string}>} items - 待聚类的记录
+   * @param {Object} [options]
+   * @param {number} [options.threshold=0.9] - 相似度阈值
+   * @returns {Array<Object>} [{ members: [{ key, text, matchKey }], pairs: [{ a, b, distance, similarity }] }]
+   */
+  static clusterNearDuplicates(items, { threshold = 0.9 } = {}) {
+    const nodes = items.map((item) => {
+      const matchKey = this.toMatchKey(item.text);
+      return { ...item, matchKey, length: Array.from(matchKey).length };
+    });
+
+    // 并查集
+    const parent = nodes.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    const pairs = [];
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const longest = Math.max(nodes[i].length, nodes[j].length);
+        const maxDistance = Math.floor(longest * (1 - threshold));
+        const distance =
+          longest === 0 ? 0 : this.editDistance(nodes[i].matchKey, nodes[j].matchKey, maxDistance);
+        if (distance > maxDistance) continue;
+
+        pairs.push({
+          a: nodes[i].key,
+          b: nodes[j].key,
+          distance,
+          similarity: longest === 0 ? 1 : 1 - distance / longest,
+        });
+        parent[find(i)] = find(j);
+      }
+    }
+
+    const groups = new Map();
+    nodes.forEach((node, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(node);
+    });
+
+    return [...groups.values()]
+      .filter((members) => members.length > 1)
+      .map((members) => {
+        const keys = new Set(members.map((member) => member.key));
+        return {
+          members: members.map(({ key, text, matchKey }) => ({ key, text, matchKey })),
+          pairs: pairs.filter((pair) => keys.has(pair.a)),
+        };
+      });
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TextNormalizer;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.TextNormalizer = TextNormalizer;
+}
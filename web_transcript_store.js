@@ -0,0 +1,330 @@
+/**
+ * 会话转写记录 - 按轮次保存对话，日志面板据此渲染，并可导出 JSON / 纯文本 / SRT 字幕
+ *
+ * 每一轮记录说话方（用户 / Bot / 系统）、类型（语音识别 / AI 回复 / 系统日志）、
+ * 来源（Bot 回复为 llm 或 prerecorded_cache，预录制时附带命中的缓存 key 与音频文件）以及开始 / 结束时间。
+ * - 开始时间默认为记录时间；能拿到更准确的时间时（VAD 说话区间、预录制片段实际播放时间）由调用方传入或随后 update
+ * - 结束时间未知的轮次在导出 SRT 时按文本长度估算时长，且不超过下一轮的开始时间
+ * - 流式消息（STT 中间结果、LLM 逐段输出）按消息 id 原地更新同一轮，最终结果到达后该轮完结；
+ *   完结后再收到同一 id 的消息视为协议层重复，直接忽略（不按文本去重，用户真实的重复回答照常记录）
+ */
+
+class TranscriptStore {
+  /**
+   * 说话方
+   */
+  static Speaker = {
+    USER: "user",
+    BOT: "bot",
+    SYSTEM: "system",
+  };
+
+  /**
+   * 轮次类型
+   */
+  static Kind = {
+    STT: "stt",
+    LLM: "llm",
+    INFO: "info",
+    SUCCESS: "success",
+    ERROR: "error",
+  };
+
+  /**
+   * 内容来源
+   */
+  static Source = {
+    ASR: "asr", // 语音识别
+    TEXT_INPUT: "text_input", // 用户文字输入
+    LLM: "llm", // 大模型生成，经 TTS 播放
+    PRERECORDED: "prerecorded_cache", // 命中预录制缓存
+  };
+
+  /**
+   * 事件名称
+   */
+  static Events = {
+    ADD: "turn-add",
+    UPDATE: "turn-update",
+    CLEAR: "clear",
+  };
+
+  static SPEAKER_LABELS = {
+    user: "用户",
+    bot: "Bot",
+    system: "系统",
+  };
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.charDurationMs=200] - 估算时长：每个字符的朗读时间
+   * @param {number} [options.minDurationMs=1500] - 估算时长下限
+   * @param {number} [options.maxDurationMs=8000] - 估算时长上限
+   * @param {Function} [options.now=Date.now] - 时间来源（测试用）
+   */
+  constructor(options = {}) {
+    this.options = {
+      charDurationMs: options.charDurationMs ?? 200,
+      minDurationMs: options.minDurationMs ?? 1500,
+      maxDurationMs: options.maxDurationMs ?? 8000,
+    };
+    this._now = options.now || (() => Date.now());
+
+    this._turns = [];
+    this._byId = new Map();
+    this._byMessageId = new Map(); // 消息 id -> 记录
+    this._nextId = 1;
+    this._listeners = new Map();
+  }
+
+  /**
+   * 追加一轮
+   *
+   * @param {Object} turn
+   * @param {string} turn.speaker - TranscriptStore.Speaker
+   * @param {string} turn.kind - TranscriptStore.Kind
+   * @param {string} turn.text
+   * @param {string} [turn.label] - 系统日志的来源标签（如 "WebSocket"）
+   * @param {Object} [turn.source] - { type, cacheKey, audioFile }，type 为 TranscriptStore.Source
+   * @param {number} [turn.startedAt] - 毫秒时间戳，默认为当前时间
+   * @param {number} [turn.endedAt]
+   * @param {Object} [turn.meta] - 附带数据，原样导出
+   * @param {string} [turn.messageId] - 来源消息 id（流式消息用）
+   * @param {boolean} [turn.partial=false] - 是否为未完结的中间结果
+   * @returns {Object} 记录（含 id）
+   */
+  add({ speaker, kind, text, label = null, source = null, startedAt, endedAt = null, meta = null, messageId = null, partial = false }) {
+    const turn = {
+      id: this._nextId++,
+      speaker: speaker || TranscriptStore.Speaker.SYSTEM,
+      kind: kind || TranscriptStore.Kind.INFO,
+      text: String(text ?? ""),
+      label,
+      source: source ? { type: source.type, cacheKey: source.cacheKey ?? null, audioFile: source.audioFile ?? null } : null,
+      startedAt: startedAt ?? this._now(),
+      endedAt,
+      meta,
+      messageId,
+      partial,
+    };
+    this._turns.push(turn);
+    this._byId.set(turn.id, turn);
+    if (messageId !== null) this._byMessageId.set(messageId, turn);
+    this._emit(TranscriptStore.Events.ADD, { turn });
+    return turn;
+  }
+
+  /**
+   * 按消息 id 写入流式消息：首条消息新建一轮，后续中间结果与最终结果原地更新该轮
+   *
+   * @param {Object} message - add() 的参数，另加：
+   * @param {string} message.messageId
+   * @param {boolean} [message.final=true] - 是否为最终结果
+   * @param {boolean} [message.delta=false] - text 为追加到当前文本后的增量
+   * @returns {Object|null} 记录；该 id 已完结（重复消息）时返回 null
+   */
+  upsert({ messageId, final = true, delta = false, text, ...turn }) {
+    const existing = this._byMessageId.get(messageId);
+    if (!existing) {
+      return this.add({ ...turn, text, messageId, partial: !final });
+    }
+    if (!existing.partial) return null;
+
+    const patch = { text: delta ? existing.text + String(text ?? "") : String(text ?? ""), partial: !final };
+    for (const field of ["label", "source", "startedAt", "endedAt", "meta"]) {
+      if (turn[field] !== undefined) patch[field] = turn[field];
+    }
+    return this.update(existing.id, patch);
+  }
+
+  /**
+   * 按消息 id 查找记录
+   */
+  byMessageId(messageId) {
+    return this._byMessageId.get(messageId) || null;
+  }
+
+  /**
+   * 修改某一轮（文本、时间、来源等）
+   *
+   * @returns {Object|null} 修改后的记录；id 不存在时返回 null
+   */
+  update(id, patch = {}) {
+    const turn = this._byId.get(id);
+    if (!turn) return null;
+    for (const field of ["text", "label", "startedAt", "endedAt", "meta", "partial"]) {
+      if (field in patch) turn[field] = patch[field];
+    }
+    if ("source" in patch) {
+      turn.source = patch.source ? { ...turn.source, ...patch.source } : null;
+    }
+    this._emit(TranscriptStore.Events.UPDATE, { turn, patch });
+    return turn;
+  }
+
+  get(id) {
+    return this._byId.get(id) || null;
+  }
+
+  /**
+   * 按时间顺序返回记录
+   *
+   * @param {Object} [filter]
+   * @param {string[]} [filter.speakers] - 只返回这些说话方
+   */
+  turns({ speakers } = {}) {
+    const list = speakers ? this._turns.filter((turn) => speakers.includes(turn.speaker)) : this._turns.slice();
+    return list.sort((a, b) => a.startedAt - b.startedAt || a.id - b.id);
+  }
+
+  get size() {
+    return this._turns.length;
+  }
+
+  clear() {
+    this._turns = [];
+    this._byId.clear();
+    this._byMessageId.clear();
+    this._emit(TranscriptStore.Events.CLEAR);
+  }
+
+  /**
+   * JSON 导出（JSON.stringify(store) 也会调用）
+   */
+  toJSON() {
+    const turns = this.turns();
+    return {
+      version: 1,
+      startedAt: turns[0]?.startedAt ?? null,
+      exportedAt: this._now(),
+      turns: turns.map((turn) => ({ ...turn })),
+    };
+  }
+
+  /**
+   * 纯文本导出：每行一轮，时间为相对第一轮的偏移
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.speakers] - 默认包含全部说话方
+   */
+  toText({ speakers } = {}) {
+    const turns = this.turns({ speakers });
+    if (turns.length === 0) return "";
+    const origin = turns[0].startedAt;
+    const lines = [`开始时间: ${new Date(origin).toISOString()}`, ""];
+    for (const turn of turns) {
+      lines.push(`[${TranscriptStore.formatOffset(turn.startedAt - origin, ".")}] ${this._speakerText(turn)}`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * SRT 字幕导出：时间为相对第一轮的偏移，默认只包含用户与 Bot 的对话
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.speakers]
+   */
+  toSRT({ speakers = [TranscriptStore.Speaker.USER, TranscriptStore.Speaker.BOT] } = {}) {
+    const turns = this.turns({ speakers });
+    if (turns.length === 0) return "";
+    const origin = turns[0].startedAt;
+
+    return turns
+      .map((turn, index) => {
+        const start = turn.startedAt - origin;
+        const end = this._endOffset(turn, turns[index + 1], origin);
+        return [
+          index + 1,
+          `${TranscriptStore.formatOffset(start, ",")} --> ${TranscriptStore.formatOffset(end, ",")}`,
+          this._speakerText(turn),
+          "",
+        ].join("\n");
+      })
+      .join("\n");
+  }
+
+  /**
+   * 毫秒偏移格式化为 HH:MM:SS<sep>mmm
+   */
+  static formatOffset(ms, separator = ",") {
+    const value = Math.max(0, Math.round(ms));
+    const pad = (n, width = 2) => String(n).padStart(width, "0");
+    const hours = Math.floor(value / 3600000);
+    const minutes = Math.floor((value % 3600000) / 60000);
+    const seconds = Math.floor((value % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(value % 1000, 3)}`;
+  }
+
+  /**
+   * 结束偏移：已知结束时间优先；否则按文本长度估算，且不超过下一轮开始
+   */
+  _endOffset(turn, next, origin) {
+    const start = turn.startedAt - origin;
+    if (turn.endedAt && turn.endedAt > turn.startedAt) {
+      return turn.endedAt - origin;
+    }
+    const { charDurationMs, minDurationMs, maxDurationMs } = this.options;
+    const estimated = Math.min(maxDurationMs, Math.max(minDurationMs, turn.text.length * charDurationMs));
+    const end = start + estimated;
+    if (next && next.startedAt - origin > start) {
+      return Math.min(end, next.startedAt - origin);
+    }
+    return end;
+  }
+
+  _speakerText(turn) {
+    const label = turn.speaker === TranscriptStore.Speaker.SYSTEM && turn.label
+      ? turn.label
+      : TranscriptStore.SPEAKER_LABELS[turn.speaker] || turn.speaker;
+    let suffix = "";
+    if (turn.source?.type === TranscriptStore.Source.PRERECORDED) {
+      suffix = turn.source.cacheKey ? ` [预录制 ${turn.source.cacheKey}]` : " [预录制]";
+    } else if (turn.source?.type === TranscriptStore.Source.TEXT_INPUT) {
+      suffix = " [文字输入]";
+    }
+    return `${label}: ${turn.text}${suffix}`;
+  }
+
+  /**
+   * 注册事件监听器
+   *
+   * @returns {Function} 取消监听的函数
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this._listeners.delete(event);
+    }
+  }
+
+  _emit(event, extra) {
+    const payload = { event, timestamp: this._now(), ...extra };
+    for (const listener of [...(this._listeners.get(event) || [])]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`[TRANSCRIPT] 事件监听器执行失败: ${event}`, error);
+      }
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TranscriptStore;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.TranscriptStore = TranscriptStore;
+}
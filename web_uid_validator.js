@@ -1,211 +1,667 @@
-/**
- * 声网UID类型验证和兼容性检查 - Web端
- * 基于声网技术支持的专业建议实现
- */
-
-class WebUIDValidator {
-  /**
-   * 默认Bot UID（与Python端保持一致）
-   */
-  static DEFAULT_BOT_UID = 12345;
-
-  /**
-   * 检查是否为Bot用户
-   * 支持整数和字符串UID的兼容性检查
-   *
-   * @param {any} uid - 待检查的UID
-   * @returns {boolean} 是否为Bot用户
-   */
-  static isBotUser(uid) {
-    try {
-      // 优先检查整数UID（Python端使用整数）
-      if (typeof uid === "number") {
-        return uid === this.DEFAULT_BOT_UID;
-      }
-
-      // 兼容字符串UID
-      if (typeof uid === "string") {
-        try {
-          const uidInt = parseInt(uid, 10);
-          return !isNaN(uidInt) && uidInt === this.DEFAULT_BOT_UID;
-        } catch (error) {
-          console.warn("[UID_VALIDATOR] 字符串UID转换失败:", uid, error);
-          return false;
-        }
-      }
-
-      // 其他类型不支持
-      console.warn("[UID_VALIDATOR] 不支持的UID类型:", typeof uid, uid);
-      return false;
-    } catch (error) {
-      console.error("[UID_VALIDATOR] Bot用户检查异常:", error);
-      return false;
-    }
-  }
-
-  /**
-   * 验证Web SDK UID兼容性
-   * Web SDK支持字符串和整数UID（字符串UID支持）
-   *
-   * @param {any} uid - 待验证的UID
-   * @returns {boolean} 是否兼容
-   */
-  static isValidWebSDKUID(uid) {
-    try {
-      // 检查基本类型
-      if (typeof uid !== "number" && typeof uid !== "string") {
-        return false;
-      }
-
-      // 字符串UID支持 - 直接接受非空字符串
-      if (typeof uid === "string") {
-        // 字符串UID只需要非空即可（支持如 "user_1758595626139" 格式）
-        return uid.length > 0 && uid.trim().length > 0;
-      }
-
-      // 数字UID需要范围检查
-      if (typeof uid === "number") {
-        // 检查UID范围（声网UID范围：1 到 2^32-1）
-        return uid >= 1 && uid <= Math.pow(2, 32) - 1;
-      }
-
-      return false;
-    } catch (error) {
-      console.error("[UID_VALIDATOR] Web SDK UID验证异常:", error);
-      return false;
-    }
-  }
-
-  /**
-   * 标准化UID比较
-   * 确保不同类型的UID能够正确比较
-   *
-   * @param {any} uid1 - 第一个UID
-   * @param {any} uid2 - 第二个UID
-   * @returns {boolean} 是否相等
-   */
-  static compareUIDs(uid1, uid2) {
-    try {
-      // 如果类型相同，直接比较
-      if (typeof uid1 === typeof uid2) {
-        return uid1 === uid2;
-      }
-
-      // 类型不同，转换为数字比较
-      const num1 = typeof uid1 === "number" ? uid1 : parseInt(uid1, 10);
-      const num2 = typeof uid2 === "number" ? uid2 : parseInt(uid2, 10);
-
-      // 检查转换是否成功
-      if (isNaN(num1) || isNaN(num2)) {
-        return false;
-      }
-
-      return num1 === num2;
-    } catch (error) {
-      console.error("[UID_VALIDATOR] UID比较异常:", error);
-      return false;
-    }
-  }
-
-  /**
-   * 获取默认Bot UID
-   *
-   * @returns {number} 默认Bot UID
-   */
-  static getDefaultBotUID() {
-    return this.DEFAULT_BOT_UID;
-  }
-
-  /**
-   * 验证配置中的UID设置
-   *
-   * @param {Object} config - 包含UID配置的对象
-   * @returns {Object} 验证结果
-   */
-  static validateConfiguration(config) {
-    const result = {
-      isValid: true,
-      errors: [],
-      warnings: [],
-      config: { ...config },
-    };
-
-    try {
-      // 检查botUid
-      if ("botUid" in config) {
-        if (!this.isValidWebSDKUID(config.botUid)) {
-          result.errors.push(`无效的botUid: ${config.botUid}`);
-          result.isValid = false;
-        } else {
-          // 检查是否为预期的Bot UID
-          if (!this.isBotUser(config.botUid)) {
-            result.warnings.push(
-              `botUid不是预期的Bot UID: ${config.botUid} (预期: ${this.DEFAULT_BOT_UID})`
-            );
-          }
-        }
-      }
-
-      // 检查uid
-      if ("uid" in config) {
-        if (!this.isValidWebSDKUID(config.uid)) {
-          result.errors.push(`无效的uid: ${config.uid}`);
-          result.isValid = false;
-        }
-      }
-    } catch (error) {
-      result.errors.push(`配置验证异常: ${error.message}`);
-      result.isValid = false;
-    }
-
-    return result;
-  }
-
-  /**
-   * 记录UID相关的调试信息
-   *
-   * @param {string} context - 上下文信息
-   * @param {any} uid - UID值
-   * @param {Object} additionalInfo - 额外信息
-   */
-  static logUIDInfo(context, uid, additionalInfo = {}) {
-    console.log(`[UID_VALIDATOR] ${context}:`, {
-      uid: uid,
-      type: typeof uid,
-      isBot: this.isBotUser(uid),
-      isValid: this.isValidWebSDKUID(uid),
-      ...additionalInfo,
-    });
-  }
-}
-
-// 便捷函数
-function isBotUser(uid) {
-  return WebUIDValidator.isBotUser(uid);
-}
-
-function isValidUID(uid) {
-  return WebUIDValidator.isValidWebSDKUID(uid);
-}
-
-function compareUIDs(uid1, uid2) {
-  return WebUIDValidator.compareUIDs(uid1, uid2);
-}
-
-// 导出（如果在模块环境中）
-if (typeof module !== "undefined" && module.exports) {
-  module.exports = {
-    WebUIDValidator,
-    isBotUser,
-    isValidUID,
-    compareUIDs,
-  };
-}
-
-// 全局暴露（如果在浏览器环境中）
-if (typeof window !== "undefined") {
-  window.WebUIDValidator = WebUIDValidator;
-  window.isBotUser = isBotUser;
-  window.isValidUID = isValidUID;
-  window.compareUIDs = compareUIDs;
-}
+/**
+ * 声网UID类型验证和兼容性检查 - Web端
+ * 基于声网技术支持的专业建议实现
+ */
+
+/**
+ * 统一的声网UID模型
+ *
+ * Python后端使用整数UID，Web SDK 同时支持整数UID和字符串 user account，
+ * 两种类型在同一频道混用时对方收不到音频。这里统一解析、格式化和比较规则：
+ * - 整数：1 到 2^32-1 的整数，或仅由数字组成且无前导零的字符串（"12345" 等同 12345）
+ * - 字符串账号：其余非空字符串（首尾空白会被去掉，最长 255 字节）
+ * - "12345abc"、"012345" 是字符串账号，与 12345 不相等
+ * - 可选的账号映射：把 user account 映射到整数UID，映射后两者视为同一用户
+ */
+class AgoraUID {
+  static MAX_INT_UID = Math.pow(2, 32) - 1;
+
+  static MAX_ACCOUNT_LENGTH = 255;
+
+  static Kind = {
+    INT: "int",
+    ACCOUNT: "account",
+  };
+
+  /**
+   * user account -> 整数UID 映射，以及反向映射
+   */
+  static _accountToInt = new Map();
+  static _intToAccount = new Map();
+
+  constructor(kind, value) {
+    this.kind = kind;
+    this.value = value;
+    Object.freeze(this);
+  }
+
+  /**
+   * 解析UID，无效时抛出 TypeError
+   *
+   * @param {any} input - 数字、字符串或 AgoraUID
+   * @returns {AgoraUID}
+   */
+  static parse(input) {
+    const uid = this.tryParse(input);
+    if (!uid) {
+      throw new TypeError(`无效的UID: ${String(input)} (类型: ${typeof input})`);
+    }
+    return uid;
+  }
+
+  /**
+   * 解析UID，无效时返回 null
+   *
+   * @param {any} input - 数字、字符串或 AgoraUID
+   * @returns {AgoraUID|null}
+   */
+  static tryParse(input) {
+    if (input instanceof AgoraUID) {
+      return input;
+    }
+
+    if (typeof input === "number") {
+      return Number.isInteger(input) && input >= 1 && input <= this.MAX_INT_UID
+        ? new AgoraUID(this.Kind.INT, input)
+        : null;
+    }
+
+    if (typeof input === "string") {
+      const text = input.trim();
+      if (!text) {
+        return null;
+      }
+      if (/^[1-9]\d*$/.test(text) && Number(text) <= this.MAX_INT_UID) {
+        return new AgoraUID(this.Kind.INT, Number(text));
+      }
+      // user account 按 UTF-8 字节计算长度
+      if (new TextEncoder().encode(text).length > this.MAX_ACCOUNT_LENGTH) {
+        return null;
+      }
+      return new AgoraUID(this.Kind.ACCOUNT, text);
+    }
+
+    return null;
+  }
+
+  /**
+   * 是否为有效UID
+   */
+  static isValid(input) {
+    return this.tryParse(input) !== null;
+  }
+
+  /**
+   * 规范字符串形式（考虑账号映射），用作 Map 键和比较依据；无效时返回 null
+   *
+   * @param {any} input - 待格式化的UID
+   * @returns {string|null}
+   */
+  static format(input) {
+    const uid = this.tryParse(input);
+    if (!uid) return null;
+    const mapped = uid.kind === this.Kind.ACCOUNT ? this._accountToInt.get(uid.value) : undefined;
+    return String(mapped ?? uid.value);
+  }
+
+  /**
+   * 比较两个UID是否指向同一用户；任一无效时返回 false
+   */
+  static equals(uid1, uid2) {
+    const key1 = this.format(uid1);
+    return key1 !== null && key1 === this.format(uid2);
+  }
+
+  /**
+   * 转为传给 Web SDK 的值：整数UID为 number，账号为 string
+   * 用于 client.join，避免把 "12345" 当成字符串账号加入频道
+   *
+   * @returns {number|string|null}
+   */
+  static toSDK(input) {
+    const uid = this.tryParse(input);
+    return uid ? uid.value : null;
+  }
+
+  /**
+   * 获取整数UID（账号会按映射转换），无法得到时返回 null
+   *
+   * @returns {number|null}
+   */
+  static toInt(input) {
+    const uid = this.tryParse(input);
+    if (!uid) return null;
+    if (uid.kind === this.Kind.INT) return uid.value;
+    return this._accountToInt.get(uid.value) ?? null;
+  }
+
+  /**
+   * 获取字符串账号（整数UID会按映射转换），无法得到时返回 null
+   *
+   * @returns {string|null}
+   */
+  static toUserAccount(input) {
+    const uid = this.tryParse(input);
+    if (!uid) return null;
+    if (uid.kind === this.Kind.ACCOUNT) return uid.value;
+    return this._intToAccount.get(uid.value) ?? null;
+  }
+
+  /**
+   * 登记 user account 与整数UID 的映射
+   *
+   * @param {string} account - 字符串账号
+   * @param {number|string} intUid - 对应的整数UID
+   */
+  static mapUserAccount(account, intUid) {
+    const accountUID = this.tryParse(account);
+    const numericUID = this.tryParse(intUid);
+    if (!accountUID || accountUID.kind !== this.Kind.ACCOUNT) {
+      throw new TypeError(`无效的user account: ${account}`);
+    }
+    if (!numericUID || numericUID.kind !== this.Kind.INT) {
+      throw new TypeError(`无效的整数UID: ${intUid}`);
+    }
+
+    this.unmapUserAccount(accountUID.value);
+    this._accountToInt.set(accountUID.value, numericUID.value);
+    this._intToAccount.set(numericUID.value, accountUID.value);
+  }
+
+  /**
+   * 移除某个 user account 的映射
+   */
+  static unmapUserAccount(account) {
+    const key = typeof account === "string" ? account.trim() : account;
+    const intUid = this._accountToInt.get(key);
+    if (intUid === undefined) return;
+    this._accountToInt.delete(key);
+    if (this._intToAccount.get(intUid) === key) {
+      this._intToAccount.delete(intUid);
+    }
+  }
+
+  /**
+   * 批量加载映射（如 /api/agora/config 的 userAccounts 字段）
+   * 无效条目会被跳过并记录警告
+   *
+   * @param {Object|Array} mapping - { account: intUid } 或 [[account, intUid], ...]
+   * @returns {number} 成功加载的条数
+   */
+  static loadUserAccountMap(mapping) {
+    if (!mapping || typeof mapping !== "object") return 0;
+    const entries = Array.isArray(mapping) ? mapping : Object.entries(mapping);
+    let loaded = 0;
+    for (const [account, intUid] of entries) {
+      try {
+        this.mapUserAccount(account, intUid);
+        loaded++;
+      } catch (error) {
+        console.warn("[UID_VALIDATOR] 忽略无效的账号映射:", account, intUid, error.message);
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * 清空账号映射
+   */
+  static clearUserAccountMap() {
+    this._accountToInt.clear();
+    this._intToAccount.clear();
+  }
+
+  get isInt() {
+    return this.kind === AgoraUID.Kind.INT;
+  }
+
+  equals(other) {
+    return AgoraUID.equals(this, other);
+  }
+
+  toString() {
+    return String(this.value);
+  }
+
+  toJSON() {
+    return this.value;
+  }
+}
+
+class WebUIDValidator {
+  /**
+   * 默认Bot UID（与Python端保持一致）
+   */
+  static DEFAULT_BOT_UID = 12345;
+
+  /**
+   * 内置Bot角色
+   */
+  static BotRoles = {
+    BOT: "bot",
+    TTS_BOT: "tts-bot",
+    MONITOR: "monitor",
+  };
+
+  /**
+   * 角色默认属性：显示名称、是否需要订阅并播放其音频
+   * 注册表条目中的 label 会覆盖这里的显示名称
+   */
+  static RoleProfiles = {
+    bot: { label: "Bot", playsAudio: true },
+    "tts-bot": { label: "TTS Bot", playsAudio: true },
+    monitor: { label: "Monitor", playsAudio: false },
+  };
+
+  /**
+   * Bot身份注册表（已标准化的条目）
+   * 默认只包含 DEFAULT_BOT_UID，可通过 configureBotRegistry / loadBotRegistryFromConfig 替换
+   */
+  static _botRegistry = null;
+
+  /**
+   * 检查是否为Bot用户
+   * 支持整数和字符串UID的兼容性检查，按注册表匹配精确UID、数字区间和字符串前缀
+   *
+   * @param {any} uid - 待检查的UID
+   * @returns {string|false} 命中的Bot角色（如 "bot"、"tts-bot"），未命中返回 false
+   */
+  static isBotUser(uid) {
+    try {
+      if (typeof uid !== "number" && typeof uid !== "string") {
+        // 其他类型不支持
+        console.warn("[UID_VALIDATOR] 不支持的UID类型:", typeof uid, uid);
+        return false;
+      }
+
+      const match = this.matchBot(uid);
+      return match ? match.role : false;
+    } catch (error) {
+      console.error("[UID_VALIDATOR] Bot用户检查异常:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 在注册表中查找UID对应的Bot身份
+   * 匹配优先级：精确UID > 数字区间 > 字符串前缀；同级按注册顺序
+   *
+   * @param {any} uid - 待检查的UID
+   * @param {Array<Object>} [registry] - 指定注册表（默认使用当前注册表）
+   * @returns {Object|null} { role, label, playsAudio, matchedBy, entry }
+   */
+  static matchBot(uid, registry = this.getBotRegistry()) {
+    const key = AgoraUID.format(uid);
+    if (key === null) {
+      return null;
+    }
+    // 区间按整数UID匹配，前缀按字符串账号匹配（两者均考虑账号映射）
+    const uidNumber = AgoraUID.toInt(uid);
+    const account = AgoraUID.toUserAccount(uid) ?? key;
+
+    const matchers = [
+      ["uid", (entry) => entry.uids.some((candidate) => AgoraUID.format(candidate) === key)],
+      [
+        "range",
+        (entry) =>
+          uidNumber !== null &&
+          entry.ranges.some(([min, max]) => uidNumber >= min && uidNumber <= max),
+      ],
+      ["prefix", (entry) => entry.prefixes.some((prefix) => account.startsWith(prefix))],
+    ];
+
+    for (const [matchedBy, test] of matchers) {
+      const entry = registry.find(test);
+      if (entry) {
+        return {
+          role: entry.role,
+          label: entry.label,
+          playsAudio: entry.playsAudio,
+          matchedBy,
+          entry,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 获取UID对应的角色属性（非Bot返回 null）
+   *
+   * @param {any} uid - 待检查的UID
+   * @returns {Object|null} { role, label, playsAudio }
+   */
+  static getBotProfile(uid) {
+    const match = this.matchBot(uid);
+    if (!match) return null;
+    return { role: match.role, label: match.label, playsAudio: match.playsAudio };
+  }
+
+  /**
+   * 获取当前注册表（标准化后的条目）
+   *
+   * @returns {Array<Object>} { role, label, playsAudio, uids, ranges, prefixes }
+   */
+  static getBotRegistry() {
+    if (!this._botRegistry) {
+      this._botRegistry = [this._normalizeBotEntry({ role: "bot", uids: [this.DEFAULT_BOT_UID] }).entry];
+    }
+    return this._botRegistry;
+  }
+
+  /**
+   * 替换Bot身份注册表
+   *
+   * 条目格式：
+   * { role: "tts-bot", uids: [12345], ranges: [[20000, 20999]], prefixes: ["tts_"], label: "播报" }
+   * 也接受单数写法 uid / range / prefix，range 可以是 [min, max] 或 { min, max }
+   *
+   * @param {Array<Object>} entries - 注册表条目
+   * @returns {Object} { registry, errors, warnings }
+   */
+  static configureBotRegistry(entries) {
+    const { registry, errors, warnings } = this._buildBotRegistry(entries);
+    errors.forEach((message) => console.warn("[UID_VALIDATOR] 忽略无效的Bot注册条目:", message));
+    if (registry.length > 0) {
+      this._botRegistry = registry;
+    } else {
+      console.warn("[UID_VALIDATOR] Bot注册表为空，保留原注册表");
+    }
+    return { registry: this.getBotRegistry(), errors, warnings };
+  }
+
+  /**
+   * 恢复默认注册表（仅 DEFAULT_BOT_UID）
+   */
+  static resetBotRegistry() {
+    this._botRegistry = null;
+  }
+
+  /**
+   * 从 /api/agora/config 响应加载注册表
+   * 优先使用 config.bots；没有时用 config.botUid 构造单条 "bot" 注册
+   * config.botUid 未被 bots 覆盖时会补充为 "bot" 角色，保证主Bot始终可识别
+   *
+   * @param {Object} config - 后端配置
+   * @returns {Object} { registry, errors, warnings }
+   */
+  static loadBotRegistryFromConfig(config = {}) {
+    const entries = Array.isArray(config.bots) ? [...config.bots] : [];
+    if ("botUid" in config && this.isValidWebSDKUID(config.botUid)) {
+      const { registry } = this._buildBotRegistry(entries);
+      if (!this.matchBot(config.botUid, registry)) {
+        entries.push({ role: this.BotRoles.BOT, uids: [config.botUid] });
+      }
+    }
+    if (entries.length === 0) {
+      return { registry: this.getBotRegistry(), errors: [], warnings: [] };
+    }
+    return this.configureBotRegistry(entries);
+  }
+
+  /**
+   * 标准化并校验注册表条目
+   */
+  static _buildBotRegistry(entries) {
+    const registry = [];
+    const errors = [];
+    const warnings = [];
+
+    if (!Array.isArray(entries)) {
+      errors.push("Bot注册表必须是数组");
+      return { registry, errors, warnings };
+    }
+
+    const owners = new Map(); // 精确UID -> role
+    entries.forEach((raw, index) => {
+      const { entry, error, warning } = this._normalizeBotEntry(raw);
+      if (error) {
+        errors.push(`bots[${index}]: ${error}`);
+        return;
+      }
+      if (warning) {
+        warnings.push(`bots[${index}]: ${warning}`);
+      }
+      for (const uid of entry.uids) {
+        const key = AgoraUID.format(uid);
+        if (owners.has(key) && owners.get(key) !== entry.role) {
+          warnings.push(`UID ${key} 同时注册为 ${owners.get(key)} 和 ${entry.role}，以前者为准`);
+        } else {
+          owners.set(key, entry.role);
+        }
+      }
+      registry.push(entry);
+    });
+
+    return { registry, errors, warnings };
+  }
+
+  /**
+   * 标准化单个注册表条目
+   *
+   * @returns {Object} { entry, error, warning }
+   */
+  static _normalizeBotEntry(raw) {
+    if (!raw || typeof raw !== "object") {
+      return { error: "条目必须是对象" };
+    }
+    const role = typeof raw.role === "string" ? raw.role.trim() : "";
+    if (!role) {
+      return { error: "缺少 role" };
+    }
+
+    const list = (plural, singular) => {
+      if (Array.isArray(raw[plural])) return raw[plural];
+      return singular in raw ? [raw[singular]] : [];
+    };
+
+    const uids = list("uids", "uid");
+    const invalidUID = uids.find((uid) => !this.isValidWebSDKUID(uid));
+    if (invalidUID !== undefined) {
+      return { error: `无效的UID: ${invalidUID}` };
+    }
+
+    const ranges = [];
+    for (const range of list("ranges", "range")) {
+      const [min, max] = Array.isArray(range) ? range : [range?.min, range?.max];
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+        return { error: `无效的UID区间: ${JSON.stringify(range)}` };
+      }
+      ranges.push([min, max]);
+    }
+
+    const prefixes = list("prefixes", "prefix");
+    if (prefixes.some((prefix) => typeof prefix !== "string" || !prefix.trim())) {
+      return { error: "前缀必须是非空字符串" };
+    }
+
+    if (uids.length === 0 && ranges.length === 0 && prefixes.length === 0) {
+      return { error: `角色 ${role} 没有配置 uids / ranges / prefixes` };
+    }
+
+    const profile = this.RoleProfiles[role];
+    const entry = {
+      role,
+      label: raw.label || profile?.label || role,
+      playsAudio: raw.playsAudio ?? profile?.playsAudio ?? true,
+      uids,
+      ranges,
+      prefixes,
+    };
+    return {
+      entry,
+      warning: profile ? null : `未知的Bot角色: ${role}`,
+    };
+  }
+
+  /**
+   * 验证Web SDK UID兼容性
+   * Web SDK支持字符串和整数UID（字符串UID支持）
+   *
+   * @param {any} uid - 待验证的UID
+   * @returns {boolean} 是否兼容
+   */
+  static isValidWebSDKUID(uid) {
+    try {
+      // 整数UID范围 1 到 2^32-1；字符串账号非空（支持如 "user_1758595626139" 格式）
+      return AgoraUID.isValid(uid);
+    } catch (error) {
+      console.error("[UID_VALIDATOR] Web SDK UID验证异常:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 标准化UID比较
+   * 按 AgoraUID 规则比较：12345 与 "12345" 相等，与 "12345abc" 不相等
+   *
+   * @param {any} uid1 - 第一个UID
+   * @param {any} uid2 - 第二个UID
+   * @returns {boolean} 是否相等
+   */
+  static compareUIDs(uid1, uid2) {
+    try {
+      return AgoraUID.equals(uid1, uid2);
+    } catch (error) {
+      console.error("[UID_VALIDATOR] UID比较异常:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 获取默认Bot UID
+   * 取注册表中第一个精确注册的UID，没有时回退到 DEFAULT_BOT_UID
+   *
+   * @returns {number|string} 默认Bot UID
+   */
+  static getDefaultBotUID() {
+    const entry = this.getBotRegistry().find((item) => item.uids.length > 0);
+    return entry ? entry.uids[0] : this.DEFAULT_BOT_UID;
+  }
+
+  /**
+   * 验证配置中的UID设置
+   *
+   * @param {Object} config - 包含UID配置的对象
+   * @returns {Object} 验证结果
+   */
+  static validateConfiguration(config) {
+    const result = {
+      isValid: true,
+      errors: [],
+      warnings: [],
+      config: { ...config },
+    };
+
+    try {
+      // 检查Bot注册表（配置中携带时以配置为准，否则使用当前注册表）
+      let registry = this.getBotRegistry();
+      if ("bots" in config) {
+        const built = this._buildBotRegistry(config.bots);
+        built.errors.forEach((message) => result.errors.push(`Bot注册表无效 - ${message}`));
+        result.warnings.push(...built.warnings);
+        if (built.errors.length > 0) {
+          result.isValid = false;
+        } else {
+          registry = built.registry;
+        }
+      }
+
+      // 检查botUid
+      if ("botUid" in config) {
+        if (!this.isValidWebSDKUID(config.botUid)) {
+          result.errors.push(`无效的botUid: ${config.botUid}`);
+          result.isValid = false;
+        } else {
+          // 检查是否为已注册的Bot身份
+          if (!this.matchBot(config.botUid, registry)) {
+            const expected = registry.map((entry) => entry.role).join(", ");
+            result.warnings.push(
+              `botUid未在Bot身份注册表中: ${config.botUid} (已注册角色: ${expected || "无"})`
+            );
+          }
+        }
+      }
+
+      // 检查uid
+      if ("uid" in config) {
+        if (!this.isValidWebSDKUID(config.uid)) {
+          result.errors.push(`无效的uid: ${config.uid}`);
+          result.isValid = false;
+        } else {
+          // 本地用户UID不应被识别为Bot，否则会被当作Bot订阅/展示
+          const match = this.matchBot(config.uid, registry);
+          if (match) {
+            result.warnings.push(`uid与Bot身份冲突: ${config.uid} (角色: ${match.role})`);
+          }
+        }
+      }
+
+      // 同一频道内整数UID与字符串账号混用会导致彼此收不到音视频
+      const localUID = AgoraUID.tryParse(config.uid);
+      const botUID = AgoraUID.tryParse(config.botUid);
+      if (localUID && botUID && localUID.kind !== botUID.kind) {
+        result.warnings.push(
+          `uid与botUid类型不一致: ${config.uid} (${localUID.kind}) / ${config.botUid} (${botUID.kind})，整数UID与字符串账号不能在同一频道混用`
+        );
+      }
+    } catch (error) {
+      result.errors.push(`配置验证异常: ${error.message}`);
+      result.isValid = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * 记录UID相关的调试信息
+   *
+   * @param {string} context - 上下文信息
+   * @param {any} uid - UID值
+   * @param {Object} additionalInfo - 额外信息
+   */
+  static logUIDInfo(context, uid, additionalInfo = {}) {
+    console.log(`[UID_VALIDATOR] ${context}:`, {
+      uid: uid,
+      type: typeof uid,
+      canonical: AgoraUID.format(uid),
+      kind: AgoraUID.tryParse(uid)?.kind || null,
+      isBot: this.isBotUser(uid),
+      isValid: this.isValidWebSDKUID(uid),
+      ...additionalInfo,
+    });
+  }
+}
+
+// 便捷函数
+function isBotUser(uid) {
+  return WebUIDValidator.isBotUser(uid);
+}
+
+function isValidUID(uid) {
+  return WebUIDValidator.isValidWebSDKUID(uid);
+}
+
+function compareUIDs(uid1, uid2) {
+  return WebUIDValidator.compareUIDs(uid1, uid2);
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    AgoraUID,
+    WebUIDValidator,
+    isBotUser,
+    isValidUID,
+    compareUIDs,
+  };
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.AgoraUID = AgoraUID;
+  window.WebUIDValidator = WebUIDValidator;
+  window.isBotUser = isBotUser;
+  window.isValidUID = isValidUID;
+  window.compareUIDs = compareUIDs;
+}
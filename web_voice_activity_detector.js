@@ -0,0 +1,223 @@
+/**
+ * 客户端语音活动检测（VAD）- 用于打断（barge-in）
+ *
+ * 输入为每帧的麦克风 RMS 电平（0-1，来自 startMicMeter 的 AnalyserNode），输出说话开始 / 结束事件：
+ * - 噪声底噪校准：启动后 calibrationMs 内取电平均值作为底噪，之后在未说话时跟踪（降快升慢）
+ * - 双阈值：电平超过 max(minLevel, 底噪 × startRatio) 持续 minSpeechMs 判定开始说话，
+ *   低于 max(minLevel, 底噪 × stopRatio) 持续 hangoverMs 判定说话结束（避免字间停顿被切断）
+ * - 回声保护：Bot 播放期间（setPlaybackActive(true)）开始阈值再乘以 playbackGain，且不跟踪底噪，
+ *   避免扬声器外放的 Bot 声音被麦克风收进来后判定为用户插话
+ */
+
+class VoiceActivityDetector {
+  /**
+   * 事件名称
+   */
+  static Events = {
+    CALIBRATED: "calibrated",
+    SPEECH_START: "speech-start",
+    SPEECH_END: "speech-end",
+  };
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minLevel=0.04] - 判定为语音的最低绝对电平
+   * @param {number} [options.startRatio=3] - 开始说话：电平 / 底噪 的倍数
+   * @param {number} [options.stopRatio=2] - 说话结束：电平 / 底噪 的倍数（低于 startRatio 形成回差）
+   * @param {number} [options.minSpeechMs=200] - 超过开始阈值需要持续的时间
+   * @param {number} [options.hangoverMs=500] - 低于结束阈值需要持续的时间
+   * @param {number} [options.calibrationMs=1000] - 底噪校准时长，期间不检测
+   * @param {number} [options.noiseAdaptRate=0.02] - 未说话时底噪跟踪速度（0 表示不跟踪）
+   * @param {number} [options.initialNoiseFloor=0.01] - 校准完成前使用的底噪
+   * @param {number} [options.playbackGain=3] - Bot 播放期间开始阈值的放大倍数
+   */
+  constructor(options = {}) {
+    this.options = {
+      minLevel: options.minLevel ?? 0.04,
+      startRatio: options.startRatio ?? 3,
+      stopRatio: options.stopRatio ?? 2,
+      minSpeechMs: options.minSpeechMs ?? 200,
+      hangoverMs: options.hangoverMs ?? 500,
+      calibrationMs: options.calibrationMs ?? 1000,
+      noiseAdaptRate: options.noiseAdaptRate ?? 0.02,
+      initialNoiseFloor: options.initialNoiseFloor ?? 0.01,
+      playbackGain: options.playbackGain ?? 3,
+    };
+
+    this.playbackActive = false;
+    this._listeners = new Map();
+    this.reset();
+  }
+
+  /**
+   * 清空状态并重新校准底噪
+   */
+  reset() {
+    this.speaking = false;
+    this.noiseFloor = this.options.initialNoiseFloor;
+    this.level = 0;
+    this.speechStartedAt = null;
+    this._aboveSince = null;
+    this._belowSince = null;
+    this._calibration = null;
+    this.calibrate();
+  }
+
+  /**
+   * 开始（重新）校准底噪；说话中调用时等说话结束后再校准
+   *
+   * @param {number} [durationMs] - 校准时长，默认 options.calibrationMs
+   */
+  calibrate(durationMs = this.options.calibrationMs) {
+    this._calibration = durationMs > 0 ? { durationMs, startedAt: null, sum: 0, count: 0 } : null;
+  }
+
+  /**
+   * 是否处于底噪校准中
+   */
+  get calibrating() {
+    return this._calibration !== null;
+  }
+
+  /**
+   * 标记 Bot 是否正在播放（预录制片段或远端音轨有声音）
+   * 播放期间提高开始阈值并暂停底噪跟踪；已经在说话时不影响结束判定
+   *
+   * @param {boolean} active
+   */
+  setPlaybackActive(active) {
+    this.playbackActive = active === true;
+  }
+
+  /**
+   * 当前开始 / 结束阈值
+   */
+  get thresholds() {
+    const { minLevel, startRatio, stopRatio, playbackGain } = this.options;
+    const start = Math.max(minLevel, this.noiseFloor * startRatio);
+    return {
+      start: this.playbackActive ? start * playbackGain : start,
+      stop: Math.max(minLevel, this.noiseFloor * stopRatio),
+    };
+  }
+
+  /**
+   * 输入一帧电平
+   *
+   * @param {number} level - RMS 电平（0-1）
+   * @param {number} [now=Date.now()] - 时间戳（毫秒）
+   * @returns {string|null} 本帧触发的事件名称
+   */
+  process(level, now = Date.now()) {
+    const { Events } = VoiceActivityDetector;
+    this.level = level;
+
+    if (this._calibration && !this.speaking) {
+      const calibration = this._calibration;
+      calibration.startedAt ??= now;
+      calibration.sum += level;
+      calibration.count++;
+      if (now - calibration.startedAt < calibration.durationMs) return null;
+
+      this.noiseFloor = Math.max(calibration.sum / calibration.count, 1e-4);
+      this._calibration = null;
+      this._emit(Events.CALIBRATED, { noiseFloor: this.noiseFloor, thresholds: this.thresholds });
+      return Events.CALIBRATED;
+    }
+
+    const { start, stop } = this.thresholds;
+
+    if (!this.speaking) {
+      if (level >= start) {
+        this._aboveSince ??= now;
+        if (now - this._aboveSince >= this.options.minSpeechMs) {
+          this.speaking = true;
+          this.speechStartedAt = this._aboveSince;
+          this._aboveSince = null;
+          this._belowSince = null;
+          this._emit(Events.SPEECH_START, { level, noiseFloor: this.noiseFloor });
+          return Events.SPEECH_START;
+        }
+      } else {
+        this._aboveSince = null;
+        // 未说话时跟踪底噪，适应环境变化；上升比下降慢 10 倍，避免轻声说话把底噪抬高
+        // Bot 播放期间麦克风收到的是回声而不是环境噪声，不跟踪
+        const rate = level > this.noiseFloor ? this.options.noiseAdaptRate / 10 : this.options.noiseAdaptRate;
+        if (rate > 0 && !this.playbackActive) {
+          this.noiseFloor = Math.max(this.noiseFloor * (1 - rate) + level * rate, 1e-4);
+        }
+      }
+      return null;
+    }
+
+    if (level < stop) {
+      this._belowSince ??= now;
+      if (now - this._belowSince >= this.options.hangoverMs) {
+        const duration = this._belowSince - this.speechStartedAt;
+        this.speaking = false;
+        this.speechStartedAt = null;
+        this._belowSince = null;
+        this._emit(Events.SPEECH_END, { duration, noiseFloor: this.noiseFloor });
+        return Events.SPEECH_END;
+      }
+    } else {
+      this._belowSince = null;
+    }
+    return null;
+  }
+
+  /**
+   * 注册事件监听器
+   *
+   * @param {string} event - 事件名称，见 VoiceActivityDetector.Events
+   * @param {Function} listener - 监听函数，参数为事件 payload
+   * @returns {Function} 取消监听函数
+   */
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`监听器必须是函数: ${event}`);
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * 移除事件监听器；不传 listener 时移除该事件的全部监听器
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+    if (!listener) {
+      this._listeners.delete(event);
+      return;
+    }
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this._listeners.delete(event);
+    }
+  }
+
+  _emit(event, extra) {
+    const payload = { event, timestamp: Date.now(), ...extra };
+    for (const listener of [...(this._listeners.get(event) || [])]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`[VAD] 事件监听器执行失败: ${event}`, error);
+      }
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VoiceActivityDetector;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.VoiceActivityDetector = VoiceActivityDetector;
+}
@@ -0,0 +1,579 @@
+/**
+ * 调试 WebSocket 客户端 - 断线重连、心跳超时与断线补发
+ *
+ * - 指数退避重连（带抖动）；RTC 会话进行中不限次数，空闲时最多 maxAttempts 次
+ * - 心跳超时：heartbeatTimeout 内没有收到任何消息（包括服务端 ping）就主动断开并重连
+ * - 断线补发：记录收到的最大 seq，重连后在 bind 中带上 last_seq，由服务端补发缺失的消息；
+ *   补发与实时消息重叠时按 seq 丢弃重复；bound 带回的服务端 seq 小于 last_seq 时（服务端重启或丢失历史）按服务端重新计数
+ * - 会话绑定：bind 携带 /rtc/enter 返回的 sessionId、token 与频道，会话变化时自动重新绑定；
+ *   带 session_id 的消息不属于当前会话时丢弃，认证失败（bound.ok 为 false 或 4401/4403 关闭码）时通知页面
+ * - 控制消息（request）带编号发送并等待服务端 ack；断线期间排队，重连后按顺序补发，
+ *   已发送但未确认的消息也会以相同编号重发（服务端按编号去重）
+ * - 收到的消息交给 WsProtocol.dispatch 分发
+ */
+
+class ResilientWsClient {
+  /**
+   * 连接状态
+   */
+  static State = {
+    IDLE: "idle", // 未连接（尚未 connect 或已 close）
+    CONNECTING: "connecting",
+    OPEN: "open",
+    RECONNECTING: "reconnecting", // 等待下一次重连
+    FAILED: "failed", // 超过重连次数或认证失败，需调用 connect() / setSession() 重新开始
+  };
+
+  /**
+   * 服务端因认证失败关闭连接时使用的关闭码（不再自动重连，等待新的会话凭证）
+   */
+  static AUTH_CLOSE_CODES = [4401, 4403];
+
+  /**
+   * 事件名称
+   */
+  static Events = {
+    STATE: "state",
+    MESSAGE: "message", // 收到原始消息（分发前）
+    OPEN: "open",
+    CLOSE: "close",
+    RECONNECT_SCHEDULED: "reconnect-scheduled",
+    HEARTBEAT_TIMEOUT: "heartbeat-timeout",
+    DUPLICATE: "duplicate",
+    QUEUE: "queue", // 待确认的控制消息数量变化
+    BOUND: "bound", // 服务端确认绑定到当前会话
+    AUTH_FAILED: "auth-failed",
+    FOREIGN: "foreign", // 丢弃了其他会话的消息
+  };
+
+  /**
+   * @param {Object} options
+   * @param {string} options.url - WebSocket 地址
+   * @param {Object} options.protocol - WsProtocol 实例
+   * @param {Function} [options.bindData] - 返回 bind 消息的客户端字段（会话字段与 last_seq 由客户端补充）
+   * @param {Function} [options.isSessionActive] - RTC 会话是否进行中（进行中不限重连次数）
+   * @param {number} [options.initialDelay=1000] - 首次重连延迟（毫秒）
+   * @param {number} [options.maxDelay=30000] - 最大重连延迟（毫秒）
+   * @param {number} [options.backoffFactor=2] - 退避倍数
+   * @param {number} [options.jitter=0.2] - 延迟随机抖动比例
+   * @param {number} [options.maxAttempts=8] - 空闲时最大连续重连次数
+   * @param {number} [options.heartbeatTimeout=30000] - 心跳超时（毫秒），0 表示不检测
+   * @param {number} [options.ackTimeout=10000] - 控制消息发送后等待 ack 的时间（毫秒）
+   * @param {number} [options.maxQueue=50] - 最多排队的控制消息数，超出时丢弃最早的
+   * @param {Function} [options.WebSocket] - WebSocket 构造函数，默认使用全局 WebSocket
+   * @param {Function} [options.setTimeout] - 定时器实现（测试用）
+   * @param {Function} [options.clearTimeout] - 定时器实现（测试用）
+   * @param {Function} [options.random] - 随机数实现（测试用）
+   * @param {string} [options.logLevel="info"] - 日志级别
+   */
+  constructor(options = {}) {
+    if (!options.url) throw new Error("缺少 WebSocket 地址");
+    if (!options.protocol) throw new Error("缺少 WsProtocol 实例");
+
+    this.url = options.url;
+    this.protocol = options.protocol;
+    this.options = {
+      bindData: options.bindData || (() => ({})),
+      isSessionActive: options.isSessionActive || (() => false),
+      initialDelay: options.initialDelay ?? 1000,
+      maxDelay: options.maxDelay ?? 30000,
+      backoffFactor: options.backoffFactor ?? 2,
+      jitter: options.jitter ?? 0.2,
+      maxAttempts: options.maxAttempts ?? 8,
+      heartbeatTimeout: options.heartbeatTimeout ?? 30000,
+      ackTimeout: options.ackTimeout ?? 10000,
+      maxQueue: options.maxQueue ?? 50,
+      logLevel: options.logLevel || "info",
+    };
+
+    this._WebSocket = options.WebSocket || (typeof WebSocket !== "undefined" ? WebSocket : null);
+    this._setTimeout = options.setTimeout || setTimeout.bind(globalThis);
+    this._clearTimeout = options.clearTimeout || clearTimeout.bind(globalThis);
+    this._random = options.random || Math.random;
+
+    this.state = ResilientWsClient.State.IDLE;
+    this.socket = null;
+    this.attempt = 0; // 当前连续重连次数
+    this.lastSeq = null; // 收到的最大 seq
+    this.nextRetryAt = null;
+    this.session = null; // { sessionId, token, channel }
+    this.bound = false; // 服务端是否已确认绑定当前会话
+    this.authError = null; // 最近一次认证失败的原因
+    this.stats = { connects: 0, reconnects: 0, heartbeatTimeouts: 0, duplicates: 0, foreign: 0, authFailures: 0, seqResets: 0 };
+
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._listeners = new Map();
+    this._pending = new Map(); // id -> 待确认的控制消息（按加入顺序）
+    this._nextRequestId = 0;
+
+    this.protocol.on("ack", (message) => this._handleAck(message.data));
+    this.protocol.on("bound", (message) => this._handleBound(message.data));
+  }
+
+  /**
+   * 切换绑定的会话；已连接时立即重新 bind，认证失败停止重连时重新连接
+   *
+   * @param {Object|null} session - { sessionId, token, channel }，离开房间时传 null
+   * @returns {boolean} 会话是否变化
+   */
+  setSession(session) {
+    const next = session?.sessionId
+      ? { sessionId: session.sessionId, token: session.token || null, channel: session.channel || null }
+      : null;
+    const current = this.session;
+    if (next?.sessionId === current?.sessionId && next?.token === current?.token) return false;
+
+    this.session = next;
+    this.bound = false;
+    this.authError = null;
+    this.resetSequence(); // 服务端按会话重新计数 seq
+
+    const { State } = ResilientWsClient;
+    if (this.state === State.OPEN) {
+      this._sendBind();
+    } else if (this.state === State.FAILED) {
+      this.connect();
+    }
+    return true;
+  }
+
+  /**
+   * 待确认（含排队中）的控制消息数量
+   */
+  get pendingCount() {
+    return this._pending.size;
+  }
+
+  /**
+   * 是否已连接
+   */
+  get connected() {
+    return this.state === ResilientWsClient.State.OPEN;
+  }
+
+  /**
+   * 开始连接；已连接或连接中时忽略。FAILED 状态下调用会重新计数
+   */
+  connect() {
+    const { State } = ResilientWsClient;
+    if (this.state === State.OPEN || this.state === State.CONNECTING) return;
+    if (this.state !== State.RECONNECTING) this.attempt = 0;
+    this._clearReconnect();
+    this._open();
+  }
+
+  /**
+   * 立即重连（跳过等待中的退避）
+   */
+  reconnectNow() {
+    this._clearReconnect();
+    this.attempt = 0;
+    if (this.socket) {
+      this._dropSocket(4001, "manual-reconnect");
+    }
+    this._open();
+  }
+
+  /**
+   * 主动断开，不再重连
+   */
+  close() {
+    this._clearReconnect();
+    this._clearHeartbeat();
+    if (this.socket) {
+      this._dropSocket(1000, "client-close");
+    }
+    this.attempt = 0;
+    this._setState(ResilientWsClient.State.IDLE);
+    for (const id of [...this._pending.keys()]) {
+      this._settle(id, new Error("连接已关闭"));
+    }
+  }
+
+  /**
+   * 发送需要确认的控制消息；未连接时排队，重连后补发
+   *
+   * @param {string} type - 消息类型
+   * @param {Object} [data={}] - 消息内容
+   * @param {Object} [options]
+   * @param {number} [options.ackTimeout] - 发送后等待 ack 的时间（毫秒）
+   * @param {number} [options.queueTimeout] - 排队超过该时间仍未发送则放弃（适合时效性强的消息，如打断）
+   * @returns {Promise<Object>} ack 的 data；ack 失败、超时或连接关闭时 reject
+   */
+  request(type, data = {}, { ackTimeout = this.options.ackTimeout, queueTimeout } = {}) {
+    // 先校验，避免无效消息进入队列
+    this.protocol.encode(type, data);
+
+    const id = `${Date.now().toString(36)}-${++this._nextRequestId}`;
+    return new Promise((resolve, reject) => {
+      const request = { id, type, data, ackTimeout, resolve, reject, timer: null, sent: false };
+      this._pending.set(id, request);
+
+      if (this._pending.size > this.options.maxQueue) {
+        const [oldest] = this._pending.keys();
+        this._settle(oldest, new Error("待发送消息过多，已丢弃"));
+      }
+      if (queueTimeout > 0) {
+        request.timer = this._setTimeout(() => {
+          request.timer = null;
+          if (!request.sent) this._settle(id, new Error(`${type} 排队超时`));
+        }, queueTimeout);
+      }
+
+      this._emitQueue();
+      if (this.connected) this._transmit(request);
+    });
+  }
+
+  _transmit(request) {
+    if (!this._pending.has(request.id) || !this.send(request.type, request.data, { id: request.id })) return;
+    request.sent = true;
+    if (request.timer) this._clearTimeout(request.timer);
+    request.timer = this._setTimeout(() => {
+      request.timer = null;
+      this._settle(request.id, new Error(`${request.type} 未收到确认`));
+    }, request.ackTimeout);
+  }
+
+  /**
+   * 重连后按顺序发送排队和未确认的消息
+   */
+  _flush() {
+    for (const request of [...this._pending.values()]) {
+      if (!this.connected) return;
+      this._transmit(request);
+    }
+  }
+
+  /**
+   * 连接断开：已发送但未确认的消息回到队列，等待重连后以相同编号重发
+   */
+  _requeue() {
+    for (const request of this._pending.values()) {
+      if (!request.sent) continue;
+      request.sent = false;
+      this._clearTimeout(request.timer);
+      request.timer = null;
+    }
+  }
+
+  _handleAck({ id, ok, error }) {
+    if (!this._pending.has(id)) return;
+    this._settle(id, ok ? null : new Error(error || "服务端拒绝"), { id, ok, error });
+  }
+
+  _settle(id, error, result) {
+    const request = this._pending.get(id);
+    if (!request) return;
+    this._pending.delete(id);
+    if (request.timer) this._clearTimeout(request.timer);
+    if (error) {
+      this._log("warn", `${request.type} 失败: ${error.message}`);
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+    this._emitQueue();
+  }
+
+  _emitQueue() {
+    const queued = [...this._pending.values()].filter((request) => !request.sent).length;
+    this._emit(ResilientWsClient.Events.QUEUE, { pending: this._pending.size, queued });
+  }
+
+  /**
+   * 按协议编码并发送；未连接或编码失败时返回 false
+   */
+  send(type, data = {}, { id } = {}) {
+    if (!this.connected) {
+      this._log("warn", `未连接，无法发送 ${type}`);
+      return false;
+    }
+    try {
+      this.socket.send(this.protocol.encode(type, data, { id }));
+      return true;
+    } catch (error) {
+      this._log("error", `发送 ${type} 失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 清空已记录的 seq（服务端序号按会话重新计数，切换会话时调用）
+   */
+  resetSequence() {
+    this.lastSeq = null;
+  }
+
+  /**
+   * 第 attempt 次重连的延迟（不含抖动）
+   */
+  backoffDelay(attempt) {
+    const { initialDelay, backoffFactor, maxDelay } = this.options;
+    return Math.min(maxDelay, initialDelay * Math.pow(backoffFactor, Math.max(attempt - 1, 0)));
+  }
+
+  _open() {
+    const { State } = ResilientWsClient;
+    if (!this._WebSocket) {
+      this._log("error", "当前环境不支持 WebSocket");
+      this._setState(State.FAILED);
+      return;
+    }
+
+    this._setState(State.CONNECTING);
+    let socket;
+    try {
+      socket = new this._WebSocket(this.url);
+    } catch (error) {
+      this._log("error", `创建连接失败: ${error.message}`);
+      this._scheduleReconnect("create-failed");
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (socket !== this.socket) return;
+      const reconnected = this.stats.connects > 0;
+      this.stats.connects++;
+      if (reconnected) this.stats.reconnects++;
+      this.attempt = 0;
+      this.nextRetryAt = null;
+      this._setState(State.OPEN);
+      this._resetHeartbeat();
+      this._sendBind();
+      this._flush();
+      this._emit(ResilientWsClient.Events.OPEN, { reconnected, lastSeq: this.lastSeq });
+    };
+
+    socket.onmessage = (event) => {
+      if (socket !== this.socket) return;
+      this._resetHeartbeat();
+      this._emit(ResilientWsClient.Events.MESSAGE, { data: event.data });
+      this._handleMessage(event.data);
+    };
+
+    socket.onclose = (event) => {
+      if (socket !== this.socket) return;
+      this.socket = null;
+      this._clearHeartbeat();
+      this._requeue();
+      this.bound = false;
+      this._emit(ResilientWsClient.Events.CLOSE, { code: event?.code, reason: event?.reason });
+      if (ResilientWsClient.AUTH_CLOSE_CODES.includes(event?.code)) {
+        // 凭证无效时重连也没有意义，等待 setSession 提供新的会话
+        this._authFailed(event.reason || "服务端拒绝了会话凭证", event.code);
+        this._setState(ResilientWsClient.State.FAILED);
+        return;
+      }
+      this._scheduleReconnect(event?.reason || `code ${event?.code}`);
+    };
+
+    // 错误之后总会触发 close，由 onclose 统一处理重连
+    socket.onerror = () => {
+      if (socket !== this.socket) return;
+      this._log("warn", "连接出现错误");
+    };
+  }
+
+  _sendBind() {
+    const data = { ...this.options.bindData(), session_id: this.session?.sessionId ?? null };
+    if (this.session?.token) data.token = this.session.token;
+    if (this.session?.channel) data.channel = this.session.channel;
+    if (this.lastSeq !== null) data.last_seq = this.lastSeq;
+    this.bound = false;
+    if (this.send("bind", data)) {
+      const sessionText = this.session ? `会话 ${this.session.sessionId}` : "无会话";
+      this._log("info", `已发送 bind（${sessionText}${this.lastSeq !== null ? `，last_seq ${this.lastSeq}` : ""}）`);
+    }
+  }
+
+  _handleBound({ ok, session_id: sessionId, seq, error, code }) {
+    if ((sessionId ?? null) !== (this.session?.sessionId ?? null)) return; // 旧会话的回复
+    if (ok) {
+      if (Number.isInteger(seq) && this.lastSeq !== null && seq < this.lastSeq) {
+        // 否则之后的消息 seq 都不大于 lastSeq，会被当作重复全部丢弃
+        this.stats.seqResets++;
+        this._log("warn", `服务端 seq 已重新计数（${this.lastSeq} -> ${seq}）`);
+        this.lastSeq = seq;
+      }
+      this.bound = true;
+      this.authError = null;
+      this._emit(ResilientWsClient.Events.BOUND, { sessionId: sessionId ?? null });
+      return;
+    }
+    this._authFailed(error || "会话校验失败", code);
+  }
+
+  _authFailed(reason, code) {
+    this.bound = false;
+    this.authError = reason;
+    this.stats.authFailures++;
+    this._log("error", `认证失败: ${reason}${code !== undefined ? ` (${code})` : ""}`);
+    this._emit(ResilientWsClient.Events.AUTH_FAILED, { reason, code, sessionId: this.session?.sessionId ?? null });
+  }
+
+  _handleMessage(raw) {
+    const decoded = this.protocol.decode(raw);
+    const sessionId = decoded.message?.sessionId;
+    if (sessionId && sessionId !== this.session?.sessionId) {
+      this.stats.foreign++;
+      this._log("warn", `丢弃其他会话的消息: ${decoded.message.type} (${sessionId})`);
+      this._emit(ResilientWsClient.Events.FOREIGN, { sessionId, type: decoded.message.type });
+      return;
+    }
+
+    const seq = decoded.message?.seq;
+    if (Number.isInteger(seq)) {
+      // 补发与实时消息重叠时丢弃已处理过的 seq
+      if (this.lastSeq !== null && seq <= this.lastSeq) {
+        this.stats.duplicates++;
+        this._emit(ResilientWsClient.Events.DUPLICATE, { seq, lastSeq: this.lastSeq });
+        return;
+      }
+      this.lastSeq = seq;
+    }
+    this.protocol.dispatch(raw, decoded);
+  }
+
+  _scheduleReconnect(reason) {
+    const { State, Events } = ResilientWsClient;
+    const sessionActive = !!this.options.isSessionActive();
+    if (!sessionActive && this.attempt >= this.options.maxAttempts) {
+      this.nextRetryAt = null;
+      this._log("error", `重连 ${this.attempt} 次仍失败，已停止重连`);
+      this._setState(State.FAILED);
+      return;
+    }
+
+    this.attempt++;
+    const base = this.backoffDelay(this.attempt);
+    const delay = Math.round(base * (1 + this.options.jitter * (this._random() * 2 - 1)));
+    this.nextRetryAt = Date.now() + delay;
+    this._setState(State.RECONNECTING);
+    this._log("info", `连接断开（${reason}），${delay}ms 后第 ${this.attempt} 次重连`);
+    this._emit(Events.RECONNECT_SCHEDULED, {
+      attempt: this.attempt,
+      maxAttempts: sessionActive ? null : this.options.maxAttempts,
+      delay,
+      reason,
+    });
+    this._reconnectTimer = this._setTimeout(() => {
+      this._reconnectTimer = null;
+      this._open();
+    }, delay);
+  }
+
+  _resetHeartbeat() {
+    this._clearHeartbeat();
+    const timeout = this.options.heartbeatTimeout;
+    if (!(timeout > 0)) return;
+    this._heartbeatTimer = this._setTimeout(() => {
+      this._heartbeatTimer = null;
+      if (!this.socket) return;
+      this.stats.heartbeatTimeouts++;
+      this._log("warn", `${timeout}ms 未收到任何消息，判定连接已失效`);
+      this._emit(ResilientWsClient.Events.HEARTBEAT_TIMEOUT, { timeout });
+      this._dropSocket(4000, "heartbeat-timeout");
+      this._scheduleReconnect("heartbeat-timeout");
+    }, timeout);
+  }
+
+  _clearHeartbeat() {
+    if (this._heartbeatTimer) {
+      this._clearTimeout(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+  }
+
+  _clearReconnect() {
+    if (this._reconnectTimer) {
+      this._clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  /**
+   * 丢弃当前连接；之后旧连接的回调一律忽略（不会再触发重连）
+   */
+  _dropSocket(code, reason) {
+    const socket = this.socket;
+    this.socket = null;
+    this._clearHeartbeat();
+    this._requeue();
+    try {
+      socket.close(code, reason);
+    } catch (_) {}
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this._emit(ResilientWsClient.Events.STATE, { state, previous, attempt: this.attempt });
+  }
+
+  /**
+   * 注册事件监听器
+   *
+   * @param {string} event - 事件名称，见 ResilientWsClient.Events
+   * @param {Function} listener - 监听函数，参数为事件 payload
+   * @returns {Function} 取消监听函数
+   */
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`监听器必须是函数: ${event}`);
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * 移除事件监听器；不传 listener 时移除该事件的全部监听器
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+    if (!listener) {
+      this._listeners.delete(event);
+      return;
+    }
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this._listeners.delete(event);
+    }
+  }
+
+  _emit(event, extra) {
+    const payload = { event, timestamp: Date.now(), ...extra };
+    for (const listener of [...(this._listeners.get(event) || [])]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`[WS_CLIENT] 事件监听器执行失败: ${event}`, error);
+      }
+    }
+  }
+
+  _log(level, message) {
+    const logLevels = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+    if ((logLevels[level] ?? 1) >= (logLevels[this.options.logLevel] ?? 1)) {
+      console[level](`[WS_CLIENT] ${message}`);
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResilientWsClient;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.ResilientWsClient = ResilientWsClient;
+}
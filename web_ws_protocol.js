@@ -0,0 +1,455 @@
+/**
+ * 调试 WebSocket 消息协议 - 带版本号的消息类型定义、收发校验与处理器注册表
+ *
+ * 消息统一为 { type, version, seq, id, session_id, data } 信封（均可省略）：
+ * seq 为服务端递增序号，用于断线补发；id 为客户端控制消息的编号，服务端用 ack 回执确认；
+ * session_id 为消息所属的 RTC 会话，客户端据此丢弃其他会话的消息
+ * - 每种消息类型声明 data 字段的 schema，收到时校验，发送时按同一 schema 编码
+ * - 旧版后端不带 version 的 JSON 消息按版本 1 处理；纯文本消息按 debug 消息处理
+ * - 功能模块通过 on(type, handler) 订阅消息类型；未知类型与校验失败的消息单独计数并触发事件
+ */
+
+class WsProtocol {
+  /**
+   * 当前协议版本；收到更高版本的消息视为无效
+   */
+  static VERSION = 1;
+
+  /**
+   * 消息类型
+   */
+  static Types = {
+    PRERECORDED_AUDIO: "prerecorded_audio",
+    ASSISTANT_TEXT: "assistant_text",
+    DEBUG: "debug",
+    ERROR: "error",
+    PING: "ping",
+    PONG: "pong",
+    ACK: "ack",
+    BOUND: "bound",
+    BIND: "bind",
+    INTERRUPT: "interrupt",
+    MUTE: "mute",
+    REPEAT_LAST_PROMPT: "repeat_last_prompt",
+    END_SESSION: "end_session",
+    USER_TEXT: "user_text",
+  };
+
+  /**
+   * 协议事件（与消息类型共用 on / off）
+   */
+  static Events = {
+    UNKNOWN: "protocol:unknown", // 未声明的消息类型
+    INVALID: "protocol:invalid", // 无法解析、版本不支持或 schema 校验失败
+    UNHANDLED: "protocol:unhandled", // 校验通过但没有处理器
+  };
+
+  /**
+   * 消息 schema：type -> { direction, flat, fields: { 字段名: { type, required, enum } } }
+   *
+   * direction: "in" 只接收，"out" 只发送，"both" 双向
+   * flat: 字段直接放在信封顶层而不是 data 中（兼容后端现有的 bind 格式）
+   * type: "string" | "number" | "boolean" | "object" | "array" | "null"，可为数组表示多选
+   */
+  static Schemas = {
+    prerecorded_audio: {
+      direction: "in",
+      fields: {
+        audio_file_path: { type: ["string", "array"], required: true },
+        text: { type: "string" },
+        hash: { type: "string" },
+        priority: { type: "number" },
+        policy: { type: "string" },
+      },
+    },
+    // 流式文本：同一 message_id 的 final=false 消息为中间结果（STT 假设 / LLM 逐段输出），
+    // final 省略时视为最终结果；delta=true 时 text 为追加的增量，否则为完整文本
+    assistant_text: {
+      direction: "in",
+      fields: {
+        text: { type: "string", required: true },
+        kind: { type: "string", enum: ["llm", "stt"] },
+        source: { type: "string" },
+        message_id: { type: ["string", "number"] },
+        final: { type: "boolean" },
+        delta: { type: "boolean" },
+      },
+    },
+    debug: {
+      direction: "in",
+      fields: {
+        message: { type: "string", required: true },
+      },
+    },
+    error: {
+      direction: "in",
+      fields: {
+        source: { type: "string", required: true },
+        message: { type: "string", required: true },
+        code: { type: ["string", "number"] },
+      },
+    },
+    ack: {
+      direction: "in",
+      fields: {
+        id: { type: "string", required: true },
+        ok: { type: "boolean", required: true },
+        error: { type: "string" },
+      },
+    },
+    // bind 的结果；ok 为 false 表示会话或 token 校验失败
+    bound: {
+      direction: "in",
+      fields: {
+        ok: { type: "boolean", required: true },
+        session_id: { type: ["string", "null"] },
+        seq: { type: "number" }, // 服务端该会话当前的最大 seq；小于客户端 last_seq 说明服务端已重新计数
+        error: { type: "string" },
+        code: { type: ["string", "number"] },
+      },
+    },
+    ping: { direction: "in", fields: {} },
+    pong: { direction: "out", fields: {} },
+    bind: {
+      direction: "out",
+      flat: true,
+      fields: {
+        client_id: { type: "string", required: true },
+        client_type: { type: "string", required: true },
+        session_id: { type: ["string", "null"] }, // /rtc/enter 返回的会话，未进入房间时为 null
+        token: { type: "string" },
+        channel: { type: "string" },
+        last_seq: { type: "number" }, // 收到的最大 seq，服务端据此补发断线期间的消息
+      },
+    },
+    interrupt: {
+      direction: "out",
+      fields: {
+        reason: { type: "string", required: true },
+        session_id: { type: ["string", "null"] },
+        ts: { type: "number", required: true },
+      },
+    },
+    mute: {
+      direction: "out",
+      fields: {
+        muted: { type: "boolean", required: true },
+        session_id: { type: ["string", "null"] },
+        ts: { type: "number", required: true },
+      },
+    },
+    repeat_last_prompt: {
+      direction: "out",
+      fields: {
+        session_id: { type: ["string", "null"] },
+        ts: { type: "number", required: true },
+      },
+    },
+    end_session: {
+      direction: "out",
+      fields: {
+        reason: { type: "string", required: true },
+        session_id: { type: ["string", "null"] },
+        ts: { type: "number", required: true },
+      },
+    },
+    // 文字输入的用户回答，后端按 STT 结果同样的流程处理
+    user_text: {
+      direction: "out",
+      fields: {
+        text: { type: "string", required: true },
+        session_id: { type: ["string", "null"] },
+        ts: { type: "number", required: true },
+      },
+    },
+  };
+
+  /**
+   * 声明新的消息类型（或覆盖已有类型）
+   *
+   * @param {string} type - 消息类型
+   * @param {Object} schema - { direction, flat, fields }
+   */
+  static define(type, schema) {
+    if (!type || typeof type !== "string") throw new TypeError("消息类型必须是非空字符串");
+    WsProtocol.Schemas[type] = { direction: "both", fields: {}, ...schema };
+  }
+
+  /**
+   * 调试文本中的标签：[LLM_DEBUG] / [STT_DEBUG] / [WELCOME] / [XXX_ERROR]
+   */
+  static DEBUG_TAG_PATTERN = /^\[(LLM_DEBUG|STT_DEBUG|WELCOME|([A-Z]+)_ERROR)\]\s*/;
+
+  /**
+   * 解析调试文本
+   *
+   * @param {string} text - debug 消息的 message 或纯文本消息
+   * @returns {Object} { kind: "llm" | "stt" | "error" | "info", source, content }
+   */
+  static classifyDebug(text) {
+    const trimmed = String(text || "").trim();
+    const match = WsProtocol.DEBUG_TAG_PATTERN.exec(trimmed);
+    if (!match) return { kind: "info", source: null, content: trimmed };
+
+    const content = trimmed.slice(match[0].length).trim();
+    if (match[2]) return { kind: "error", source: match[2], content };
+    return { kind: match[1] === "STT_DEBUG" ? "stt" : "llm", source: null, content };
+  }
+
+  /**
+   * 按 schema 校验 data
+   *
+   * @returns {string[]} 错误列表，空数组表示通过
+   */
+  static validate(type, data) {
+    const schema = WsProtocol.Schemas[type];
+    if (!schema) return [`未声明的消息类型: ${type}`];
+    if (data === null || typeof data !== "object" || Array.isArray(data)) return ["data 必须是对象"];
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema.fields)) {
+      const value = data[field];
+      if (value === undefined) {
+        if (rule.required) errors.push(`缺少字段 ${field}`);
+        continue;
+      }
+      const types = [].concat(rule.type);
+      if (!types.includes(WsProtocol._typeOf(value))) {
+        errors.push(`字段 ${field} 应为 ${types.join(" | ")}`);
+      } else if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`字段 ${field} 应为 ${rule.enum.join(" | ")} 之一`);
+      }
+    }
+    return errors;
+  }
+
+  static _typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.logLevel="info"] - 日志级别
+   */
+  constructor(options = {}) {
+    this.options = {
+      logLevel: options.logLevel || "info",
+    };
+
+    this._listeners = new Map();
+    this.resetStats();
+  }
+
+  /**
+   * 清空统计
+   */
+  resetStats() {
+    this.stats = {
+      received: 0,
+      handled: 0,
+      legacy: 0, // 不带 version 的 JSON 或纯文本
+      unknown: 0,
+      invalid: 0,
+      unhandled: 0,
+      byType: {},
+    };
+  }
+
+  /**
+   * 解析原始消息（不触发处理器）
+   *
+   * @param {string|Object} raw - WebSocket 收到的数据
+   * @returns {Object} { ok, message: { type, version, seq, id, sessionId, data, legacy }, error, unknown }
+   */
+  decode(raw) {
+    let envelope;
+    if (typeof raw === "string") {
+      try {
+        envelope = JSON.parse(raw);
+      } catch (e) {
+        // 纯文本调试消息
+        return this._accept({
+          type: WsProtocol.Types.DEBUG,
+          version: 1,
+          seq: null,
+          id: null,
+          sessionId: null,
+          data: { message: raw.trim() },
+          legacy: true,
+        });
+      }
+    } else {
+      envelope = raw;
+    }
+
+    if (envelope === null || typeof envelope !== "object" || Array.isArray(envelope)) {
+      return { ok: false, message: null, error: "消息必须是 JSON 对象" };
+    }
+    if (typeof envelope.type !== "string" || !envelope.type) {
+      return { ok: false, message: null, error: "缺少 type 字段" };
+    }
+
+    const { type } = envelope;
+    const legacy = envelope.version === undefined;
+    const version = legacy ? 1 : envelope.version;
+    const schema = WsProtocol.Schemas[type];
+    const seq = Number.isInteger(envelope.seq) ? envelope.seq : null;
+    const id = typeof envelope.id === "string" ? envelope.id : null;
+    const message = { type, version, seq, id, sessionId: null, data: null, legacy };
+
+    if (!Number.isInteger(version) || version < 1 || version > WsProtocol.VERSION) {
+      return { ok: false, message, error: `不支持的协议版本: ${JSON.stringify(envelope.version)}` };
+    }
+    if (!schema) {
+      return { ok: false, message, unknown: true, error: `未声明的消息类型: ${type}` };
+    }
+    if (schema.direction === "out") {
+      return { ok: false, message, error: `${type} 只能由客户端发送` };
+    }
+
+    message.data = WsProtocol._extractData(envelope, schema);
+    // 旧版后端把 session_id 放在 data 中
+    const sessionId = envelope.session_id ?? message.data?.session_id;
+    message.sessionId = typeof sessionId === "string" && sessionId ? sessionId : null;
+    return this._accept(message);
+  }
+
+  _accept(message) {
+    const errors = WsProtocol.validate(message.type, message.data);
+    if (errors.length > 0) {
+      return { ok: false, message, error: errors.join("; ") };
+    }
+    return { ok: true, message, error: null };
+  }
+
+  static _extractData(envelope, schema) {
+    if (schema.flat) {
+      const { type, version, seq, id, session_id, ...fields } = envelope;
+      return fields;
+    }
+    return envelope.data === undefined ? {} : envelope.data;
+  }
+
+  /**
+   * 解析、校验并分发给已注册的处理器
+   *
+   * @param {string|Object} raw - WebSocket 收到的数据
+   * @param {Object} [result] - 已有的 decode 结果（避免重复解析）
+   * @returns {Object} decode 的结果，附带 handled（处理器数量）
+   */
+  dispatch(raw, result = this.decode(raw)) {
+    this.stats.received++;
+    const { Events } = WsProtocol;
+
+    if (!result.ok) {
+      const event = result.unknown ? Events.UNKNOWN : Events.INVALID;
+      this.stats[result.unknown ? "unknown" : "invalid"]++;
+      this._log("warn", `${result.unknown ? "未知" : "无效"}消息: ${result.error}`);
+      this._emit(event, { error: result.error, message: result.message, raw });
+      return { ...result, handled: 0 };
+    }
+
+    const { message } = result;
+    if (message.legacy) this.stats.legacy++;
+    this.stats.byType[message.type] = (this.stats.byType[message.type] || 0) + 1;
+
+    const listeners = [...(this._listeners.get(message.type) || [])];
+    if (listeners.length === 0) {
+      this.stats.unhandled++;
+      this._log("debug", `消息没有处理器: ${message.type}`);
+      this._emit(Events.UNHANDLED, { message, raw });
+      return { ...result, handled: 0 };
+    }
+
+    this.stats.handled++;
+    this._emit(message.type, message);
+    return { ...result, handled: listeners.length };
+  }
+
+  /**
+   * 按 schema 编码发送的消息
+   *
+   * @param {string} type - 消息类型
+   * @param {Object} [data={}] - 消息内容
+   * @param {Object} [options]
+   * @param {string} [options.id] - 消息编号（需要 ack 回执时）
+   * @returns {string} JSON 字符串
+   * @throws {Error} 类型未声明、只能接收或校验失败
+   */
+  encode(type, data = {}, { id } = {}) {
+    const schema = WsProtocol.Schemas[type];
+    if (!schema) throw new Error(`未声明的消息类型: ${type}`);
+    if (schema.direction === "in") throw new Error(`${type} 只能由服务端发送`);
+
+    const errors = WsProtocol.validate(type, data);
+    if (errors.length > 0) throw new Error(`${type} 消息无效: ${errors.join("; ")}`);
+
+    const envelope = { type, version: WsProtocol.VERSION };
+    if (id) envelope.id = id;
+    Object.assign(envelope, schema.flat ? data : { data });
+    return JSON.stringify(envelope);
+  }
+
+  /**
+   * 注册消息处理器或协议事件监听器
+   *
+   * @param {string} typeOrEvent - 消息类型（WsProtocol.Types）或协议事件（WsProtocol.Events）
+   * @param {Function} listener - 处理函数，参数为消息 { type, version, seq, id, sessionId, data, legacy } 或事件 payload
+   * @returns {Function} 取消监听函数
+   */
+  on(typeOrEvent, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`监听器必须是函数: ${typeOrEvent}`);
+    }
+    if (!this._listeners.has(typeOrEvent)) {
+      this._listeners.set(typeOrEvent, new Set());
+    }
+    this._listeners.get(typeOrEvent).add(listener);
+    return () => this.off(typeOrEvent, listener);
+  }
+
+  /**
+   * 移除监听器；不传 listener 时移除该类型的全部监听器
+   */
+  off(typeOrEvent, listener) {
+    const listeners = this._listeners.get(typeOrEvent);
+    if (!listeners) return;
+    if (!listener) {
+      this._listeners.delete(typeOrEvent);
+      return;
+    }
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this._listeners.delete(typeOrEvent);
+    }
+  }
+
+  _emit(typeOrEvent, payload) {
+    for (const listener of [...(this._listeners.get(typeOrEvent) || [])]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`[WS_PROTOCOL] 处理器执行失败: ${typeOrEvent}`, error);
+      }
+    }
+  }
+
+  _log(level, message) {
+    const logLevels = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+    if ((logLevels[level] ?? 1) >= (logLevels[this.options.logLevel] ?? 1)) {
+      console[level](`[WS_PROTOCOL] ${message}`);
+    }
+  }
+}
+
+// 导出（如果在模块环境中）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WsProtocol;
+}
+
+// 全局暴露（如果在浏览器环境中）
+if (typeof window !== "undefined") {
+  window.WsProtocol = WsProtocol;
+}